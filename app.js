@@ -17,6 +17,66 @@ let isInitialStartup = true;
 let recentProjects = [];
 const MAX_HISTORY = 10;
 
+const PACKAGE_MANAGERS = ['npm', 'pnpm', 'yarn', 'bun'];
+let packageManagerOverrides = {};
+
+// Node runtime per project path: { manager: 'nvm' | 'fnm' | 'volta' | 'custom', dir }. Absent means
+// the login shell's node.
+let nodeRuntimes = {};
+const NODE_RUNTIME_NAMES = { system: 'System Node', nvm: 'nvm', fnm: 'fnm', volta: 'Volta', custom: 'Custom…' };
+
+const EDITORS = [
+    { id: 'code', name: 'VS Code' },
+    { id: 'cursor', name: 'Cursor' },
+    { id: 'webstorm', name: 'WebStorm' },
+    { id: 'subl', name: 'Sublime Text' },
+    { id: 'terminal', name: '$EDITOR in Terminal' },
+    { id: 'custom', name: 'Custom command…' }
+];
+let editorSettings = { editor: 'code', command: '' };
+
+// "Run with…" presets per project path: { name, script, workspace, args, env } with args and env
+// kept as typed so they can be edited again
+let scriptPresets = {};
+let runWithContext = null;
+
+// Restart and stop settings per project path and script label:
+// { keepAlive, maxRestarts, watch, interruptTimeout, terminateTimeout }
+let restartSettings = {};
+const DEFAULT_MAX_RESTARTS = 5;
+const DEFAULT_STOP_TIMEOUT = 3; // seconds to wait after SIGINT, and again after SIGTERM
+const RESTART_BASE_DELAY = 1000;
+const RESTART_MAX_DELAY = 30000;
+const RESTART_STABLE_TIME = 60000; // a run this long resets the backoff
+const PROJECT_RELOAD_DELAY = 1500;
+
+// Server URLs announced by scripts are tracked per tab (url → { url, script, network, status })
+// and polled for reachability while any are shown
+const URL_POLL_INTERVAL = 3000;
+let urlPollTimer = null;
+
+// Session restored on launch: tabs, their projects, what was running and optionally console history
+const SESSION_HISTORY_LINES = 500;
+const SESSION_SAVE_INTERVAL = 5000;
+let sessionSettings = { keepHistory: false };
+let sessionSaveTimer = null;
+let sessionReady = false;
+
+// Custom commands per project path: { label, command, cwd, icon }
+let customCommands = {};
+let commandContext = null;
+
+// Environment profiles per project path: { active, profiles: [{ name, vars }] }. The active
+// profile's variables are added to scripts and installs.
+let envProfiles = {};
+let envProfileContext = null;
+
+// Pipelines per project path: { name, mode: 'sequential' | 'parallel', steps: [{ type, name, workspace }] }
+let pipelines = {};
+let pipelineContext = null;
+let pipelineTimer = null;
+const PIPELINE_STEP_ICONS = { pending: '○', running: '●', success: '✓', failed: '✗', skipped: '–', stopped: '■' };
+
 function loadHistory() {
     try {
         const stored = localStorage.getItem('npm-commander-history');
@@ -80,1017 +140,4799 @@ function updateHistoryOnClose(path) {
     }
 }
 
-// Accessors for current tab
-function getTab() { return tabs.get(activeTabId); }
-function getConsole() { return getTab()?.consoleEl; }
+function loadPackageManagerOverrides() {
+    try {
+        const stored = localStorage.getItem('npm-commander-pm-overrides');
+        if (stored) {
+            packageManagerOverrides = JSON.parse(stored);
+        }
+    } catch (e) { }
+}
 
-const DROP_ZONE_HTML = `
-    <div class="console-welcome" id="dropZone">
-        <div class="drop-icon">
-            <svg width="64" height="64" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
-                <path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"></path>
-                <path d="M12 11v6"></path>
-                <path d="M9 14l3 3 3-3"></path>
-            </svg>
-        </div>
-        <h3>DROP FOLDER HERE</h3>
-        <p class="hint">or select a project to get started</p>
-    </div>
-`;
+function setPackageManagerOverride(path, packageManager) {
+    if (packageManager) {
+        packageManagerOverrides[path] = packageManager;
+    } else {
+        delete packageManagerOverrides[path];
+    }
+    localStorage.setItem('npm-commander-pm-overrides', JSON.stringify(packageManagerOverrides));
+}
 
-// ANSI code regex to strip terminal colors
-const ANSI_REGEX = /[\u001b\u009b][[()#;?]*(?:[0-9]{1,4}(?:;[0-9]{0,4})*)?[0-9A-ORZcf-nqry=><]/g;
+// Per-project override wins over what load_project detected
+function getPackageManager(tab) {
+    if (!tab || !tab.project) return 'npm';
+    return packageManagerOverrides[tab.project.projectPath] || tab.project.packageManager || 'npm';
+}
 
-function stripAnsi(text) {
-    return text.replace(ANSI_REGEX, '');
+function loadNodeRuntimes() {
+    try {
+        const stored = localStorage.getItem('npm-commander-node-runtimes');
+        if (stored) {
+            nodeRuntimes = JSON.parse(stored);
+        }
+    } catch (e) { }
 }
 
-// DOM Elements
-const elements = {
-    projectName: document.getElementById('projectName'),
-    projectPath: document.getElementById('projectPath'),
-    console: document.getElementById('console'),
-    scriptsBar: document.getElementById('scriptsBar'),
-    sidebar: document.getElementById('sidebar'),
-    sidebarToggle: document.getElementById('sidebarToggle'),
-    depsList: document.getElementById('depsList'),
-    devDepsList: document.getElementById('devDepsList'),
-    depsStatus: document.getElementById('depsStatus'),
-    selectFolderBtn: document.getElementById('selectFolderBtn'),
-    selectFolderBtnText: document.getElementById('selectFolderBtnText'),
-    openFinderBtn: document.getElementById('openFinderBtn'),
-    clearProjectBtn: document.getElementById('clearProjectBtn'),
-    clearConsoleBtn: document.getElementById('clearConsoleBtn'),
-    urlBar: document.getElementById('urlBar'),
-    urlText: document.getElementById('urlText'),
-    copyUrlBtn: document.getElementById('copyUrlBtn'),
-    openUrlBtn: document.getElementById('openUrlBtn'),
-    dropOverlay: document.getElementById('dropOverlay'),
-    copyErrorsBtn: document.getElementById('copyErrorsBtn'),
-    copyAllBtn: document.getElementById('copyAllBtn'),
-    killAllPortsBtn: document.getElementById('killAllPortsBtn'),
-    contextMenu: document.getElementById('contextMenu'),
-    ctxCopyAll: document.getElementById('ctxCopyAll'),
-    ctxCopyErrors: document.getElementById('ctxCopyErrors'),
-    ctxCopyWarnings: document.getElementById('ctxCopyWarnings'),
-    tabsContainer: document.getElementById('tabsContainer'),
-    addTabBtn: document.getElementById('addTabBtn'),
-    historyBtn: document.getElementById('historyBtn'),
-    historyMenu: document.getElementById('historyMenu'),
-    historyList: document.getElementById('historyList'),
-    consoleContainer: document.getElementById('console').parentElement, // use parent as container
-    portsView: document.getElementById('portsView'),
-    portsList: document.getElementById('portsList'),
-    viewPortsBtn: document.getElementById('viewPortsBtn'),
-    consoleHeader: document.querySelector('.console-header'),
+function setNodeRuntime(path, runtime) {
+    if (runtime) {
+        nodeRuntimes[path] = runtime;
+    } else {
+        delete nodeRuntimes[path];
+    }
+    localStorage.setItem('npm-commander-node-runtimes', JSON.stringify(nodeRuntimes));
+}
 
-    // Custom Modal Elements
-    customModal: document.getElementById('customModal'),
-    customModalTitle: document.getElementById('customModalTitle'),
-    customModalMessage: document.getElementById('customModalMessage'),
-    customModalCancel: document.getElementById('customModalCancel'),
-    customModalConfirm: document.getElementById('customModalConfirm')
-};
+// Passed to every command that runs node; null uses the login shell's node
+function getNodeRuntime(tab) {
+    if (!tab || !tab.project) return null;
+    return nodeRuntimes[tab.project.projectPath] || null;
+}
 
-// Custom Confirm Helper
-function showCustomConfirm(message, title = 'Confirm') {
-    return new Promise((resolve) => {
-        elements.customModalTitle.textContent = title;
-        elements.customModalMessage.textContent = message;
-        elements.customModal.classList.remove('hidden');
+function loadScriptPresets() {
+    try {
+        const stored = localStorage.getItem('npm-commander-presets');
+        if (stored) {
+            scriptPresets = JSON.parse(stored);
+        }
+    } catch (e) { }
+}
 
-        const cleanup = () => {
-            elements.customModal.classList.add('hidden');
-            elements.customModalCancel.removeEventListener('click', onCancel);
-            elements.customModalConfirm.removeEventListener('click', onConfirm);
-        };
+function getPresets(tab) {
+    if (!tab || !tab.project) return [];
+    return scriptPresets[tab.project.projectPath] || [];
+}
 
-        const onCancel = () => {
-            cleanup();
-            resolve(false);
-        };
+function setPresets(tab, presets) {
+    if (presets.length) {
+        scriptPresets[tab.project.projectPath] = presets;
+    } else {
+        delete scriptPresets[tab.project.projectPath];
+    }
+    localStorage.setItem('npm-commander-presets', JSON.stringify(scriptPresets));
+}
 
-        const onConfirm = () => {
-            cleanup();
-            resolve(true);
-        };
+// Split an argument string like a shell would: whitespace separates, quotes group, backslash escapes
+function parseArgs(text) {
+    const args = [];
+    let current = '';
+    let quote = null;
+    let inArg = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quote) {
+            if (ch === quote) {
+                quote = null;
+            } else if (ch === '\\' && quote === '"' && i + 1 < text.length) {
+                current += text[++i];
+            } else {
+                current += ch;
+            }
+        } else if (ch === '"' || ch === "'") {
+            quote = ch;
+            inArg = true;
+        } else if (ch === '\\' && i + 1 < text.length) {
+            current += text[++i];
+            inArg = true;
+        } else if (/\s/.test(ch)) {
+            if (inArg) args.push(current);
+            current = '';
+            inArg = false;
+        } else {
+            current += ch;
+            inArg = true;
+        }
+    }
+    if (quote) throw new Error(`Unclosed ${quote} in arguments`);
+    if (inArg) args.push(current);
+    return args;
+}
 
-        elements.customModalCancel.addEventListener('click', onCancel);
-        elements.customModalConfirm.addEventListener('click', onConfirm);
+// KEY=value lines; blank lines and # comments are skipped, surrounding quotes are removed
+function parseEnv(text) {
+    const env = {};
+    text.split('\n').forEach(raw => {
+        const line = raw.trim();
+        if (!line || line.startsWith('#')) return;
+        const match = line.match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/);
+        if (!match) throw new Error(`Not a KEY=value line: ${line}`);
+        env[match[1]] = match[2].replace(/^(['"])(.*)\1$/, '$2');
     });
+    return env;
 }
 
-// Initialize
-async function init() {
-    loadHistory();
-    setupManualDrag();
-    setupEventListeners();
-    setupDragDrop();
-    setupContextMenu();
-
-    await setupTauriListeners();
-    setupTabs();
+function loadEnvProfiles() {
+    try {
+        const stored = localStorage.getItem('npm-commander-env-profiles');
+        if (stored) {
+            envProfiles = JSON.parse(stored);
+        }
+    } catch (e) { }
+}
 
-    // Remove the static placeholder console so only tab consoles are shown
-    if (elements.console) elements.console.remove();
+function getEnvProfiles(tab) {
+    if (!tab || !tab.project) return { active: null, profiles: [] };
+    return envProfiles[tab.project.projectPath] || { active: null, profiles: [] };
+}
 
-    // Create initial tab
-    await createNewTab();
-    isInitialStartup = false;
+function setEnvProfiles(tab, data) {
+    if (data.profiles.length) {
+        envProfiles[tab.project.projectPath] = data;
+    } else {
+        delete envProfiles[tab.project.projectPath];
+    }
+    localStorage.setItem('npm-commander-env-profiles', JSON.stringify(envProfiles));
 }
 
-// Setup Tauri event listeners
-async function setupTauriListeners() {
-    // Script output
-    await listen('script-output', (event) => {
-        const data = event.payload;
-        const cleanText = stripAnsi(data.data);
-        const targetTabId = data.tab_id;
-        const targetTab = tabs.get(targetTabId);
+function getActiveEnvProfile(tab) {
+    const { active, profiles } = getEnvProfiles(tab);
+    return profiles.find(p => p.name === active) || null;
+}
 
-        if (!targetTab) return;
+function presetOptions(preset) {
+    return { args: parseArgs(preset.args || ''), env: parseEnv(preset.env || ''), preset: preset.name };
+}
 
-        let type = '';
-        if (data.type === 'stderr') {
-            if (cleanText.toLowerCase().includes('warning') || cleanText.includes('WARN')) {
-                type = 'warning';
-            } else {
-                type = 'error';
-            }
-        } else {
-            const lower = cleanText.toLowerCase();
-            if (lower.includes('error:') || lower.includes('fail') || lower.includes('exception')) {
-                type = 'error';
-            } else if (lower.includes('warn') || lower.includes('warning:')) {
-                type = 'warning';
-            }
+function loadRestartSettings() {
+    try {
+        const stored = localStorage.getItem('npm-commander-restart');
+        if (stored) {
+            restartSettings = JSON.parse(stored);
         }
+    } catch (e) { }
+}
 
-        appendConsoleTo(targetTab.consoleEl, cleanText, type);
-        checkForUrl(cleanText, targetTab);
-    });
+function getRestartSettings(tab, label) {
+    const settings = tab?.project && restartSettings[tab.project.projectPath]?.[label];
+    return {
+        keepAlive: false,
+        maxRestarts: DEFAULT_MAX_RESTARTS,
+        watch: '',
+        interruptTimeout: DEFAULT_STOP_TIMEOUT,
+        terminateTimeout: DEFAULT_STOP_TIMEOUT,
+        ...settings
+    };
+}
 
-    // Script exit
-    await listen('script-exit', (event) => {
-        const data = event.payload;
-        const targetTabId = data.tab_id;
-        const targetTab = tabs.get(targetTabId);
+function setRestartSettings(tab, label, settings) {
+    const path = tab.project.projectPath;
+    const project = restartSettings[path] || {};
+    const customStop = settings.interruptTimeout !== DEFAULT_STOP_TIMEOUT || settings.terminateTimeout !== DEFAULT_STOP_TIMEOUT;
+    if (settings.keepAlive || settings.watch || customStop) {
+        project[label] = settings;
+    } else {
+        delete project[label];
+    }
+    if (Object.keys(project).length) {
+        restartSettings[path] = project;
+    } else {
+        delete restartSettings[path];
+    }
+    localStorage.setItem('npm-commander-restart', JSON.stringify(restartSettings));
+}
 
-        if (!targetTab) return;
+// ".env, vite.config.*" → ['.env', 'vite.config.*']
+function parseWatchPatterns(text) {
+    return text.split(/[,\n]/).map(p => p.trim()).filter(Boolean);
+}
 
-        targetTab.runningScripts.delete(data.script);
-        if (activeTabId === targetTabId) {
-            updateScriptButtons();
-        }
+// Why the backend would refuse a watch pattern (same rules as check_watch_pattern), or null
+function watchPatternError(pattern) {
+    const segments = pattern.split('/');
+    let problem = null;
+    if (/^[/~]/.test(pattern)) {
+        problem = "must be relative to the script's folder";
+    } else if (segments.includes('..')) {
+        problem = "can't reach outside the script's folder";
+    } else if (/[{}[\]?!]/.test(pattern)) {
+        problem = 'only `*` and `**` wildcards are supported';
+    } else if (segments.some(segment => segment.includes('**') && segment !== '**')) {
+        problem = '`**` must be a whole path segment, as in `src/**/*.ts`';
+    }
+    return problem && `Watch pattern "${pattern}" ${problem}`;
+}
 
-        const type = data.code === 0 ? 'success' : 'error';
-        appendConsoleTo(targetTab.consoleEl, `\n✓ Script '${data.script}' exited with code ${data.code}\n`, type);
-    });
+function openRunWith(tab, name, workspace, preset = null) {
+    if (!tab || !tab.project) return;
+    runWithContext = { tabId: tab.id, name, workspace, preset };
+    elements.runWithTitle.textContent = preset ? `Edit preset "${preset.name}"` : `Run ${scriptLabel(name, workspace)} with…`;
+    elements.runWithArgs.value = preset?.args || '';
+    elements.runWithEnv.value = preset?.env || '';
+    elements.runWithPresetName.value = preset?.name || '';
+    const restart = getRestartSettings(tab, scriptLabel(name, workspace));
+    elements.runWithKeepAlive.checked = restart.keepAlive;
+    elements.runWithMaxRestarts.value = restart.maxRestarts;
+    elements.runWithWatch.value = restart.watch;
+    elements.runWithInterruptTimeout.value = restart.interruptTimeout;
+    elements.runWithTerminateTimeout.value = restart.terminateTimeout;
+    elements.runWithDeleteBtn.classList.toggle('hidden', !preset);
+    elements.runWithError.classList.add('hidden');
+    elements.runWithModal.classList.remove('hidden');
+    elements.runWithArgs.focus();
 }
 
-// Setup Manual Dragging
-function setupManualDrag() {
-    const dragRegions = [
-        document.querySelector('.titlebar-spacer'),
-        document.querySelector('.header')
-    ];
+function closeRunWith() {
+    elements.runWithModal.classList.add('hidden');
+    runWithContext = null;
+}
 
-    dragRegions.forEach(region => {
-        if (!region) return;
-        region.addEventListener('mousedown', (e) => {
-            // Check if the click is on a button or an interactive element
-            if (e.target.closest('button') ||
-                e.target.closest('.btn') ||
-                e.target.closest('.sidebar-toggle') ||
-                e.target.closest('input')) {
-                return;
-            }
+// Validate the form; returns the preset it describes, or null after showing the error
+function readRunWithForm(requireName) {
+    const preset = {
+        name: elements.runWithPresetName.value.trim(),
+        script: runWithContext.name,
+        workspace: runWithContext.workspace,
+        args: elements.runWithArgs.value.trim(),
+        env: elements.runWithEnv.value.trim()
+    };
+    try {
+        if (requireName && !preset.name) throw new Error('Give the preset a name');
+        presetOptions(preset);
+        return preset;
+    } catch (e) {
+        elements.runWithError.textContent = e.message;
+        elements.runWithError.classList.remove('hidden');
+        return null;
+    }
+}
 
-            // Start dragging on left click
-            if (e.buttons === 1) {
-                appWindow.startDragging();
-            }
-        });
-    });
+// Validate the restart settings; returns them, or null after showing the error
+function readRestartForm() {
+    const maxRestarts = Number(elements.runWithMaxRestarts.value);
+    const interruptTimeout = Number(elements.runWithInterruptTimeout.value);
+    const terminateTimeout = Number(elements.runWithTerminateTimeout.value);
+    const watch = parseWatchPatterns(elements.runWithWatch.value);
+    let error = null;
+    if (!Number.isInteger(maxRestarts) || maxRestarts < 1) {
+        error = 'Max restarts must be a whole number of at least 1';
+    } else if (![interruptTimeout, terminateTimeout].every(t => Number.isFinite(t) && t >= 0 && t <= 60)) {
+        error = 'Stop timeouts must be between 0 and 60 seconds';
+    } else {
+        error = watch.map(watchPatternError).find(Boolean) || null;
+    }
+    if (error) {
+        elements.runWithError.textContent = error;
+        elements.runWithError.classList.remove('hidden');
+        return null;
+    }
+    return {
+        keepAlive: elements.runWithKeepAlive.checked,
+        maxRestarts,
+        watch: watch.join(', '),
+        interruptTimeout,
+        terminateTimeout
+    };
 }
 
-// Event Listeners
-function setupEventListeners() {
-    // Sidebar toggle
-    elements.sidebarToggle.addEventListener('click', () => {
-        elements.sidebar.classList.toggle('collapsed');
-    });
+// Save (or replace, when editing or reusing a name) a preset for the project
+function savePreset(tab, preset) {
+    const replaced = runWithContext.preset?.name;
+    const presets = getPresets(tab).filter(p => p.name !== preset.name && p.name !== replaced);
+    presets.push(preset);
+    setPresets(tab, presets);
+    renderActivePackage(tab);
+}
 
-    // Select folder
-    elements.selectFolderBtn.addEventListener('click', async () => {
-        const folder = await open({
-            directory: true,
-            multiple: false,
-            title: 'Select Project Folder'
-        });
-        if (folder) {
-            await loadProject(folder);
+function loadCustomCommands() {
+    try {
+        const stored = localStorage.getItem('npm-commander-commands');
+        if (stored) {
+            customCommands = JSON.parse(stored);
         }
-    });
+    } catch (e) { }
+}
 
-    // Open in Finder
-    elements.openFinderBtn.addEventListener('click', async () => {
-        const project = getTab()?.project;
-        if (project && project.projectPath) {
-            try {
-                await revealItemInDir(project.projectPath);
-            } catch (e) {
-                console.error('Failed to open in Finder:', e);
-            }
-        }
-    });
+function getCustomCommands(tab) {
+    if (!tab || !tab.project) return [];
+    return customCommands[tab.project.projectPath] || [];
+}
 
-    // Clear Project
-    let clearBtnState = 0;
-    let clearBtnInterval = null;
-    let clearBtnCountdown = 3;
+function setCustomCommands(tab, commands) {
+    if (commands.length) {
+        customCommands[tab.project.projectPath] = commands;
+    } else {
+        delete customCommands[tab.project.projectPath];
+    }
+    localStorage.setItem('npm-commander-commands', JSON.stringify(customCommands));
+}
 
-    window.resetClearButton = function () {
-        if (clearBtnInterval) clearInterval(clearBtnInterval);
-        clearBtnState = 0;
-        if (elements.clearProjectBtn) {
-            elements.clearProjectBtn.classList.remove('btn-confirming');
-            elements.clearProjectBtn.innerHTML = `
-                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                    <path d="M18 6L6 18M6 6l12 12"></path>
-                </svg>
-                Exit Project
-            `;
-        }
+function openCommandEditor(tab, command = null) {
+    if (!tab || !tab.project) return;
+    commandContext = { tabId: tab.id, command };
+    elements.commandTitle.textContent = command ? `Edit "${command.label}"` : 'New Command';
+    elements.commandLabel.value = command?.label || '';
+    elements.commandLine.value = command?.command || '';
+    elements.commandCwd.value = command?.cwd || '';
+    elements.commandIcon.value = command?.icon || '';
+    elements.commandDeleteBtn.classList.toggle('hidden', !command);
+    elements.commandError.classList.add('hidden');
+    elements.commandModal.classList.remove('hidden');
+    elements.commandLabel.focus();
+}
+
+function closeCommandEditor() {
+    elements.commandModal.classList.add('hidden');
+    commandContext = null;
+}
+
+function saveCommandEditor() {
+    const tab = tabs.get(commandContext?.tabId);
+    if (!tab || !tab.project) return;
+
+    const command = {
+        label: elements.commandLabel.value.trim(),
+        command: elements.commandLine.value.trim(),
+        cwd: elements.commandCwd.value.trim().replace(/^\.\/?/, ''),
+        icon: elements.commandIcon.value.trim()
     };
+    const previous = commandContext.command?.label;
+    const others = getCustomCommands(tab).filter(c => c.label !== previous);
+    const scripts = getActivePackage(tab)?.scripts || {};
+    let error = null;
+    if (!command.label || !command.command) {
+        error = 'A label and a command are required';
+    } else if (others.some(c => c.label === command.label) || scripts[command.label] !== undefined) {
+        error = `"${command.label}" is already used by another command or script`;
+    } else if (previous && previous !== command.label && tab.runningScripts.has(previous)) {
+        error = 'Stop the command before renaming it';
+    }
+    if (error) {
+        elements.commandError.textContent = error;
+        elements.commandError.classList.remove('hidden');
+        return;
+    }
 
-    elements.clearProjectBtn.addEventListener('click', async () => {
-        const tab = getTab();
-        if (!tab) return;
+    const commands = getCustomCommands(tab).map(c => (c.label === previous ? command : c));
+    if (!previous) commands.push(command);
+    setCustomCommands(tab, commands);
+    closeCommandEditor();
+    renderActivePackage(tab);
+}
 
-        if (clearBtnState === 0) {
-            clearBtnState = 1;
-            clearBtnCountdown = 3;
-            elements.clearProjectBtn.classList.add('btn-confirming');
-            elements.clearProjectBtn.innerHTML = `Confirm Close (3)`;
+// Run a custom command; it is tracked, streamed and stopped like a script under its label
+async function runCustomCommand(tab, command) {
+    if (!tab || !tab.project) return false;
 
-            clearBtnInterval = setInterval(() => {
-                clearBtnCountdown--;
-                if (clearBtnCountdown <= 0) {
-                    window.resetClearButton();
-                } else {
-                    elements.clearProjectBtn.innerHTML = `Confirm Close (${clearBtnCountdown})`;
-                }
-            }, 1000);
-            return;
-        }
+    const label = command.label;
+    const where = command.cwd ? ` in ${command.cwd}` : '';
+    appendConsoleTo(tab.consoleEl, `\n▶ Starting: ${command.command}${where}\n`, 'info', label);
+    resetProblems(tab, label, command.cwd || '');
 
-        if (clearBtnState === 1) {
-            window.resetClearButton();
-            // Stop any running scripts first
-            for (const script of tab.runningScripts) {
-                await stopScript(script);
-            }
+    try {
+        await invoke('run_custom_command', {
+            projectPath: tab.project.projectPath,
+            label,
+            command: command.command,
+            cwd: command.cwd || null,
+            tabId: tab.id,
+            runtime: getNodeRuntime(tab)
+        });
+        tab.runningScripts.add(label);
+        setPaneStatus(tab.consoleEl, label, 'running');
+        if (activeTabId === tab.id) updateScriptButtons();
+        scheduleSessionSave();
+        return true;
+    } catch (error) {
+        const errorMsg = error.error || error.message || String(error);
+        appendConsoleTo(tab.consoleEl, `✗ ${errorMsg}\n`, 'error', label);
+        return false;
+    }
+}
 
-            if (tab.project) {
-                updateHistoryOnClose(tab.project.projectPath);
-            }
-            tab.project = null;
-            tab.el.querySelector('.tab-title').textContent = 'New Project';
-            elements.projectName.textContent = 'Select a Project';
-            elements.projectPath.textContent = 'No project loaded';
-            tab.consoleEl.innerHTML = DROP_ZONE_HTML;
-            elements.scriptsBar.innerHTML = '<div class="no-scripts">Load a project to see available scripts</div>';
-            elements.depsList.innerHTML = '';
-            elements.devDepsList.innerHTML = '';
-            elements.depsStatus.className = 'deps-status';
-            elements.depsStatus.innerHTML = '<span class="status-dot"></span><span>Not loaded</span>';
-            elements.clearProjectBtn.classList.add('hidden');
-            elements.openFinderBtn.classList.add('hidden');
-            if (elements.killAllPortsBtn) elements.killAllPortsBtn.classList.add('hidden');
-            elements.selectFolderBtnText.textContent = 'Open Project';
-            tab.detectedUrl = null;
-            updateScriptButtons();
-            elements.urlBar.style.display = 'none';
+function loadPipelines() {
+    try {
+        const stored = localStorage.getItem('npm-commander-pipelines');
+        if (stored) {
+            pipelines = JSON.parse(stored);
         }
-    });
+    } catch (e) { }
+}
 
-    // Clear console
-    elements.clearConsoleBtn.addEventListener('click', () => {
-        const tab = getTab();
-        if (tab) {
-            tab.consoleEl.innerHTML = '';
-            elements.urlBar.style.display = 'none';
-            tab.detectedUrl = null;
-        }
+function getPipelines(tab) {
+    if (!tab || !tab.project) return [];
+    return pipelines[tab.project.projectPath] || [];
+}
+
+function setPipelines(tab, list) {
+    if (list.length) {
+        pipelines[tab.project.projectPath] = list;
+    } else {
+        delete pipelines[tab.project.projectPath];
+    }
+    localStorage.setItem('npm-commander-pipelines', JSON.stringify(pipelines));
+}
+
+// Process label of a pipeline step, as used by runningScripts and script-exit
+function stepLabel(step) {
+    return step.type === 'command' ? step.name : scriptLabel(step.name, step.workspace || null);
+}
+
+// Resolves with the exit code the next time `label` exits in this tab (null when stopped).
+// `cancel()` drops only this waiter, leaving others on the same label waiting.
+function waitForExit(tab, label) {
+    let waiter;
+    const exited = new Promise(resolve => {
+        waiter = resolve;
+        if (!tab.exitWaiters.has(label)) tab.exitWaiters.set(label, []);
+        tab.exitWaiters.get(label).push(resolve);
     });
+    exited.cancel = () => {
+        const waiters = (tab.exitWaiters.get(label) || []).filter(resolve => resolve !== waiter);
+        if (waiters.length) tab.exitWaiters.set(label, waiters);
+        else tab.exitWaiters.delete(label);
+    };
+    return exited;
+}
 
-    // Kill Port 3000
-    // Kill All Ports
-    if (elements.killAllPortsBtn) {
-        elements.killAllPortsBtn.addEventListener('click', async () => {
-            const confirmed = await showCustomConfirm('Are you sure you want to kill all processes on ports 3000-3010, 5173, 8000, 8080, 5560, and 8877? This may stop other running applications.', 'Kill All Ports');
-            if (!confirmed) {
-                return;
-            }
+function settleExit(tab, label, code) {
+    const waiters = tab.exitWaiters.get(label);
+    if (!waiters) return;
+    tab.exitWaiters.delete(label);
+    waiters.forEach(resolve => resolve(code));
+}
 
-            const originalText = elements.killAllPortsBtn.innerHTML;
-            elements.killAllPortsBtn.textContent = 'Killing Ports...';
-            elements.killAllPortsBtn.disabled = true;
+function openPipelineEditor(tab, pipeline = null) {
+    if (!tab || !tab.project) return;
+    pipelineContext = { tabId: tab.id, pipeline, steps: pipeline ? pipeline.steps.map(step => ({ ...step })) : [] };
+    elements.pipelineTitle.textContent = pipeline ? `Edit "${pipeline.name}"` : 'New Pipeline';
+    elements.pipelineName.value = pipeline?.name || '';
+    elements.pipelineMode.value = pipeline?.mode || 'sequential';
+    elements.pipelineDeleteBtn.classList.toggle('hidden', !pipeline);
+    elements.pipelineError.classList.add('hidden');
+
+    // Steps can be any script of the selected package or any custom command
+    const workspace = getActiveWorkspace(tab);
+    const options = [
+        ...Object.keys(getActivePackage(tab)?.scripts || {}).map(name => ({ type: 'script', name, workspace })),
+        ...getCustomCommands(tab).map(command => ({ type: 'command', name: command.label, workspace: null }))
+    ];
+    elements.pipelineStepSelect.innerHTML = options
+        .map(step => `<option value="${escapeHtml(JSON.stringify(step))}">${escapeHtml(stepLabel(step))}${step.type === 'command' ? ' (command)' : ''}</option>`)
+        .join('');
 
-            try {
-                const result = await invoke('kill_all_ports');
-                appendConsole(`\n⚡ ${result}\n`, 'success');
-            } catch (error) {
-                const errorMsg = error.error || error.message || String(error);
-                appendConsole(`✗ Failed to kill ports: ${errorMsg}\n`, 'error');
-            } finally {
-                elements.killAllPortsBtn.innerHTML = originalText;
-                elements.killAllPortsBtn.disabled = false;
-            }
-        });
-    }
+    renderPipelineSteps();
+    elements.pipelineModal.classList.remove('hidden');
+    elements.pipelineName.focus();
+}
 
-    // Click on Drop Zone to select folder
-    document.addEventListener('click', (e) => {
-        const dropZone = e.target.closest('#dropZone');
-        // Only trigger if in the active console
-        if (dropZone && dropZone.closest('.console') === getConsole()) {
-            elements.selectFolderBtn.click();
-        }
-    });
+function closePipelineEditor() {
+    elements.pipelineModal.classList.add('hidden');
+    pipelineContext = null;
+}
 
-    // Helper for Copy actions
-    const copyToClipboard = async (text, btn) => {
-        if (!text) return;
-        try {
-            await navigator.clipboard.writeText(text);
-            const originalHTML = btn.innerHTML;
-            const originalWidth = btn.offsetWidth;
+function renderPipelineSteps() {
+    const steps = pipelineContext.steps;
+    elements.pipelineSteps.innerHTML = '';
+    if (steps.length === 0) {
+        elements.pipelineSteps.innerHTML = '<div class="section-empty">No steps yet</div>';
+        return;
+    }
+    steps.forEach((step, index) => {
+        const row = document.createElement('div');
+        row.className = 'pipeline-step-row';
+        row.innerHTML = `
+            <span class="step-name">${index + 1}. ${escapeHtml(stepLabel(step))}</span>
+            <button class="btn btn-icon" data-move="-1" title="Move up">↑</button>
+            <button class="btn btn-icon" data-move="1" title="Move down">↓</button>
+            <button class="btn btn-icon" data-remove title="Remove">✕</button>
+        `;
+        row.querySelectorAll('[data-move]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const target = index + Number(btn.dataset.move);
+                if (target < 0 || target >= steps.length) return;
+                [steps[index], steps[target]] = [steps[target], steps[index]];
+                renderPipelineSteps();
+            });
+        });
+        row.querySelector('[data-remove]').addEventListener('click', () => {
+            steps.splice(index, 1);
+            renderPipelineSteps();
+        });
+        elements.pipelineSteps.appendChild(row);
+    });
+}
 
-            btn.classList.add('btn-success');
-            btn.textContent = 'Copied!';
-            btn.style.width = `${originalWidth}px`; // Prevent layout shift
+function savePipelineEditor() {
+    const tab = tabs.get(pipelineContext?.tabId);
+    if (!tab || !tab.project) return;
 
-            setTimeout(() => {
-                btn.innerHTML = originalHTML;
-                btn.classList.remove('btn-success');
-                btn.style.width = '';
-            }, 1000);
-        } catch (e) {
-            console.error('Failed to copy:', e);
-        }
+    const pipeline = {
+        name: elements.pipelineName.value.trim(),
+        mode: elements.pipelineMode.value,
+        steps: pipelineContext.steps
     };
+    const previous = pipelineContext.pipeline?.name;
+    let error = null;
+    if (!pipeline.name) {
+        error = 'Give the pipeline a name';
+    } else if (pipeline.steps.length === 0) {
+        error = 'Add at least one step';
+    } else if (getPipelines(tab).some(p => p.name === pipeline.name && p.name !== previous)) {
+        error = `There is already a pipeline called "${pipeline.name}"`;
+    } else if (pipeline.mode === 'parallel' && new Set(pipeline.steps.map(stepLabel)).size !== pipeline.steps.length) {
+        error = 'A step can only run once at a time in a parallel pipeline';
+    }
+    if (error) {
+        elements.pipelineError.textContent = error;
+        elements.pipelineError.classList.remove('hidden');
+        return;
+    }
 
-    // Copy All
-    elements.copyAllBtn.addEventListener('click', () => {
-        const cons = getConsole();
-        if (cons) copyToClipboard(cons.innerText, elements.copyAllBtn);
-    });
+    const list = getPipelines(tab).map(p => (p.name === previous ? pipeline : p));
+    if (!previous) list.push(pipeline);
+    setPipelines(tab, list);
+    closePipelineEditor();
+    renderActivePackage(tab);
+}
 
-    // Copy Errors (Left Click)
-    elements.copyErrorsBtn.addEventListener('click', () => {
-        const cons = getConsole();
-        if (!cons) return;
-        const spans = cons.querySelectorAll('.error, .warning');
-        const text = Array.from(spans).map(s => s.innerText).join('\n');
-        if (text) {
-            copyToClipboard(text, elements.copyErrorsBtn);
+// Start one step and wait for it to finish; resolves true when it exited with code 0
+async function runPipelineStep(tab, run, step) {
+    const label = stepLabel(step);
+    step.status = 'running';
+    step.started = Date.now();
+    renderPipelineBar();
+
+    const exited = waitForExit(tab, label);
+    let started = false;
+    if (step.type === 'command') {
+        const command = getCustomCommands(tab).find(c => c.label === step.name);
+        if (command) {
+            started = await runCustomCommand(tab, command);
         } else {
-            appendConsoleTo(cons, '\nNo errors or warnings to copy.\n', 'info');
+            appendConsoleTo(tab.consoleEl, `✗ Command '${step.name}' no longer exists\n`, 'error');
         }
-    });
+    } else {
+        started = await runScript(step.name, tab.id, step.workspace || null);
+    }
 
-    // Context Menu for Copy Errors
-    elements.copyErrorsBtn.addEventListener('contextmenu', (e) => {
-        e.preventDefault();
-        showContextMenu(e.clientX, e.clientY);
-    });
+    // A step that didn't start (e.g. already running outside the pipeline) must not settle
+    // the waiters of the process that is running
+    if (!started) exited.cancel();
+    const code = started ? await exited : 1;
+    step.ended = Date.now();
+    if (run.stopping) {
+        step.status = 'stopped';
+    } else {
+        step.status = code === 0 ? 'success' : 'failed';
+    }
+    renderPipelineBar();
+    return step.status === 'success';
+}
 
-    // Open URL
-    elements.openUrlBtn.addEventListener('click', async () => {
-        const tUrl = getTab()?.detectedUrl;
-        if (tUrl) {
-            try {
-                await openUrl(tUrl);
-            } catch (e) {
-                console.error('Failed to open URL:', e);
+async function runPipeline(tab, pipeline) {
+    if (!tab || !tab.project) return;
+    const current = tab.pipelineRuns.get(pipeline.name);
+    if (current && !current.ended) return;
+
+    const run = {
+        name: pipeline.name,
+        mode: pipeline.mode,
+        steps: pipeline.steps.map(step => ({ ...step, status: 'pending', started: null, ended: null })),
+        started: Date.now(),
+        ended: null,
+        stopping: false
+    };
+    tab.pipelineRuns.set(pipeline.name, run);
+    const order = pipeline.mode === 'parallel' ? 'in parallel' : 'in sequence';
+    appendConsoleTo(tab.consoleEl, `\n⛓ Pipeline '${pipeline.name}': ${run.steps.map(stepLabel).join(pipeline.mode === 'parallel' ? ' + ' : ' → ')} (${order})\n`, 'info');
+    if (tab.id === activeTabId) updateScriptButtons();
+    startPipelineTimer();
+
+    if (pipeline.mode === 'parallel') {
+        await Promise.all(run.steps.map(step => runPipelineStep(tab, run, step)));
+    } else {
+        for (const step of run.steps) {
+            if (run.stopping || run.steps.some(s => s.status === 'failed')) {
+                step.status = 'skipped';
+                continue;
             }
+            await runPipelineStep(tab, run, step);
         }
-    });
+    }
 
-    // Copy URL
-    elements.copyUrlBtn.addEventListener('click', async () => {
-        const tUrl = getTab()?.detectedUrl;
-        if (tUrl) {
-            await copyToClipboard(tUrl, elements.copyUrlBtn);
-        }
-    });
+    run.ended = Date.now();
+    const failed = run.steps.filter(step => step.status === 'failed').length;
+    const duration = formatDuration(run.ended - run.started);
+    if (run.stopping) {
+        appendConsoleTo(tab.consoleEl, `\n■ Pipeline '${run.name}' stopped after ${duration}\n`, 'warning');
+    } else if (failed) {
+        appendConsoleTo(tab.consoleEl, `\n✗ Pipeline '${run.name}' failed (${failed} of ${run.steps.length} steps) in ${duration}\n`, 'error');
+    } else {
+        appendConsoleTo(tab.consoleEl, `\n✓ Pipeline '${run.name}' finished in ${duration}\n`, 'success');
+    }
+    renderPipelineBar();
+    if (tab.id === activeTabId) updateScriptButtons();
+}
 
-    // Install Dependencies Handler (delegated)
-    document.addEventListener('click', (e) => {
-        if (e.target.closest('.btn-install-deps')) {
-            installDependencies();
+// One stop for the whole group: running steps are stopped, pending ones skipped
+async function stopPipeline(tab, name) {
+    const run = tab.pipelineRuns.get(name);
+    if (!run || run.ended || run.stopping) return;
+    run.stopping = true;
+    renderPipelineBar();
+    for (const step of run.steps.filter(s => s.status === 'running')) {
+        const label = stepLabel(step);
+        // Steps that are stopping finish when their script-exit arrives
+        if (!(await stopScript(label, tab.id)) && !tab.stoppingScripts.has(label)) settleExit(tab, label, null);
+    }
+}
+
+function isPipelineRunning(tab, name) {
+    const run = tab.pipelineRuns.get(name);
+    return !!run && !run.ended;
+}
+
+function formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+// Keep running durations ticking while any tab has an unfinished pipeline
+function startPipelineTimer() {
+    if (pipelineTimer) return;
+    pipelineTimer = setInterval(() => {
+        const active = [...tabs.values()].some(tab => [...tab.pipelineRuns.values()].some(run => !run.ended));
+        renderPipelineBar();
+        if (!active) {
+            clearInterval(pipelineTimer);
+            pipelineTimer = null;
         }
-    });
+    }, 1000);
+}
 
-    // History button logic
-    if (elements.historyBtn && elements.historyMenu) {
-        elements.historyBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            elements.historyMenu.classList.toggle('hidden');
-            renderHistoryMenu();
-        });
+// Status of the active tab's pipeline runs, above the console
+function renderPipelineBar() {
+    const tab = getTab();
+    const runs = tab ? [...tab.pipelineRuns.values()] : [];
+    if (runs.length === 0) {
+        elements.pipelineBar.classList.add('hidden');
+        elements.pipelineBar.innerHTML = '';
+        return;
     }
 
-    // Hide context menu on click elsewhere
-    document.addEventListener('click', (e) => {
-        if (!e.target.closest('.context-menu')) {
-            if (elements.contextMenu) elements.contextMenu.classList.add('hidden');
-            if (elements.historyMenu) elements.historyMenu.classList.add('hidden');
+    elements.pipelineBar.innerHTML = '';
+    runs.forEach(run => {
+        const row = document.createElement('div');
+        row.className = 'pipeline-run';
+        const total = formatDuration((run.ended || Date.now()) - run.started);
+        row.innerHTML = `<span class="pipeline-run-name">⛓ ${escapeHtml(run.name)}</span>`;
+        run.steps.forEach((step, index) => {
+            if (index > 0) row.insertAdjacentHTML('beforeend', `<span class="pipeline-run-total">${run.mode === 'parallel' ? '+' : '→'}</span>`);
+            const time = step.started ? formatDuration((step.ended || Date.now()) - step.started) : '';
+            row.insertAdjacentHTML('beforeend', `
+                <span class="pipeline-step ${step.status}" title="${step.status}">
+                    <span class="step-icon">${PIPELINE_STEP_ICONS[step.status]}</span>
+                    ${escapeHtml(stepLabel(step))}
+                    <span class="step-time">${time}</span>
+                </span>
+            `);
+        });
+        row.insertAdjacentHTML('beforeend', `<span class="pipeline-run-total">${total}</span>`);
+
+        const action = document.createElement('button');
+        action.className = 'btn btn-secondary btn-sm';
+        if (run.ended) {
+            action.textContent = 'Dismiss';
+            action.addEventListener('click', () => {
+                tab.pipelineRuns.delete(run.name);
+                renderPipelineBar();
+            });
+        } else {
+            action.textContent = run.stopping ? 'Stopping…' : 'Stop';
+            action.disabled = run.stopping;
+            action.addEventListener('click', () => stopPipeline(tab, run.name));
         }
+        row.appendChild(action);
+        elements.pipelineBar.appendChild(row);
     });
+    elements.pipelineBar.classList.remove('hidden');
+}
 
-    // CMD+W to close tab
-    window.addEventListener('keydown', (e) => {
-        if ((e.metaKey || e.ctrlKey) && e.key === 'w') {
-            e.preventDefault();
-            if (activeTabId) {
-                closeTab(activeTabId);
-            }
+function loadEditorSettings() {
+    try {
+        const stored = localStorage.getItem('npm-commander-editor');
+        if (stored) {
+            editorSettings = { ...editorSettings, ...JSON.parse(stored) };
         }
-    });
+    } catch (e) { }
+}
 
-    // View Ports button
-    if (elements.viewPortsBtn) {
-        let portsViewActive = false;
-        let savedConsoleHeaderHTML = null;
+function saveEditorSettings() {
+    localStorage.setItem('npm-commander-editor', JSON.stringify(editorSettings));
+}
 
-        elements.viewPortsBtn.addEventListener('click', async () => {
-            if (portsViewActive) {
-                exitPortsView();
-            } else {
-                await enterPortsView();
-            }
+function renderEditorSelect() {
+    elements.editorSelect.innerHTML = EDITORS.map(editor => {
+        const name = editor.id === 'custom' && editorSettings.command ? `Custom: ${editorSettings.command}` : editor.name;
+        return `<option value="${editor.id}">${escapeHtml(name)}</option>`;
+    }).join('');
+    elements.editorSelect.value = editorSettings.editor;
+}
+
+// Ask for the command line used by the "custom" editor; returns false when cancelled
+async function promptEditorCommand() {
+    const command = await showCustomPrompt(
+        'Command to open files with. {path}, {line} and {column} are filled in; without {path}, "path:line:col" is appended.',
+        'Editor Command',
+        editorSettings.command || 'zed'
+    );
+    if (command === null || !command.trim()) return false;
+    editorSettings.command = command.trim();
+    return true;
+}
+
+// Open the project root, or a file at a line/column, in the configured editor
+async function openInEditor(tab, location = null) {
+    if (!tab || !tab.project) return;
+    if (editorSettings.editor === 'custom' && !editorSettings.command) {
+        if (!await promptEditorCommand()) return;
+        saveEditorSettings();
+        renderEditorSelect();
+    }
+    try {
+        await invoke('open_in_editor', {
+            editor: editorSettings.editor,
+            editorCommand: editorSettings.command || null,
+            projectPath: tab.project.projectPath,
+            baseDir: location?.base || null,
+            file: location?.file || null,
+            line: location?.line || null,
+            column: location?.column || null
         });
+    } catch (e) {
+        const errorMsg = e.error || e.message || String(e);
+        appendConsoleTo(tab.consoleEl, `✗ ${errorMsg}\n`, 'error');
+    }
+}
 
-        async function enterPortsView() {
-            portsViewActive = true;
-            elements.viewPortsBtn.classList.add('btn-ports-active');
-            elements.viewPortsBtn.innerHTML = `
-                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                    <path d="M19 12H5M12 19l-7-7 7-7"></path>
-                </svg>
-                Back to Console
-            `;
+function renderPackageManagerSelect(tab) {
+    if (!tab || !tab.project) {
+        elements.pmSelect.classList.add('hidden');
+        return;
+    }
 
-            // Hide all tab consoles
-            for (const [, tab] of tabs) {
-                tab.consoleEl.classList.add('hidden');
-            }
+    const override = packageManagerOverrides[tab.project.projectPath];
+    elements.pmSelect.innerHTML = `<option value="auto">Auto (${tab.project.packageManager})</option>` +
+        PACKAGE_MANAGERS.map(pm => `<option value="${pm}">${pm}</option>`).join('');
+    elements.pmSelect.value = override || 'auto';
+    elements.pmSelect.classList.remove('hidden');
+}
 
-            // Swap console header
-            savedConsoleHeaderHTML = elements.consoleHeader.innerHTML;
-            elements.consoleHeader.innerHTML = `
-                <h2>Currently Open Ports</h2>
-                <div class="console-actions">
-                    <button class="btn btn-secondary btn-sm" id="portsRefreshListBtn" title="Refresh Port List">
-                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                            <path d="M23 4v6h-6M1 20v-6h6M3.51 9a9 9 0 0 1 14.85-3.36L23 10M1 14l4.64 4.36A9 9 0 0 0 20.49 15"></path>
-                        </svg>
-                    </button>
-                    <button class="btn btn-danger btn-sm" id="portsKillAllBtn">Kill All</button>
+// Runtime picker and the node/npm versions scripts run with, flagged when they miss the
+// project's .nvmrc, .node-version, engines.node or Volta pin
+function renderNodeRuntime(tab) {
+    if (!tab || !tab.project) {
+        elements.nodeRuntimeSelect.classList.add('hidden');
+        elements.nodeVersions.classList.add('hidden');
+        return;
+    }
+
+    const runtime = getNodeRuntime(tab);
+    const info = tab.nodeVersions;
+    const managers = ['system', ...(info?.managers || [])];
+    if (runtime && runtime.manager !== 'custom' && !managers.includes(runtime.manager)) managers.push(runtime.manager);
+    managers.push('custom');
+    elements.nodeRuntimeSelect.innerHTML = managers.map(manager => {
+        const name = manager === 'custom' && runtime?.dir
+            ? `Custom (${runtime.dir.split('/').filter(Boolean).pop()})`
+            : NODE_RUNTIME_NAMES[manager];
+        return `<option value="${manager}">${escapeHtml(name)}</option>`;
+    }).join('');
+    elements.nodeRuntimeSelect.value = runtime?.manager || 'system';
+    elements.nodeRuntimeSelect.title = runtime?.dir ? `Node Runtime: ${runtime.dir}` : 'Node Runtime';
+    elements.nodeRuntimeSelect.classList.remove('hidden');
+
+    const constraint = tab.project.nodeConstraint;
+    const required = constraint ? `Requires ${constraint.range} (${constraint.source})` : 'No Node version pinned';
+    const warn = !!info && (!!info.error || info.satisfied === false);
+    elements.nodeVersions.textContent = !info
+        ? 'Node …'
+        : info.error && !info.node
+            ? '⚠ Node unavailable'
+            : `${warn ? '⚠ ' : ''}Node ${info.node} · npm ${info.npm || '?'}`;
+    elements.nodeVersions.title = info?.error ? `${info.error}\n${required}` : required;
+    elements.nodeVersions.classList.toggle('mismatch', warn);
+    elements.nodeVersions.classList.remove('hidden');
+}
+
+// Ask the backend which node/npm the selected runtime gives, warning in the console when it changes
+// to something that doesn't satisfy the project's constraint
+async function refreshNodeVersions(tab) {
+    if (!tab || !tab.project) return;
+    const projectPath = tab.project.projectPath;
+    try {
+        const info = await invoke('node_versions', { projectPath, runtime: getNodeRuntime(tab) });
+        if (tab.project?.projectPath !== projectPath) return;
+        const changed = JSON.stringify(info) !== JSON.stringify(tab.nodeVersions);
+        tab.nodeVersions = info;
+        const constraint = tab.project.nodeConstraint;
+        if (changed && info.error) {
+            appendConsoleTo(tab.consoleEl, `⚠ ${info.error}\n`, 'warning');
+        } else if (changed && info.satisfied === false) {
+            appendConsoleTo(tab.consoleEl, `⚠ Node ${info.node} doesn't satisfy ${constraint.range} from ${constraint.source}\n`, 'warning');
+        }
+    } catch (e) {
+        console.error('Failed to read Node versions:', e);
+    }
+    if (activeTabId === tab.id) renderNodeRuntime(tab);
+}
+
+// Accessors for current tab
+function getTab() { return tabs.get(activeTabId); }
+function getConsole() { return getTab()?.consoleEl; }
+
+// Label matching the backend's script_label, e.g. "@acme/web › dev"
+function scriptLabel(name, workspace) {
+    return workspace ? `${workspace} › ${name}` : name;
+}
+
+// Selected workspace package name, or null when the root project is selected
+function getActiveWorkspace(tab) {
+    if (!tab || !tab.project || !tab.selectedWorkspace) return null;
+    const exists = (tab.project.workspaces || []).some(w => w.name === tab.selectedWorkspace);
+    return exists ? tab.selectedWorkspace : null;
+}
+
+function getActivePackage(tab) {
+    const workspace = getActiveWorkspace(tab);
+    if (!workspace) return tab.project;
+    return tab.project.workspaces.find(w => w.name === workspace);
+}
+
+const DROP_ZONE_HTML = `
+    <div class="console-welcome" id="dropZone">
+        <div class="drop-icon">
+            <svg width="64" height="64" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
+                <path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"></path>
+                <path d="M12 11v6"></path>
+                <path d="M9 14l3 3 3-3"></path>
+            </svg>
+        </div>
+        <h3>DROP FOLDER HERE</h3>
+        <p class="hint">or select a project to get started</p>
+    </div>
+`;
+
+// ANSI code regex to strip terminal colors
+const ANSI_REGEX = /[\u001b\u009b][[()#;?]*(?:[0-9]{1,4}(?:;[0-9]{0,4})*)?[0-9A-ORZcf-nqry=><]/g;
+
+// Escape text from package metadata (advisory titles, ranges like "<1.2.6") before using it in HTML
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function stripAnsi(text) {
+    return text.replace(ANSI_REGEX, '');
+}
+
+// DOM Elements
+const elements = {
+    projectName: document.getElementById('projectName'),
+    projectPath: document.getElementById('projectPath'),
+    pmSelect: document.getElementById('pmSelect'),
+    nodeRuntimeSelect: document.getElementById('nodeRuntimeSelect'),
+    nodeVersions: document.getElementById('nodeVersions'),
+    console: document.getElementById('console'),
+    scriptsBar: document.getElementById('scriptsBar'),
+    sidebar: document.getElementById('sidebar'),
+    sidebarToggle: document.getElementById('sidebarToggle'),
+    depsList: document.getElementById('depsList'),
+    devDepsList: document.getElementById('devDepsList'),
+    addPackageForm: document.getElementById('addPackageForm'),
+    addPackageInput: document.getElementById('addPackageInput'),
+    addPackageType: document.getElementById('addPackageType'),
+    addPackageBtn: document.getElementById('addPackageBtn'),
+    outdatedSection: document.getElementById('outdatedSection'),
+    outdatedList: document.getElementById('outdatedList'),
+    checkOutdatedBtn: document.getElementById('checkOutdatedBtn'),
+    updateWantedBtn: document.getElementById('updateWantedBtn'),
+    viewTreeBtn: document.getElementById('viewTreeBtn'),
+    treeView: document.getElementById('treeView'),
+    treeMeta: document.getElementById('treeMeta'),
+    treeSearchInput: document.getElementById('treeSearchInput'),
+    treeCloseBtn: document.getElementById('treeCloseBtn'),
+    treeBody: document.getElementById('treeBody'),
+    auditSection: document.getElementById('auditSection'),
+    auditList: document.getElementById('auditList'),
+    auditFixBtn: document.getElementById('auditFixBtn'),
+    auditForceFixBtn: document.getElementById('auditForceFixBtn'),
+    extraneousSection: document.getElementById('extraneousSection'),
+    extraneousList: document.getElementById('extraneousList'),
+    envSection: document.getElementById('envSection'),
+    envProfileSelect: document.getElementById('envProfileSelect'),
+    envProfileEditBtn: document.getElementById('envProfileEditBtn'),
+    envReloadBtn: document.getElementById('envReloadBtn'),
+    envWarning: document.getElementById('envWarning'),
+    envFiles: document.getElementById('envFiles'),
+    envProfileModal: document.getElementById('envProfileModal'),
+    envProfileTitle: document.getElementById('envProfileTitle'),
+    envProfileName: document.getElementById('envProfileName'),
+    envProfileVars: document.getElementById('envProfileVars'),
+    envProfileError: document.getElementById('envProfileError'),
+    envProfileDeleteBtn: document.getElementById('envProfileDeleteBtn'),
+    envProfileCancelBtn: document.getElementById('envProfileCancelBtn'),
+    envProfileSaveBtn: document.getElementById('envProfileSaveBtn'),
+    workspacesSection: document.getElementById('workspacesSection'),
+    workspacesList: document.getElementById('workspacesList'),
+    depsStatus: document.getElementById('depsStatus'),
+    selectFolderBtn: document.getElementById('selectFolderBtn'),
+    selectFolderBtnText: document.getElementById('selectFolderBtnText'),
+    openFinderBtn: document.getElementById('openFinderBtn'),
+    commandModal: document.getElementById('commandModal'),
+    commandTitle: document.getElementById('commandTitle'),
+    commandLabel: document.getElementById('commandLabel'),
+    commandLine: document.getElementById('commandLine'),
+    commandCwd: document.getElementById('commandCwd'),
+    commandIcon: document.getElementById('commandIcon'),
+    commandError: document.getElementById('commandError'),
+    commandDeleteBtn: document.getElementById('commandDeleteBtn'),
+    commandCancelBtn: document.getElementById('commandCancelBtn'),
+    commandSaveBtn: document.getElementById('commandSaveBtn'),
+    pipelineBar: document.getElementById('pipelineBar'),
+    pipelineModal: document.getElementById('pipelineModal'),
+    pipelineTitle: document.getElementById('pipelineTitle'),
+    pipelineName: document.getElementById('pipelineName'),
+    pipelineMode: document.getElementById('pipelineMode'),
+    pipelineSteps: document.getElementById('pipelineSteps'),
+    pipelineStepSelect: document.getElementById('pipelineStepSelect'),
+    pipelineAddStepBtn: document.getElementById('pipelineAddStepBtn'),
+    pipelineError: document.getElementById('pipelineError'),
+    pipelineDeleteBtn: document.getElementById('pipelineDeleteBtn'),
+    pipelineCancelBtn: document.getElementById('pipelineCancelBtn'),
+    pipelineSaveBtn: document.getElementById('pipelineSaveBtn'),
+    runWithModal: document.getElementById('runWithModal'),
+    runWithTitle: document.getElementById('runWithTitle'),
+    runWithArgs: document.getElementById('runWithArgs'),
+    runWithEnv: document.getElementById('runWithEnv'),
+    runWithPresetName: document.getElementById('runWithPresetName'),
+    runWithKeepAlive: document.getElementById('runWithKeepAlive'),
+    runWithMaxRestarts: document.getElementById('runWithMaxRestarts'),
+    runWithWatch: document.getElementById('runWithWatch'),
+    runWithInterruptTimeout: document.getElementById('runWithInterruptTimeout'),
+    runWithTerminateTimeout: document.getElementById('runWithTerminateTimeout'),
+    runWithError: document.getElementById('runWithError'),
+    runWithDeleteBtn: document.getElementById('runWithDeleteBtn'),
+    runWithCancelBtn: document.getElementById('runWithCancelBtn'),
+    runWithSaveBtn: document.getElementById('runWithSaveBtn'),
+    runWithRunBtn: document.getElementById('runWithRunBtn'),
+    openEditorBtn: document.getElementById('openEditorBtn'),
+    editorSelect: document.getElementById('editorSelect'),
+    clearProjectBtn: document.getElementById('clearProjectBtn'),
+    clearConsoleBtn: document.getElementById('clearConsoleBtn'),
+    urlBar: document.getElementById('urlBar'),
+    urlList: document.getElementById('urlList'),
+    dropOverlay: document.getElementById('dropOverlay'),
+    copyErrorsBtn: document.getElementById('copyErrorsBtn'),
+    copyAllBtn: document.getElementById('copyAllBtn'),
+    killAllPortsBtn: document.getElementById('killAllPortsBtn'),
+    contextMenu: document.getElementById('contextMenu'),
+    ctxCopyAll: document.getElementById('ctxCopyAll'),
+    ctxCopyErrors: document.getElementById('ctxCopyErrors'),
+    ctxCopyWarnings: document.getElementById('ctxCopyWarnings'),
+    tabsContainer: document.getElementById('tabsContainer'),
+    addTabBtn: document.getElementById('addTabBtn'),
+    historyBtn: document.getElementById('historyBtn'),
+    historyMenu: document.getElementById('historyMenu'),
+    historyList: document.getElementById('historyList'),
+    consoleContainer: document.getElementById('console').parentElement, // use parent as container
+    portsView: document.getElementById('portsView'),
+    portsList: document.getElementById('portsList'),
+    viewPortsBtn: document.getElementById('viewPortsBtn'),
+    consoleHeader: document.querySelector('.console-header'),
+    findBar: document.getElementById('findBar'),
+    findInput: document.getElementById('findInput'),
+    findCaseBtn: document.getElementById('findCaseBtn'),
+    findRegexBtn: document.getElementById('findRegexBtn'),
+    findCount: document.getElementById('findCount'),
+    findPrevBtn: document.getElementById('findPrevBtn'),
+    findNextBtn: document.getElementById('findNextBtn'),
+    findCloseBtn: document.getElementById('findCloseBtn'),
+    streamBar: document.getElementById('streamBar'),
+    problemsPanel: document.getElementById('problemsPanel'),
+    problemsSummary: document.getElementById('problemsSummary'),
+    problemsList: document.getElementById('problemsList'),
+    problemsClearBtn: document.getElementById('problemsClearBtn'),
+    problemsCloseBtn: document.getElementById('problemsCloseBtn'),
+
+    // Custom Modal Elements
+    customModal: document.getElementById('customModal'),
+    customModalTitle: document.getElementById('customModalTitle'),
+    customModalMessage: document.getElementById('customModalMessage'),
+    customModalInput: document.getElementById('customModalInput'),
+    customModalCancel: document.getElementById('customModalCancel'),
+    customModalConfirm: document.getElementById('customModalConfirm')
+};
+
+// Custom Confirm Helper
+function showCustomConfirm(message, title = 'Confirm') {
+    return new Promise((resolve) => {
+        elements.customModalTitle.textContent = title;
+        elements.customModalMessage.textContent = message;
+        elements.customModal.classList.remove('hidden');
+
+        const cleanup = () => {
+            elements.customModal.classList.add('hidden');
+            elements.customModalCancel.removeEventListener('click', onCancel);
+            elements.customModalConfirm.removeEventListener('click', onConfirm);
+        };
+
+        const onCancel = () => {
+            cleanup();
+            resolve(false);
+        };
+
+        const onConfirm = () => {
+            cleanup();
+            resolve(true);
+        };
+
+        elements.customModalCancel.addEventListener('click', onCancel);
+        elements.customModalConfirm.addEventListener('click', onConfirm);
+    });
+}
+
+// Same modal with a text field; resolves to the entered text, or null when cancelled
+function showCustomPrompt(message, title = 'Input', value = '') {
+    return new Promise((resolve) => {
+        elements.customModalTitle.textContent = title;
+        elements.customModalMessage.textContent = message;
+        elements.customModalInput.value = value;
+        elements.customModalInput.classList.remove('hidden');
+        elements.customModal.classList.remove('hidden');
+        elements.customModalInput.focus();
+        elements.customModalInput.select();
+
+        const cleanup = () => {
+            elements.customModal.classList.add('hidden');
+            elements.customModalInput.classList.add('hidden');
+            elements.customModalCancel.removeEventListener('click', onCancel);
+            elements.customModalConfirm.removeEventListener('click', onConfirm);
+            elements.customModalInput.removeEventListener('keydown', onKeydown);
+        };
+
+        const onCancel = () => {
+            cleanup();
+            resolve(null);
+        };
+
+        const onConfirm = () => {
+            cleanup();
+            resolve(elements.customModalInput.value);
+        };
+
+        const onKeydown = (e) => {
+            if (e.key === 'Enter') onConfirm();
+            else if (e.key === 'Escape') onCancel();
+        };
+
+        elements.customModalCancel.addEventListener('click', onCancel);
+        elements.customModalConfirm.addEventListener('click', onConfirm);
+        elements.customModalInput.addEventListener('keydown', onKeydown);
+    });
+}
+
+// Initialize
+async function init() {
+    loadHistory();
+    loadPackageManagerOverrides();
+    loadNodeRuntimes();
+    loadEnvProfiles();
+    loadEditorSettings();
+    loadScriptPresets();
+    loadCustomCommands();
+    loadPipelines();
+    loadRestartSettings();
+    loadSessionSettings();
+    loadScrollbackLimit();
+    setupManualDrag();
+    setupEventListeners();
+    setupDragDrop();
+    setupContextMenu();
+
+    await setupTauriListeners();
+    setupTabs();
+
+    // Remove the static placeholder console so only tab consoles are shown
+    if (elements.console) elements.console.remove();
+
+    // Reopen the previous session, or start with one tab on the last project
+    const restored = await restoreSession();
+    if (!restored) await createNewTab();
+    isInitialStartup = false;
+
+    sessionReady = true;
+    saveSession();
+    setInterval(saveSession, SESSION_SAVE_INTERVAL);
+    window.addEventListener('beforeunload', saveSession);
+}
+
+// Setup Tauri event listeners
+async function setupTauriListeners() {
+    // Script output
+    await listen('script-output', (event) => {
+        const data = event.payload;
+        const targetTabId = data.tab_id;
+        const targetTab = tabs.get(targetTabId);
+
+        if (!targetTab) return;
+
+        // Output arrives in batches; classify each line on its own
+        const lines = data.data.match(/[^\n]*\n|[^\n]+$/g) || [];
+        lines.forEach(line => {
+            const cleanText = stripAnsi(line);
+            let type = '';
+            if (data.type === 'stderr') {
+                if (cleanText.toLowerCase().includes('warning') || cleanText.includes('WARN')) {
+                    type = 'warning';
+                } else {
+                    type = 'error';
+                }
+            } else {
+                const lower = cleanText.toLowerCase();
+                if (lower.includes('error:') || lower.includes('fail') || lower.includes('exception')) {
+                    type = 'error';
+                } else if (lower.includes('warn') || lower.includes('warning:')) {
+                    type = 'warning';
+                }
+            }
+
+            appendConsoleTo(targetTab.consoleEl, line, type, data.script);
+        });
+        collectProblems(targetTab, data.script, lines);
+        checkForUrl(stripAnsi(data.data), targetTab, data.script);
+    });
+
+    // Script exit
+    await listen('script-exit', (event) => {
+        const data = event.payload;
+        const targetTabId = data.tab_id;
+        const targetTab = tabs.get(targetTabId);
+
+        if (!targetTab) return;
+
+        targetTab.runningScripts.delete(data.script);
+        targetTab.stoppingScripts.delete(data.script);
+        removeScriptUrls(targetTab, data.script);
+        if (activeTabId === targetTabId) {
+            updateScriptButtons();
+        }
+        scheduleSessionSave();
+
+        if (data.stopped) {
+            const how = data.graceful ? `after ${data.signal}` : `with ${data.signal}: it didn't stop in time`;
+            appendConsoleTo(targetTab.consoleEl, `\n■ Script '${data.script}' stopped ${how}\n`, data.graceful ? 'info' : 'warning', data.script);
+            setPaneStatus(targetTab.consoleEl, data.script, 'stopped', data.signal);
+        } else {
+            const type = data.code === 0 ? 'success' : 'error';
+            const how = data.signal ? `was killed by ${data.signal}` : `exited with code ${data.code}`;
+            appendConsoleTo(targetTab.consoleEl, `\n${data.code === 0 ? '✓' : '✗'} Script '${data.script}' ${how}\n`, type, data.script);
+            setPaneStatus(targetTab.consoleEl, data.script, data.code === 0 ? 'exited' : 'failed', data.signal || data.code);
+        }
+        settleExit(targetTab, data.script, data.code);
+        // A stop we asked for is never a crash
+        if (!data.stopped) scheduleRestart(targetTab, data.script, data.code);
+    });
+
+    // package.json, a lockfile or node_modules changed outside the app
+    await listen('project-changed', (event) => {
+        const data = event.payload;
+        const targetTab = tabs.get(data.tab_id);
+        if (!targetTab || !targetTab.project) return;
+        scheduleProjectReload(targetTab, data.paths);
+    });
+
+    // Watched files of a script changed
+    await listen('file-change', (event) => {
+        const data = event.payload;
+        const targetTab = tabs.get(data.tab_id);
+        if (!targetTab) return;
+        restartForChange(targetTab, data.script, data.paths);
+    });
+}
+
+// Copy text and flash the button as feedback
+async function copyToClipboard(text, btn) {
+    if (!text) return;
+    try {
+        await navigator.clipboard.writeText(text);
+        const originalHTML = btn.innerHTML;
+        const originalWidth = btn.offsetWidth;
+
+        btn.classList.add('btn-success');
+        btn.textContent = 'Copied!';
+        btn.style.width = `${originalWidth}px`; // Prevent layout shift
+
+        setTimeout(() => {
+            btn.innerHTML = originalHTML;
+            btn.classList.remove('btn-success');
+            btn.style.width = '';
+        }, 1000);
+    } catch (e) {
+        console.error('Failed to copy:', e);
+    }
+}
+
+// Setup Manual Dragging
+function setupManualDrag() {
+    const dragRegions = [
+        document.querySelector('.titlebar-spacer'),
+        document.querySelector('.header')
+    ];
+
+    dragRegions.forEach(region => {
+        if (!region) return;
+        region.addEventListener('mousedown', (e) => {
+            // Check if the click is on a button or an interactive element
+            if (e.target.closest('button') ||
+                e.target.closest('.btn') ||
+                e.target.closest('.sidebar-toggle') ||
+                e.target.closest('input')) {
+                return;
+            }
+
+            // Start dragging on left click
+            if (e.buttons === 1) {
+                appWindow.startDragging();
+            }
+        });
+    });
+}
+
+// Event Listeners
+function setupEventListeners() {
+    // Sidebar toggle
+    elements.sidebarToggle.addEventListener('click', () => {
+        elements.sidebar.classList.toggle('collapsed');
+        scheduleSessionSave();
+    });
+
+    // Select folder
+    elements.selectFolderBtn.addEventListener('click', async () => {
+        const folder = await open({
+            directory: true,
+            multiple: false,
+            title: 'Select Project Folder'
+        });
+        if (folder) {
+            await loadProject(folder);
+        }
+    });
+
+    // Package manager override
+    elements.pmSelect.addEventListener('change', () => {
+        const tab = getTab();
+        if (!tab || !tab.project) return;
+        const value = elements.pmSelect.value;
+        setPackageManagerOverride(tab.project.projectPath, value === 'auto' ? null : value);
+        appendConsoleTo(tab.consoleEl, `→ Using ${getPackageManager(tab)} for this project\n`, 'info');
+        // Audit and its fixes depend on the manager
+        renderDepsStatus(tab);
+        renderAudit(tab);
+    });
+
+    // Node runtime: the login shell's node, a version manager, or a Node folder picked here
+    elements.nodeRuntimeSelect.addEventListener('change', async () => {
+        const tab = getTab();
+        if (!tab || !tab.project) return;
+        const manager = elements.nodeRuntimeSelect.value;
+        let dir = null;
+        if (manager === 'custom') {
+            dir = await open({ directory: true, title: 'Select a Node.js Installation' });
+            if (!dir) {
+                renderNodeRuntime(tab);
+                return;
+            }
+        }
+        setNodeRuntime(tab.project.projectPath, manager === 'system' ? null : { manager, dir });
+        const name = dir || NODE_RUNTIME_NAMES[manager];
+        appendConsoleTo(tab.consoleEl, `→ Running scripts and installs with ${name} for this project\n`, 'info');
+        tab.nodeVersions = null;
+        renderNodeRuntime(tab);
+        refreshNodeVersions(tab);
+    });
+
+    // Open in Editor
+    renderEditorSelect();
+    elements.editorSelect.addEventListener('change', async () => {
+        const editor = elements.editorSelect.value;
+        if (editor === 'custom' && !await promptEditorCommand()) {
+            elements.editorSelect.value = editorSettings.editor;
+            return;
+        }
+        editorSettings.editor = editor;
+        saveEditorSettings();
+        renderEditorSelect();
+    });
+    elements.openEditorBtn.addEventListener('click', () => openInEditor(getTab()));
+
+    // Run with… form
+    elements.runWithCancelBtn.addEventListener('click', closeRunWith);
+    elements.runWithModal.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeRunWith();
+    });
+    elements.runWithSaveBtn.addEventListener('click', () => {
+        const tab = tabs.get(runWithContext?.tabId);
+        const preset = tab && readRunWithForm(true);
+        const restart = preset && readRestartForm();
+        if (!restart) return;
+        setRestartSettings(tab, scriptLabel(preset.script, preset.workspace), restart);
+        savePreset(tab, preset);
+        closeRunWith();
+    });
+    elements.runWithRunBtn.addEventListener('click', () => {
+        const tab = tabs.get(runWithContext?.tabId);
+        const preset = tab && readRunWithForm(false);
+        const restart = preset && readRestartForm();
+        if (!restart) return;
+        setRestartSettings(tab, scriptLabel(preset.script, preset.workspace), restart);
+        if (preset.name) {
+            savePreset(tab, preset);
+        } else {
+            renderActivePackage(tab);
+        }
+        const { name, workspace } = runWithContext;
+        closeRunWith();
+        runScript(name, tab.id, workspace, presetOptions(preset));
+    });
+    elements.runWithDeleteBtn.addEventListener('click', () => {
+        const tab = tabs.get(runWithContext?.tabId);
+        const presetName = runWithContext?.preset?.name;
+        if (tab && presetName) {
+            setPresets(tab, getPresets(tab).filter(p => p.name !== presetName));
+            renderActivePackage(tab);
+        }
+        closeRunWith();
+    });
+
+    // Custom command editor
+    elements.commandCancelBtn.addEventListener('click', closeCommandEditor);
+    elements.commandSaveBtn.addEventListener('click', saveCommandEditor);
+    elements.commandModal.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeCommandEditor();
+        else if (e.key === 'Enter') saveCommandEditor();
+    });
+    elements.commandDeleteBtn.addEventListener('click', async () => {
+        const tab = tabs.get(commandContext?.tabId);
+        const label = commandContext?.command?.label;
+        if (tab && label) {
+            if (tab.runningScripts.has(label)) await stopScript(label, tab.id);
+            setCustomCommands(tab, getCustomCommands(tab).filter(c => c.label !== label));
+            renderActivePackage(tab);
+        }
+        closeCommandEditor();
+    });
+
+    // Environment panel and profile editor
+    elements.envProfileSelect.addEventListener('change', () => {
+        const tab = getTab();
+        if (!tab || !tab.project) return;
+        const value = elements.envProfileSelect.value;
+        if (value === '__new') {
+            openEnvProfileEditor(tab);
+            return;
+        }
+        setEnvProfiles(tab, { ...getEnvProfiles(tab), active: value || null });
+        appendConsoleTo(tab.consoleEl, value
+            ? `→ Scripts and installs use the "${value}" environment profile\n`
+            : '→ No environment profile for this project\n', 'info');
+        renderEnvironment(tab);
+    });
+    elements.envProfileEditBtn.addEventListener('click', () => {
+        const tab = getTab();
+        openEnvProfileEditor(tab, getActiveEnvProfile(tab));
+    });
+    elements.envReloadBtn.addEventListener('click', () => loadEnvFiles(getTab()));
+    elements.envProfileCancelBtn.addEventListener('click', closeEnvProfileEditor);
+    elements.envProfileSaveBtn.addEventListener('click', saveEnvProfileEditor);
+    elements.envProfileModal.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeEnvProfileEditor();
+    });
+    elements.envProfileDeleteBtn.addEventListener('click', () => {
+        const tab = tabs.get(envProfileContext?.tabId);
+        const name = envProfileContext?.profile?.name;
+        if (tab && name) {
+            const data = getEnvProfiles(tab);
+            setEnvProfiles(tab, {
+                active: data.active === name ? null : data.active,
+                profiles: data.profiles.filter(p => p.name !== name)
+            });
+        }
+        closeEnvProfileEditor();
+    });
+
+    // Pipeline editor
+    elements.pipelineCancelBtn.addEventListener('click', closePipelineEditor);
+    elements.pipelineSaveBtn.addEventListener('click', savePipelineEditor);
+    elements.pipelineModal.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closePipelineEditor();
+    });
+    elements.pipelineAddStepBtn.addEventListener('click', () => {
+        if (!pipelineContext || !elements.pipelineStepSelect.value) return;
+        pipelineContext.steps.push(JSON.parse(elements.pipelineStepSelect.value));
+        renderPipelineSteps();
+    });
+    elements.pipelineDeleteBtn.addEventListener('click', () => {
+        const tab = tabs.get(pipelineContext?.tabId);
+        const name = pipelineContext?.pipeline?.name;
+        if (tab && name) {
+            setPipelines(tab, getPipelines(tab).filter(p => p.name !== name));
+            renderActivePackage(tab);
+        }
+        closePipelineEditor();
+    });
+
+    // Open in Finder
+    elements.openFinderBtn.addEventListener('click', async () => {
+        const project = getTab()?.project;
+        if (project && project.projectPath) {
+            try {
+                await revealItemInDir(project.projectPath);
+            } catch (e) {
+                console.error('Failed to open in Finder:', e);
+            }
+        }
+    });
+
+    // Clear Project
+    let clearBtnState = 0;
+    let clearBtnInterval = null;
+    let clearBtnCountdown = 3;
+
+    window.resetClearButton = function () {
+        if (clearBtnInterval) clearInterval(clearBtnInterval);
+        clearBtnState = 0;
+        if (elements.clearProjectBtn) {
+            elements.clearProjectBtn.classList.remove('btn-confirming');
+            elements.clearProjectBtn.innerHTML = `
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M18 6L6 18M6 6l12 12"></path>
+                </svg>
+                Exit Project
+            `;
+        }
+    };
+
+    elements.clearProjectBtn.addEventListener('click', async () => {
+        const tab = getTab();
+        if (!tab) return;
+
+        if (clearBtnState === 0) {
+            clearBtnState = 1;
+            clearBtnCountdown = 3;
+            elements.clearProjectBtn.classList.add('btn-confirming');
+            elements.clearProjectBtn.innerHTML = `Confirm Close (3)`;
+
+            clearBtnInterval = setInterval(() => {
+                clearBtnCountdown--;
+                if (clearBtnCountdown <= 0) {
+                    window.resetClearButton();
+                } else {
+                    elements.clearProjectBtn.innerHTML = `Confirm Close (${clearBtnCountdown})`;
+                }
+            }, 1000);
+            return;
+        }
+
+        if (clearBtnState === 1) {
+            window.resetClearButton();
+            // Stop any running scripts first
+            for (const script of tab.runningScripts) {
+                await stopScript(script);
+            }
+
+            if (tab.project) {
+                updateHistoryOnClose(tab.project.projectPath);
+            }
+            unwatchProject(tab);
+            tab.project = null;
+            scheduleSessionSave();
+            tab.el.querySelector('.tab-title').textContent = 'New Project';
+            elements.projectName.textContent = 'Select a Project';
+            elements.projectPath.textContent = 'No project loaded';
+            clearConsole(tab.consoleEl, DROP_ZONE_HTML);
+            elements.scriptsBar.innerHTML = '<div class="no-scripts">Load a project to see available scripts</div>';
+            elements.depsList.innerHTML = '';
+            elements.devDepsList.innerHTML = '';
+            tab.selectedWorkspace = null;
+            tab.outdated = null;
+            [...tab.restarts.keys()].forEach(label => cancelRestart(tab, label));
+            tab.problems.clear();
+            renderProblems(tab);
+            hideProjectSections();
+            elements.depsStatus.className = 'deps-status';
+            elements.depsStatus.innerHTML = '<span class="status-dot"></span><span>Not loaded</span>';
+            elements.clearProjectBtn.classList.add('hidden');
+            elements.openFinderBtn.classList.add('hidden');
+            elements.openEditorBtn.classList.add('hidden');
+            elements.editorSelect.classList.add('hidden');
+            elements.pmSelect.classList.add('hidden');
+            renderNodeRuntime(null);
+            if (elements.killAllPortsBtn) elements.killAllPortsBtn.classList.add('hidden');
+            elements.selectFolderBtnText.textContent = 'Open Project';
+            tab.urls.clear();
+            updateScriptButtons();
+            elements.urlBar.style.display = 'none';
+        }
+    });
+
+    // Clear console
+    elements.clearConsoleBtn.addEventListener('click', () => {
+        const tab = getTab();
+        if (tab) clearActivePane(tab);
+    });
+
+    // Kill All Ports
+    if (elements.killAllPortsBtn) {
+        elements.killAllPortsBtn.addEventListener('click', async () => {
+            const originalText = elements.killAllPortsBtn.innerHTML;
+            elements.killAllPortsBtn.textContent = 'Killing Ports...';
+            elements.killAllPortsBtn.disabled = true;
+            try {
+                await killAllPorts();
+            } finally {
+                elements.killAllPortsBtn.innerHTML = originalText;
+                elements.killAllPortsBtn.disabled = false;
+            }
+        });
+    }
+
+    // Click on Drop Zone to select folder
+    document.addEventListener('click', (e) => {
+        const dropZone = e.target.closest('#dropZone');
+        // Only trigger if in the active console
+        if (dropZone && dropZone.closest('.console') === getConsole()) {
+            elements.selectFolderBtn.click();
+        }
+    });
+
+    // Scrollback limit, level filters and problems
+    bindScrollbackSelect();
+    bindKeepHistoryButton();
+    bindConsoleFilters();
+    bindProblemsButton();
+    elements.problemsCloseBtn.addEventListener('click', () => toggleProblemsPanel(false));
+    elements.problemsClearBtn.addEventListener('click', () => {
+        const tab = getTab();
+        if (!tab) return;
+        tab.problems.clear();
+        renderProblems(tab);
+    });
+
+    // Find in console
+    elements.findInput.addEventListener('input', () => runConsoleSearch(getConsole()));
+    elements.findInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            stepConsoleSearch(e.shiftKey ? -1 : 1);
+        } else if (e.key === 'Escape') {
+            closeFindBar();
+        }
+    });
+    [elements.findCaseBtn, elements.findRegexBtn].forEach(btn => {
+        btn.addEventListener('click', () => {
+            btn.classList.toggle('active');
+            runConsoleSearch(getConsole());
+        });
+    });
+    elements.findPrevBtn.addEventListener('click', () => stepConsoleSearch(-1));
+    elements.findNextBtn.addEventListener('click', () => stepConsoleSearch(1));
+    elements.findCloseBtn.addEventListener('click', closeFindBar);
+
+    // Copy All
+    elements.copyAllBtn.addEventListener('click', () => {
+        const cons = getConsole();
+        if (cons) copyToClipboard(getConsoleText(cons), elements.copyAllBtn);
+    });
+
+    // Copy Errors (Left Click)
+    elements.copyErrorsBtn.addEventListener('click', () => {
+        const cons = getConsole();
+        if (!cons) return;
+        const text = getConsoleText(cons, ['error', 'warning']);
+        if (text) {
+            copyToClipboard(text, elements.copyErrorsBtn);
+        } else {
+            appendConsoleTo(cons, '\nNo errors or warnings to copy.\n', 'info');
+        }
+    });
+
+    // Context Menu for Copy Errors
+    elements.copyErrorsBtn.addEventListener('contextmenu', (e) => {
+        e.preventDefault();
+        showContextMenu(e.clientX, e.clientY);
+    });
+
+    // Add package box
+    const submitAddPackage = async () => {
+        const spec = elements.addPackageInput.value;
+        if (!spec.trim()) return;
+        elements.addPackageInput.value = '';
+        await addDependency(getTab(), spec, elements.addPackageType.value === 'dev');
+    };
+    elements.addPackageBtn.addEventListener('click', submitAddPackage);
+    elements.addPackageInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') submitAddPackage();
+    });
+
+    // Outdated packages
+    elements.checkOutdatedBtn.addEventListener('click', () => checkOutdated(getTab()));
+    elements.updateWantedBtn.addEventListener('click', () => {
+        const tab = getTab();
+        upgradeOutdated(tab, getOutdated(tab) || [], 'wanted');
+    });
+
+    // Dependency tree
+    elements.viewTreeBtn.addEventListener('click', () => openDependencyTree(getTab()));
+    elements.treeCloseBtn.addEventListener('click', closeDependencyTree);
+    elements.treeSearchInput.addEventListener('input', () => {
+        const tab = getTab();
+        if (tab) renderDependencyTree(tab);
+    });
+    elements.treeSearchInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeDependencyTree();
+    });
+
+    // Security audit
+    elements.auditFixBtn.addEventListener('click', () => auditFix(getTab(), false));
+    elements.auditForceFixBtn.addEventListener('click', () => auditFix(getTab(), true));
+
+    // Install Dependencies / Audit Handler (delegated)
+    document.addEventListener('click', (e) => {
+        if (e.target.closest('.btn-install-deps')) {
+            installDependencies();
+        } else if (e.target.closest('.btn-audit-deps')) {
+            auditDependencies(getTab());
+        }
+    });
+
+    // History button logic
+    if (elements.historyBtn && elements.historyMenu) {
+        elements.historyBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            elements.historyMenu.classList.toggle('hidden');
+            renderHistoryMenu();
+        });
+    }
+
+    // Hide context menu on click elsewhere
+    document.addEventListener('click', (e) => {
+        if (!e.target.closest('.context-menu')) {
+            if (elements.contextMenu) elements.contextMenu.classList.add('hidden');
+            if (elements.historyMenu) elements.historyMenu.classList.add('hidden');
+        }
+    });
+
+    // CMD+W to close tab, CMD+F to find in the console
+    window.addEventListener('keydown', (e) => {
+        if ((e.metaKey || e.ctrlKey) && e.key === 'w') {
+            e.preventDefault();
+            if (activeTabId) {
+                closeTab(activeTabId);
+            }
+        } else if ((e.metaKey || e.ctrlKey) && e.key === 'f') {
+            e.preventDefault();
+            openFindBar();
+        }
+    });
+
+    // View Ports button
+    if (elements.viewPortsBtn) {
+        let portsViewActive = false;
+        let savedConsoleHeaderHTML = null;
+
+        elements.viewPortsBtn.addEventListener('click', async () => {
+            if (portsViewActive) {
+                exitPortsView();
+            } else {
+                await enterPortsView();
+            }
+        });
+
+        async function enterPortsView() {
+            portsViewActive = true;
+            elements.viewPortsBtn.classList.add('btn-ports-active');
+            elements.viewPortsBtn.innerHTML = `
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M19 12H5M12 19l-7-7 7-7"></path>
+                </svg>
+                Back to Console
+            `;
+
+            // Hide all tab consoles
+            for (const [, tab] of tabs) {
+                tab.consoleEl.classList.add('hidden');
+            }
+            closeFindBar();
+            elements.streamBar.classList.add('hidden');
+
+            // Swap console header
+            savedConsoleHeaderHTML = elements.consoleHeader.innerHTML;
+            elements.consoleHeader.innerHTML = `
+                <h2>Currently Open Ports</h2>
+                <div class="console-actions">
+                    <button class="btn btn-secondary btn-sm" id="portsRefreshListBtn" title="Refresh Port List">
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M23 4v6h-6M1 20v-6h6M3.51 9a9 9 0 0 1 14.85-3.36L23 10M1 14l4.64 4.36A9 9 0 0 0 20.49 15"></path>
+                        </svg>
+                    </button>
+                    <button class="btn btn-danger btn-sm" id="portsKillAllBtn">Kill All</button>
                     <button class="btn btn-secondary btn-sm" id="portsCloseBtn">Close</button>
                 </div>
             `;
 
-            document.getElementById('portsRefreshListBtn').addEventListener('click', async () => {
-                await refreshPortsList();
+            document.getElementById('portsRefreshListBtn').addEventListener('click', async () => {
+                await refreshPortsList();
+            });
+
+            document.getElementById('portsKillAllBtn').addEventListener('click', async () => {
+                await killAllPorts();
+                await refreshPortsList();
+            });
+
+            document.getElementById('portsCloseBtn').addEventListener('click', () => {
+                exitPortsView();
+            });
+
+            // Show ports view
+            elements.portsView.classList.remove('hidden');
+            elements.urlBar.style.display = 'none';
+
+            await refreshPortsList();
+        }
+
+        function exitPortsView() {
+            portsViewActive = false;
+            elements.viewPortsBtn.classList.remove('btn-ports-active');
+            elements.viewPortsBtn.innerHTML = `
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M22 12h-4l-3 9L9 3l-3 9H2"></path>
+                </svg>
+                View All Ports
+            `;
+
+            // Hide ports view
+            elements.portsView.classList.add('hidden');
+
+            // Restore console header
+            if (savedConsoleHeaderHTML) {
+                elements.consoleHeader.innerHTML = savedConsoleHeaderHTML;
+                // Re-bind console header buttons
+                rebindConsoleHeaderButtons();
+                savedConsoleHeaderHTML = null;
+            }
+
+            // Show active tab console again
+            const current = tabs.get(activeTabId);
+            if (current) {
+                current.consoleEl.classList.remove('hidden');
+                scheduleConsoleRender(current.consoleEl);
+                renderStreamBar();
+                renderUrlBar(current);
+            }
+        }
+
+        function rebindConsoleHeaderButtons() {
+            bindScrollbackSelect();
+            bindKeepHistoryButton();
+            bindConsoleFilters();
+            bindProblemsButton();
+            const clearBtn = document.getElementById('clearConsoleBtn');
+            if (clearBtn) {
+                clearBtn.addEventListener('click', () => {
+                    const tab = getTab();
+                    if (tab) clearActivePane(tab);
+                });
+            }
+            const copyAllBtn = document.getElementById('copyAllBtn');
+            if (copyAllBtn) {
+                copyAllBtn.addEventListener('click', () => {
+                    const cons = getConsole();
+                    if (cons) {
+                        navigator.clipboard.writeText(getConsoleText(cons)).catch(() => { });
+                    }
+                });
+            }
+            const copyErrorsBtn = document.getElementById('copyErrorsBtn');
+            if (copyErrorsBtn) {
+                copyErrorsBtn.addEventListener('click', () => {
+                    const cons = getConsole();
+                    if (!cons) return;
+                    const text = getConsoleText(cons, ['error', 'warning']);
+                    if (text) navigator.clipboard.writeText(text).catch(() => { });
+                });
+            }
+        }
+
+        async function refreshPortsList() {
+            elements.portsList.innerHTML = '<div class="ports-loading">Scanning ports...</div>';
+            try {
+                const ports = await invoke('list_open_ports');
+                if (ports.length === 0) {
+                    elements.portsList.innerHTML = '<div class="ports-empty">No listening ports found</div>';
+                    return;
+                }
+                elements.portsList.innerHTML = '';
+                // Ports opened by our own scripts first
+                ports.sort((a, b) => (!a.tab_id - !b.tab_id) || a.port - b.port);
+                ports.forEach(p => {
+                    const ownerTab = p.tab_id && tabs.get(p.tab_id);
+                    const owner = ownerTab
+                        ? `<span class="port-owner" title="Started from NPM Commander">${escapeHtml(ownerTab.project?.name || 'Tab')} › ${escapeHtml(p.script)}</span>`
+                        : '';
+                    const item = document.createElement('div');
+                    item.className = `port-item ${p.tab_id ? 'owned' : ''}`;
+                    item.innerHTML = `
+                        <div class="port-info">
+                            <span class="port-number">:${p.port}</span>
+                            <div class="port-details">
+                                <span class="port-process">${escapeHtml(p.process_name)} ${owner}</span>
+                                <span class="port-pid" title="${escapeHtml(p.tree.join(' ← '))}">PID ${p.pid}${p.tree.length > 1 ? ` · ${escapeHtml(p.tree.slice(1).join(' ← '))}` : ''}</span>
+                            </div>
+                        </div>
+                        <div class="port-actions">
+                            <button class="port-view-btn" data-port="${p.port}">View</button>
+                            <button class="port-refresh-btn" data-port="${p.port}">Refresh</button>
+                            <button class="port-kill-btn" data-port="${p.port}">Kill</button>
+                        </div>
+                    `;
+                    item.querySelector('.port-view-btn').addEventListener('click', async (e) => {
+                        const port = e.target.dataset.port;
+                        try {
+                            await openUrl(`http://localhost:${port}`);
+                        } catch (err) {
+                            console.error('Failed to open port URL:', err);
+                        }
+                    });
+                    item.querySelector('.port-refresh-btn').addEventListener('click', async (e) => {
+                        const port = Number(e.target.dataset.port);
+                        e.target.textContent = 'Reloading...';
+                        e.target.disabled = true;
+                        let delay = 500;
+                        try {
+                            await invoke('reload_browser_tab', { port });
+                        } catch (err) {
+                            // Keep the hint on how to enable remote debugging visible for a moment
+                            console.error('Failed to reload browser tab:', err);
+                            e.target.textContent = 'No tab found';
+                            e.target.title = String(err);
+                            delay = 2500;
+                        }
+                        // Reset button text after a bit
+                        setTimeout(() => {
+                            e.target.textContent = 'Refresh';
+                            e.target.disabled = false;
+                        }, delay);
+                    });
+                    item.querySelector('.port-kill-btn').addEventListener('click', async (e) => {
+                        const port = Number(e.target.dataset.port);
+                        // Ours: stop the script like the Stop button does, so its whole group goes
+                        if (p.tab_id && tabs.has(p.tab_id)) {
+                            await stopScript(p.script, p.tab_id);
+                            await refreshPortsList();
+                            return;
+                        }
+                        // Not one of ours: only kill it when confirmed
+                        const force = !p.tab_id;
+                        if (force) {
+                            const confirmed = await showCustomConfirm(
+                                `Port ${port} belongs to ${p.process_name} (PID ${p.pid}), which NPM Commander didn't start. Kill it anyway?`,
+                                'Kill Port'
+                            );
+                            if (!confirmed) return;
+                        }
+                        e.target.textContent = 'Killing...';
+                        e.target.disabled = true;
+                        try {
+                            await invoke('kill_single_port', { port, force });
+                        } catch (err) {
+                            // E.g. another process took the port since the list was scanned
+                            console.error('Failed to kill port:', err);
+                            e.target.textContent = 'Failed';
+                            e.target.title = String(err);
+                            setTimeout(refreshPortsList, 2500);
+                            return;
+                        }
+                        await refreshPortsList();
+                    });
+                    elements.portsList.appendChild(item);
+                });
+            } catch (e) {
+                elements.portsList.innerHTML = `<div class="ports-empty">Error scanning ports: ${e}</div>`;
+            }
+        }
+
+        // Make refreshPortsList accessible
+        window.refreshPortsList = refreshPortsList;
+    }
+}
+
+// Setup Context Menu Actions
+function setupContextMenu() {
+    elements.ctxCopyAll.addEventListener('click', () => {
+        const cons = getConsole();
+        if (cons) copyToClipboard(getConsoleText(cons), elements.copyErrorsBtn);
+        elements.contextMenu.classList.add('hidden');
+    });
+
+    elements.ctxCopyErrors.addEventListener('click', () => {
+        const cons = getConsole();
+        if (cons) {
+            const text = getConsoleText(cons, ['error']);
+            copyToClipboard(text, elements.copyErrorsBtn);
+        }
+        elements.contextMenu.classList.add('hidden');
+    });
+
+    elements.ctxCopyWarnings.addEventListener('click', () => {
+        const cons = getConsole();
+        if (cons) {
+            const text = getConsoleText(cons, ['warning']);
+            copyToClipboard(text, elements.copyErrorsBtn);
+        }
+        elements.contextMenu.classList.add('hidden');
+    });
+}
+
+function showContextMenu(x, y) {
+    elements.contextMenu.style.left = `${x}px`;
+    elements.contextMenu.style.top = `${y}px`;
+    elements.contextMenu.classList.remove('hidden');
+}
+
+// Drag & Drop
+async function setupDragDrop() {
+    // In Tauri v2, using onDragDropEvent is the recommended and most robust way
+    // to handle native file drops.
+    await appWindow.onDragDropEvent((event) => {
+        if (event.payload.type === 'enter') {
+            elements.dropOverlay.classList.add('visible');
+        } else if (event.payload.type === 'drop') {
+            elements.dropOverlay.classList.remove('visible');
+            const paths = event.payload.paths;
+            if (paths && paths.length > 0) {
+                // Ensure we call loadProject with the dropped path
+                loadProject(paths[0]);
+            }
+        } else if (event.payload.type === 'leave' || event.payload.type === 'cancelled') {
+            elements.dropOverlay.classList.remove('visible');
+        }
+    });
+
+    // Also prevent default browser behavior for these events to avoid conflicts
+    window.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+    }, false);
+
+    window.addEventListener('drop', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+    }, false);
+}
+
+// Load Project
+// `keepConsole` leaves existing output in place; `workspace` selects a package once loaded
+async function loadProject(projectPath, { keepConsole = false, workspace } = {}) {
+    const tab = getTab();
+    if (!tab) return;
+
+    if (tab.project && tab.project.projectPath !== projectPath) {
+        updateHistoryOnClose(tab.project.projectPath);
+    }
+    if (tab.project?.projectPath !== projectPath) {
+        [...tab.restarts.keys()].forEach(label => cancelRestart(tab, label));
+        tab.problems.clear();
+        tab.problemParsers.clear();
+        if (tab.id === activeTabId) renderProblems(tab);
+    }
+
+    // Clear console and reset state for new project
+    if (!keepConsole) clearConsole(tab.consoleEl);
+    tab.urls.clear();
+    if (activeTabId === tab.id) renderUrlBar(tab);
+    tab.nodeVersions = null;
+    tab.envFiles = null;
+    tab.envRevealed.clear();
+
+    appendConsoleTo(tab.consoleEl, `→ Loading project from: ${projectPath}\n`, 'info');
+
+    // Keep the selected workspace when reloading the same project
+    const previousWorkspace = workspace !== undefined
+        ? workspace
+        : (tab.project && tab.project.projectPath === projectPath ? tab.selectedWorkspace : null);
+    tab.dependencyTree = null;
+    if (activeTabId === tab.id) closeDependencyTree();
+
+    try {
+        const result = await invoke('load_project', { path: projectPath });
+
+        tab.project = result;
+        tab.selectedWorkspace = previousWorkspace;
+        // Drop the selection if that workspace no longer exists
+        tab.selectedWorkspace = getActiveWorkspace(tab);
+        addToHistory(result);
+
+        // Update header if active
+        if (activeTabId === tab.id) {
+            if (window.resetClearButton) window.resetClearButton();
+            elements.projectName.textContent = result.name;
+            elements.projectPath.textContent = result.projectPath;
+            renderPackageManagerSelect(tab);
+            renderNodeRuntime(tab);
+        }
+        refreshNodeVersions(tab);
+        tab.el.querySelector('.tab-title').textContent = result.name;
+
+        // Show project-specific buttons
+        elements.clearProjectBtn.classList.remove('hidden');
+        elements.openFinderBtn.classList.remove('hidden');
+        elements.openEditorBtn.classList.remove('hidden');
+        elements.editorSelect.classList.remove('hidden');
+        elements.selectFolderBtnText.textContent = 'Change Project';
+        if (elements.killAllPortsBtn) elements.killAllPortsBtn.classList.remove('hidden');
+
+        // Update dependencies status
+        renderDepsStatus(tab);
+
+        // Render workspaces, then dependencies and scripts of the selected package
+        renderWorkspaces(tab);
+        renderActivePackage(tab);
+        watchProject(tab);
+        scheduleSessionSave();
+
+        appendConsoleTo(tab.consoleEl, `✓ Project loaded: ${result.name} v${result.version} (${getPackageManager(tab)})\n`, 'success');
+    } catch (error) {
+        const errorMsg = error.error || error.message || String(error);
+        appendConsoleTo(tab.consoleEl, `✗ ${errorMsg}\n`, 'error');
+        unwatchProject(tab);
+
+        if (activeTabId === tab.id) {
+            elements.projectName.textContent = 'No Project';
+            elements.projectPath.textContent = projectPath;
+            elements.scriptsBar.innerHTML = '<div class="no-scripts">No package.json found</div>';
+            elements.depsList.innerHTML = '<div class="dep-item"><span class="name" style="color: var(--text-muted);">None</span></div>';
+            elements.devDepsList.innerHTML = '<div class="dep-item"><span class="name" style="color: var(--text-muted);">None</span></div>';
+            hideProjectSections();
+
+            // Ensure buttons are hidden if load fails
+            elements.clearProjectBtn.classList.add('hidden');
+            elements.openFinderBtn.classList.add('hidden');
+            elements.openEditorBtn.classList.add('hidden');
+            elements.editorSelect.classList.add('hidden');
+            elements.pmSelect.classList.add('hidden');
+            renderNodeRuntime(null);
+            elements.selectFolderBtnText.textContent = 'Open Project';
+            if (elements.killAllPortsBtn) elements.killAllPortsBtn.classList.add('hidden');
+        }
+    }
+}
+
+// Reload project state in place, without clearing the console or stopping scripts
+async function refreshProject(tab) {
+    if (!tab || !tab.project) return;
+
+    const projectPath = tab.project.projectPath;
+    try {
+        const result = await invoke('load_project', { path: projectPath });
+        if (tab.project?.projectPath !== projectPath) return;
+        const constraintChanged = JSON.stringify(result.nodeConstraint) !== JSON.stringify(tab.project.nodeConstraint);
+        tab.project = result;
+        if (constraintChanged) refreshNodeVersions(tab);
+        // Workspaces may have been added or removed
+        watchProject(tab);
+        tab.selectedWorkspace = getActiveWorkspace(tab);
+        // The lockfile may have changed; reload the tree if it's on screen
+        tab.dependencyTree = null;
+        if (activeTabId === tab.id && !elements.treeView.classList.contains('hidden')) {
+            openDependencyTree(tab, null, tab.treeFocus);
+        }
+        tab.el.querySelector('.tab-title').textContent = result.name;
+
+        if (activeTabId === tab.id) {
+            elements.projectName.textContent = result.name;
+            renderPackageManagerSelect(tab);
+            renderNodeRuntime(tab);
+            renderDepsStatus(tab);
+            renderWorkspaces(tab);
+            renderActivePackage(tab);
+        }
+    } catch (error) {
+        const errorMsg = error.error || error.message || String(error);
+        appendConsoleTo(tab.consoleEl, `✗ ${errorMsg}\n`, 'error');
+    }
+}
+
+// Watch package.json, lockfiles and node_modules so outside changes show up without reopening
+function watchProject(tab) {
+    // The new watch starts from what was just loaded, so earlier changes are already reflected
+    clearTimeout(tab.projectReloadTimer);
+    tab.projectChanges.clear();
+    invoke('watch_project', { projectPath: tab.project.projectPath, tabId: tab.id })
+        .catch(e => console.error('Failed to watch project:', e));
+}
+
+function unwatchProject(tab) {
+    clearTimeout(tab.projectReloadTimer);
+    tab.projectChanges.clear();
+    invoke('unwatch_project', { tabId: tab.id }).catch(() => { });
+}
+
+// Called on project-changed. Installs touch node_modules for a while, so changes are collected
+// until things settle; our own installs and dependency changes reload when they finish.
+function scheduleProjectReload(tab, paths) {
+    paths.forEach(path => tab.projectChanges.add(path));
+    clearTimeout(tab.projectReloadTimer);
+    tab.projectReloadTimer = setTimeout(async () => {
+        const changed = [...tab.projectChanges];
+        tab.projectChanges.clear();
+        if (!tab.project || tab.installing || tab.dependencyBusy) return;
+
+        const shown = changed.length > 3 ? `${changed.slice(0, 3).join(', ')} and ${changed.length - 3} more` : changed.join(', ');
+        appendConsoleTo(tab.consoleEl, `↻ ${shown} changed on disk, reloading project\n`, 'info');
+        await refreshProject(tab);
+    }, PROJECT_RELOAD_DELAY);
+}
+
+// Render Dependencies Status
+function renderDepsStatus(tab) {
+    if (activeTabId !== tab.id || !tab.project) return;
+
+    // Count across the root and every workspace package
+    const states = [tab.project, ...(tab.project.workspaces || [])]
+        .flatMap(pkg => Object.values(pkg.dependencyStates || {}));
+    const missing = states.filter(s => s.status === 'missing').length;
+    const mismatched = states.filter(s => s.status === 'mismatch').length;
+    // Bun has no audit report to read
+    const auditButton = getPackageManager(tab) === 'bun' ? ''
+        : '<button class="btn btn-secondary btn-audit-deps" title="Check installed packages for known vulnerabilities">Audit</button>';
+    const installButton = `<div class="deps-status-actions">${auditButton}<button class="btn btn-primary btn-install-deps">Install</button></div>`;
+
+    if (missing > 0 || !tab.project.nodeModulesInstalled) {
+        elements.depsStatus.className = 'deps-status missing';
+        elements.depsStatus.innerHTML = `
+            <span class="status-dot"></span>
+            <span>${missing > 0 ? `${missing} ${missing === 1 ? 'dependency' : 'dependencies'} not installed` : 'Dependencies not installed'}</span>
+            ${installButton}
+        `;
+    } else if (mismatched > 0) {
+        elements.depsStatus.className = 'deps-status mismatch';
+        elements.depsStatus.innerHTML = `
+            <span class="status-dot"></span>
+            <span>${mismatched} version ${mismatched === 1 ? 'mismatch' : 'mismatches'}</span>
+            ${installButton}
+        `;
+    } else {
+        elements.depsStatus.className = 'deps-status installed';
+        elements.depsStatus.innerHTML = `
+            <span class="status-dot"></span>
+            <span>All dependencies installed</span>
+            <div class="deps-status-actions">${auditButton}</div>
+        `;
+    }
+
+    renderExtraneous(tab);
+    renderAudit(tab);
+}
+
+// Render packages found in node_modules that nothing declares
+function renderExtraneous(tab) {
+    const extraneous = tab.project?.extraneous || [];
+    elements.extraneousList.innerHTML = '';
+    elements.extraneousSection.classList.toggle('hidden', extraneous.length === 0);
+
+    extraneous.forEach(name => {
+        const item = document.createElement('div');
+        item.className = 'dep-item dep-extraneous';
+        item.innerHTML = `<span class="name" title="${escapeHtml(name)}">${escapeHtml(name)}</span><span class="version">extraneous</span>`;
+        elements.extraneousList.appendChild(item);
+    });
+}
+
+// Hide the sidebar sections that only make sense with a project loaded
+function hideProjectSections() {
+    elements.workspacesSection.classList.add('hidden');
+    elements.addPackageForm.classList.add('hidden');
+    elements.viewTreeBtn.classList.add('hidden');
+    elements.outdatedSection.classList.add('hidden');
+    elements.auditSection.classList.add('hidden');
+    elements.extraneousSection.classList.add('hidden');
+    elements.envSection.classList.add('hidden');
+    closeDependencyTree();
+}
+
+// Folder whose dotenv files the Environment panel shows: the selected workspace package or the root
+function envDir(tab) {
+    return getActivePackage(tab)?.path || tab.project.projectPath;
+}
+
+async function loadEnvFiles(tab) {
+    if (!tab || !tab.project) return;
+    const dir = envDir(tab);
+    try {
+        const files = await invoke('load_env_files', { dir });
+        tab.envFiles = { dir, files };
+    } catch (e) {
+        tab.envFiles = { dir, files: [] };
+        appendConsoleTo(tab.consoleEl, `✗ ${e.error || e.message || String(e)}\n`, 'error');
+    }
+    if (activeTabId === tab.id && envDir(tab) === dir) renderEnvironment(tab);
+}
+
+// Keys from .env.example (and other templates) that neither the real files nor the active profile set
+function missingEnvKeys(tab) {
+    const files = tab.envFiles?.files || [];
+    const defined = new Set(files.filter(f => !f.example).flatMap(f => f.variables.map(v => v.key)));
+    Object.keys(getActiveEnvProfile(tab)?.vars || {}).forEach(key => defined.add(key));
+    return files
+        .filter(f => f.example)
+        .map(f => ({ file: f.name, keys: f.variables.map(v => v.key).filter(key => !defined.has(key)) }))
+        .filter(m => m.keys.length);
+}
+
+// Render the Environment panel: profile picker, dotenv files with masked values, missing keys
+function renderEnvironment(tab) {
+    if (activeTabId !== tab.id || !tab.project) return;
+    elements.envSection.classList.remove('hidden');
+    if (tab.envFiles?.dir !== envDir(tab)) {
+        loadEnvFiles(tab);
+        return;
+    }
+
+    const { active, profiles } = getEnvProfiles(tab);
+    const profile = getActiveEnvProfile(tab);
+    elements.envProfileSelect.innerHTML = '<option value="">No profile</option>' +
+        profiles.map(p => `<option value="${escapeHtml(p.name)}">${escapeHtml(p.name)}</option>`).join('') +
+        '<option value="__new">+ New profile…</option>';
+    elements.envProfileSelect.value = profile ? active : '';
+    elements.envProfileEditBtn.classList.toggle('hidden', !profile);
+
+    const missing = missingEnvKeys(tab);
+    elements.envWarning.innerHTML = missing
+        .map(m => `⚠ Missing from ${escapeHtml(m.file)}: <span class="env-missing-keys">${m.keys.map(escapeHtml).join(', ')}</span>`)
+        .join('<br>');
+    elements.envWarning.classList.toggle('hidden', missing.length === 0);
+
+    const files = tab.envFiles.files;
+    elements.envFiles.innerHTML = files.length ? '' : '<div class="section-empty">No .env files in this package</div>';
+    const overridden = profile?.vars || {};
+    files.forEach(file => {
+        const group = document.createElement('div');
+        group.className = 'env-file';
+        group.innerHTML = `
+            <div class="env-file-header">
+                <span class="env-file-name">${escapeHtml(file.name)}</span>
+                <span class="version">${file.variables.length}</span>
+                <button class="dep-action" title="Add a variable to ${escapeHtml(file.name)}">+</button>
+            </div>
+        `;
+        group.querySelector('.dep-action').addEventListener('click', () => addEnvVariable(tab, file.name));
+
+        file.variables.forEach(variable => {
+            const id = `${file.name}:${variable.key}`;
+            // Templates hold placeholders, not secrets
+            const shown = file.example || tab.envRevealed.has(id);
+            const item = document.createElement('div');
+            item.className = `dep-item env-item ${overridden[variable.key] !== undefined && !file.example ? 'env-overridden' : ''}`;
+            item.innerHTML = `
+                <span class="name" title="${overridden[variable.key] !== undefined ? `Overridden by the ${escapeHtml(active)} profile` : escapeHtml(variable.key)}">${escapeHtml(variable.key)}</span>
+                <span class="env-value ${shown ? '' : 'masked'}" title="${shown ? '' : 'Click to reveal'}">${shown ? escapeHtml(variable.value) : '••••••'}</span>
+                <div class="dep-actions">
+                    <button class="dep-action" data-action="edit" title="Edit">✎</button>
+                    <button class="dep-action" data-action="delete" title="Remove">×</button>
+                </div>
+            `;
+            item.querySelector('.env-value').addEventListener('click', () => {
+                if (file.example) return;
+                if (!tab.envRevealed.delete(id)) tab.envRevealed.add(id);
+                renderEnvironment(tab);
+            });
+            item.querySelector('[data-action="edit"]').addEventListener('click', async () => {
+                const value = await showCustomPrompt(`Value of ${variable.key} in ${file.name}`, 'Edit Variable', variable.value);
+                if (value !== null) saveEnvVariable(tab, file.name, variable.key, value);
+            });
+            item.querySelector('[data-action="delete"]').addEventListener('click', async () => {
+                if (await showCustomConfirm(`Remove ${variable.key} from ${file.name}?`, 'Remove Variable')) {
+                    saveEnvVariable(tab, file.name, variable.key, null);
+                }
+            });
+            group.appendChild(item);
+        });
+        elements.envFiles.appendChild(group);
+    });
+}
+
+async function saveEnvVariable(tab, file, key, value) {
+    const dir = envDir(tab);
+    try {
+        await invoke('set_env_var', { dir, file, key, value });
+    } catch (e) {
+        appendConsoleTo(tab.consoleEl, `✗ ${e.error || e.message || String(e)}\n`, 'error');
+    }
+    await loadEnvFiles(tab);
+}
+
+async function addEnvVariable(tab, file) {
+    const line = await showCustomPrompt(`New variable for ${file}, as KEY=value`, 'Add Variable', '');
+    if (line === null || !line.trim()) return;
+    let vars;
+    try {
+        vars = parseEnv(line);
+    } catch (e) {
+        appendConsoleTo(tab.consoleEl, `✗ ${e.message}\n`, 'error');
+        return;
+    }
+    for (const [key, value] of Object.entries(vars)) {
+        await saveEnvVariable(tab, file, key, value);
+    }
+}
+
+function openEnvProfileEditor(tab, profile = null) {
+    if (!tab || !tab.project) return;
+    envProfileContext = { tabId: tab.id, profile };
+    elements.envProfileTitle.textContent = profile ? `Edit "${profile.name}"` : 'New Profile';
+    elements.envProfileName.value = profile?.name || '';
+    elements.envProfileVars.value = Object.entries(profile?.vars || {}).map(([key, value]) => `${key}=${value}`).join('\n');
+    elements.envProfileDeleteBtn.classList.toggle('hidden', !profile);
+    elements.envProfileError.classList.add('hidden');
+    elements.envProfileModal.classList.remove('hidden');
+    elements.envProfileName.focus();
+}
+
+function closeEnvProfileEditor() {
+    elements.envProfileModal.classList.add('hidden');
+    envProfileContext = null;
+    const tab = getTab();
+    if (tab) renderEnvironment(tab);
+}
+
+function saveEnvProfileEditor() {
+    const tab = tabs.get(envProfileContext?.tabId);
+    if (!tab || !tab.project) return;
+
+    const name = elements.envProfileName.value.trim();
+    const previous = envProfileContext.profile?.name;
+    const data = getEnvProfiles(tab);
+    let vars = null;
+    let error = null;
+    try {
+        vars = parseEnv(elements.envProfileVars.value);
+    } catch (e) {
+        error = e.message;
+    }
+    if (!name) {
+        error = 'A name is required';
+    } else if (data.profiles.some(p => p.name === name && p.name !== previous)) {
+        error = `A profile named "${name}" already exists`;
+    }
+    if (error) {
+        elements.envProfileError.textContent = error;
+        elements.envProfileError.classList.remove('hidden');
+        return;
+    }
+
+    const profiles = data.profiles.map(p => (p.name === previous ? { name, vars } : p));
+    if (!previous) profiles.push({ name, vars });
+    setEnvProfiles(tab, { active: name, profiles });
+    closeEnvProfileEditor();
+}
+
+// Variables of the active profile, for run_script and install_deps
+function profileEnv(tab) {
+    return getActiveEnvProfile(tab)?.vars || {};
+}
+
+// Render Workspaces
+function renderWorkspaces(tab) {
+    if (activeTabId !== tab.id) return;
+
+    const workspaces = tab.project?.workspaces || [];
+    elements.workspacesList.innerHTML = '';
+    if (workspaces.length === 0) {
+        elements.workspacesSection.classList.add('hidden');
+        return;
+    }
+    elements.workspacesSection.classList.remove('hidden');
+
+    const selected = getActiveWorkspace(tab);
+    const entries = [
+        { workspace: null, name: tab.project.name, path: 'root' },
+        ...workspaces.map(w => ({ workspace: w.name, name: w.name, path: w.relativePath }))
+    ];
+
+    entries.forEach(entry => {
+        const item = document.createElement('div');
+        item.className = `workspace-item ${entry.workspace === selected ? 'active' : ''}`;
+        item.innerHTML = `<span class="name">${escapeHtml(entry.name)}</span><span class="path">${escapeHtml(entry.path)}</span>`;
+        item.onclick = () => selectWorkspace(tab, entry.workspace);
+        elements.workspacesList.appendChild(item);
+    });
+}
+
+function selectWorkspace(tab, workspace) {
+    tab.selectedWorkspace = workspace;
+    renderWorkspaces(tab);
+    renderActivePackage(tab);
+    scheduleSessionSave();
+}
+
+// Render dependencies and scripts of the selected workspace package (or the root)
+function renderActivePackage(tab) {
+    const pkg = getActivePackage(tab);
+    if (!pkg) return;
+    elements.addPackageForm.classList.remove('hidden');
+    elements.viewTreeBtn.classList.remove('hidden');
+    elements.sidebar.classList.toggle('deps-busy', !!tab.dependencyBusy);
+    const outdated = Object.fromEntries((getOutdated(tab) || []).map(p => [p.name, p]));
+    renderDependencies(pkg.dependencies, elements.depsList, false, pkg.dependencyStates, outdated);
+    renderDependencies(pkg.devDependencies, elements.devDepsList, true, pkg.dependencyStates, outdated);
+    renderOutdated(tab);
+    renderEnvironment(tab);
+    renderScripts(pkg.scripts, tab);
+}
+
+// Outdated results belong to the package folder they were checked for
+function getOutdated(tab) {
+    const pkg = getActivePackage(tab);
+    if (!pkg || !tab.outdated) return null;
+    return tab.outdated.packagePath === (pkg.path || tab.project.projectPath) ? tab.outdated.packages : null;
+}
+
+// Render Outdated
+function renderOutdated(tab) {
+    if (activeTabId !== tab.id) return;
+
+    const packages = getOutdated(tab);
+    elements.outdatedSection.classList.remove('hidden');
+    elements.outdatedList.innerHTML = '';
+
+    const wantedUpdates = (packages || []).filter(p => p.wanted && p.wanted !== p.current);
+    elements.updateWantedBtn.classList.toggle('hidden', wantedUpdates.length === 0);
+
+    if (!packages) {
+        elements.outdatedList.innerHTML = '<div class="section-empty">Not checked yet</div>';
+        return;
+    }
+    if (packages.length === 0) {
+        elements.outdatedList.innerHTML = '<div class="section-empty">Everything is up to date</div>';
+        return;
+    }
+
+    packages.forEach(p => {
+        const item = document.createElement('div');
+        item.className = 'dep-item outdated-item';
+        item.innerHTML = `
+            <span class="name" title="${escapeHtml(p.name)}">${escapeHtml(p.name)}</span>
+            <span class="versions" title="current → wanted / latest">${escapeHtml(p.current || 'missing')} → ${escapeHtml(p.wanted || '?')} / <span class="latest">${escapeHtml(p.latest || '?')}</span></span>
+            ${p.latest && p.latest !== p.current ? `<button class="dep-action" title="Upgrade to ${escapeHtml(p.latest)}">latest</button>` : ''}
+        `;
+        const upgradeBtn = item.querySelector('.dep-action');
+        if (upgradeBtn) {
+            upgradeBtn.addEventListener('click', () => upgradeOutdated(tab, [p], 'latest'));
+        }
+        elements.outdatedList.appendChild(item);
+    });
+}
+
+async function checkOutdated(tab) {
+    if (!tab || !tab.project) return;
+
+    const pkg = getActivePackage(tab);
+    const packagePath = pkg.path || tab.project.projectPath;
+    const packageManager = getPackageManager(tab);
+
+    elements.checkOutdatedBtn.classList.add('btn-loading');
+    appendConsoleTo(tab.consoleEl, `\n🔎 Checking ${pkg.name} for outdated packages with ${packageManager}...\n`, 'info');
+    try {
+        const packages = await invoke('check_outdated', {
+            projectPath: tab.project.projectPath,
+            packageManager,
+            workspace: getActiveWorkspace(tab)
+        });
+        tab.outdated = { packagePath, packages };
+        if (packages.length > 0) {
+            appendConsoleTo(tab.consoleEl, `✓ ${packages.length} outdated ${packages.length === 1 ? 'package' : 'packages'}\n`, 'warning');
+        } else {
+            appendConsoleTo(tab.consoleEl, `✓ All packages are up to date\n`, 'success');
+        }
+    } catch (e) {
+        const errorMsg = e.error || e.message || String(e);
+        appendConsoleTo(tab.consoleEl, `✗ Failed to check outdated packages: ${errorMsg}\n`, 'error');
+    } finally {
+        elements.checkOutdatedBtn.classList.remove('btn-loading');
+        if (activeTabId === tab.id) renderActivePackage(tab);
+    }
+}
+
+// Move ranges to the wanted/latest versions, reinstall, then check again. The backend keeps
+// each range's operator and leaves aliases, tags and compound ranges alone.
+async function upgradeOutdated(tab, packages, target) {
+    if (!tab || !tab.project) return;
+
+    const pkg = getActivePackage(tab);
+    const declared = { ...pkg.dependencies, ...pkg.devDependencies };
+    const versions = {};
+    packages.forEach(p => {
+        const version = p[target];
+        if (version && declared[p.name] && version !== p.current) {
+            versions[p.name] = version;
+        }
+    });
+
+    const names = Object.keys(versions);
+    if (names.length === 0) {
+        appendConsoleTo(tab.consoleEl, `Nothing to upgrade\n`, 'info');
+        return;
+    }
+
+    const description = names.length === 1
+        ? `Upgrading ${names[0]} to ${versions[names[0]]}`
+        : `Updating ${names.length} packages to their ${target} versions`;
+    await runDependencyAction(tab, description, 'update_dependency_ranges', { versions });
+    await checkOutdated(tab);
+}
+
+const AUDIT_SEVERITIES = ['critical', 'high', 'moderate', 'low', 'info'];
+
+// Audit results cover the whole project (they come from its lockfile)
+function getAudit(tab) {
+    if (!tab.project || !tab.audit) return null;
+    return tab.audit.projectPath === tab.project.projectPath ? tab.audit.advisories : null;
+}
+
+// Render Audit, grouped by severity
+function renderAudit(tab) {
+    if (activeTabId !== tab.id) return;
+
+    const advisories = getAudit(tab);
+    elements.auditList.innerHTML = '';
+    elements.auditSection.classList.toggle('hidden', !advisories);
+    if (!advisories) return;
+
+    // Only npm and pnpm can fix what they report, and only npm has --force
+    const packageManager = getPackageManager(tab);
+    const canFix = packageManager === 'npm' || packageManager === 'pnpm';
+    elements.auditFixBtn.classList.toggle('hidden', !canFix || !advisories.some(a => a.fixAvailable));
+    elements.auditForceFixBtn.classList.toggle('hidden', packageManager !== 'npm' || !advisories.some(a => a.fixIsMajor));
+
+    if (advisories.length === 0) {
+        elements.auditList.innerHTML = '<div class="section-empty">No known vulnerabilities</div>';
+        return;
+    }
+
+    AUDIT_SEVERITIES.forEach(severity => {
+        const group = advisories.filter(a => (AUDIT_SEVERITIES.includes(a.severity) ? a.severity : 'info') === severity);
+        if (group.length === 0) return;
+
+        const groupEl = document.createElement('div');
+        groupEl.className = `audit-group audit-${severity}`;
+        groupEl.innerHTML = `<div class="audit-group-title">${severity}<span class="count">${group.length}</span></div>`;
+
+        group.forEach(a => {
+            let fixHtml = '<span class="audit-fix no-fix">No fix available</span>';
+            if (a.fixAvailable && a.fixIsMajor) {
+                fixHtml = `<span class="audit-fix breaking" title="Only fixed by a semver-major upgrade (audit fix --force)">Fix: ${escapeHtml(a.fixVersion || 'breaking upgrade')} (breaking)</span>`;
+            } else if (a.fixAvailable) {
+                fixHtml = `<span class="audit-fix">Fix available${a.fixVersion ? `: ${escapeHtml(a.fixVersion)}` : ''}</span>`;
+            }
+
+            const item = document.createElement('div');
+            item.className = 'audit-item';
+            item.innerHTML = `
+                <div class="audit-package">
+                    <span class="name" title="${escapeHtml(a.name)}">${escapeHtml(a.name)}</span>
+                    ${a.range ? `<span class="range" title="Vulnerable versions">${escapeHtml(a.range)}</span>` : ''}
+                </div>
+                <div class="audit-title ${a.url ? 'has-link' : ''}" title="${escapeHtml(a.url || a.title)}">${escapeHtml(a.title)}</div>
+                <div class="audit-path" title="Path from your direct dependency">${a.path.map(escapeHtml).join(' › ')}</div>
+                ${fixHtml}
+            `;
+            if (a.url) {
+                item.querySelector('.audit-title').addEventListener('click', () => {
+                    openUrl(a.url).catch(e => console.error('Failed to open URL:', e));
+                });
+            }
+            groupEl.appendChild(item);
+        });
+
+        elements.auditList.appendChild(groupEl);
+    });
+}
+
+async function auditDependencies(tab) {
+    if (!tab || !tab.project) return;
+
+    const projectPath = tab.project.projectPath;
+    const packageManager = getPackageManager(tab);
+    const auditButtons = document.querySelectorAll('.btn-audit-deps');
+    auditButtons.forEach(btn => btn.classList.add('btn-loading'));
+    appendConsoleTo(tab.consoleEl, `\n🛡️ Auditing ${tab.project.name} for known vulnerabilities...\n`, 'info');
+    try {
+        const advisories = await invoke('audit_dependencies', { projectPath, packageManager });
+        tab.audit = { projectPath, advisories };
+        if (advisories.length > 0) {
+            const counts = AUDIT_SEVERITIES
+                .map(severity => [severity, advisories.filter(a => a.severity === severity).length])
+                .filter(([, count]) => count > 0)
+                .map(([severity, count]) => `${count} ${severity}`);
+            appendConsoleTo(tab.consoleEl, `✗ ${advisories.length} ${advisories.length === 1 ? 'vulnerability' : 'vulnerabilities'} (${counts.join(', ')})\n`, 'warning');
+        } else {
+            appendConsoleTo(tab.consoleEl, `✓ No known vulnerabilities\n`, 'success');
+        }
+    } catch (e) {
+        const errorMsg = e.error || e.message || String(e);
+        appendConsoleTo(tab.consoleEl, `✗ Audit failed: ${errorMsg}\n`, 'error');
+    } finally {
+        auditButtons.forEach(btn => btn.classList.remove('btn-loading'));
+        renderAudit(tab);
+    }
+}
+
+// Run `audit fix` (optionally --force, which may install breaking versions), then audit again
+async function auditFix(tab, force) {
+    if (!tab || !tab.project) return;
+
+    const packageManager = getPackageManager(tab);
+    const command = packageManager === 'pnpm' ? 'pnpm audit --fix' : `npm audit fix${force ? ' --force' : ''}`;
+    if (force) {
+        const confirmed = await showCustomConfirm(
+            `"${command}" may install semver-major versions that break your project. Continue?`,
+            'Force Audit Fix'
+        );
+        if (!confirmed) return;
+    }
+
+    await runDependencyAction(tab, `Running ${command}`, 'audit_fix', { force });
+    await auditDependencies(tab);
+}
+
+// "^18.2.0" / "~18.2.0" -> the installed version (or "18.2.0"), or null when the range isn't a simple caret/tilde range
+function pinnedRange(range, installed) {
+    if (!/^[\^~]\d+\.\d+\.\d+/.test(range)) return null;
+    return installed || range.slice(1);
+}
+
+// "18.2.0" -> "^18.2.0", or null when the range isn't an exact version
+function loosenedRange(range) {
+    return /^\d+\.\d+\.\d+/.test(range) ? `^${range}` : null;
+}
+
+// Render Dependencies
+function renderDependencies(deps, container, isDev, states = {}, outdated = {}) {
+    container.innerHTML = '';
+
+    for (const [name, version] of Object.entries(deps)) {
+        const state = states[name];
+        const item = document.createElement('div');
+        item.className = `dep-item ${state ? `dep-${state.status}` : ''}`;
+
+        let installedHtml = '';
+        if (state && state.status === 'missing') {
+            installedHtml = '<span class="installed" title="Not found in node_modules">missing</span>';
+        } else if (state && state.status === 'mismatch') {
+            installedHtml = `<span class="installed" title="Installed version doesn't satisfy ${escapeHtml(version)}">${escapeHtml(state.installed)} ✗</span>`;
+        } else if (state && state.installed && state.installed !== version) {
+            installedHtml = `<span class="installed" title="Installed version">${escapeHtml(state.installed)}</span>`;
+        }
+
+        const update = outdated[name];
+        const outdatedHtml = update && update.latest && update.latest !== update.current
+            ? `<span class="outdated-badge" title="Wanted ${escapeHtml(update.wanted || '?')}, latest ${escapeHtml(update.latest)}">↑ ${escapeHtml(update.latest)}</span>`
+            : '';
+
+        const pinned = pinnedRange(version, state?.installed);
+        const loosened = loosenedRange(version);
+        item.innerHTML = `
+            <span class="name dep-tree-link" title="Show what ${escapeHtml(name)} installs">${escapeHtml(name)}</span>
+            <span class="version">${escapeHtml(version)}</span>
+            ${installedHtml}
+            ${outdatedHtml}
+            <div class="dep-actions">
+                ${pinned ? `<button class="dep-action" data-action="range" data-range="${escapeHtml(pinned)}" title="Pin to ${escapeHtml(pinned)}">=</button>` : ''}
+                ${loosened ? `<button class="dep-action" data-action="range" data-range="${escapeHtml(loosened)}" title="Loosen to ${escapeHtml(loosened)}">^</button>` : ''}
+                <button class="dep-action" data-action="move" title="Move to ${isDev ? 'dependencies' : 'devDependencies'}">⇄</button>
+                <button class="dep-action danger" data-action="remove" title="Uninstall ${escapeHtml(name)}">✕</button>
+            </div>
+        `;
+        item.querySelector('.dep-tree-link').addEventListener('click', () => openDependencyTree(getTab(), name));
+        item.querySelectorAll('.dep-action').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const action = btn.dataset.action;
+                if (action === 'remove') {
+                    removeDependency(getTab(), name);
+                } else if (action === 'move') {
+                    setDependency(getTab(), name, version, !isDev);
+                } else if (action === 'range') {
+                    setDependency(getTab(), name, btn.dataset.range, isDev);
+                }
+            });
+        });
+        container.appendChild(item);
+    }
+
+    if (Object.keys(deps).length === 0) {
+        container.innerHTML = '<div class="dep-item"><span class="name" style="color: var(--text-muted);">None</span></div>';
+    }
+}
+
+// Run a dependency change through the backend, then reload project state in place
+async function runDependencyAction(tab, description, command, args) {
+    if (!tab || !tab.project) return;
+    if (tab.dependencyBusy) {
+        appendConsoleTo(tab.consoleEl, `✗ Another dependency change is still running\n`, 'error');
+        return;
+    }
+
+    const pkg = getActivePackage(tab);
+    tab.dependencyBusy = true;
+    if (activeTabId === tab.id) elements.sidebar.classList.add('deps-busy');
+    appendConsoleTo(tab.consoleEl, `\n📦 ${description}...\n`, 'info');
+
+    try {
+        const success = await invoke(command, {
+            projectPath: tab.project.projectPath,
+            packagePath: pkg.path || tab.project.projectPath,
+            tabId: tab.id,
+            packageManager: getPackageManager(tab),
+            runtime: getNodeRuntime(tab),
+            ...args
+        });
+        if (success) {
+            appendConsoleTo(tab.consoleEl, `✓ ${description}: done\n`, 'success');
+        } else {
+            appendConsoleTo(tab.consoleEl, `✗ ${description}: failed\n`, 'error');
+        }
+    } catch (e) {
+        const errorMsg = e.error || e.message || String(e);
+        appendConsoleTo(tab.consoleEl, `✗ ${description}: ${errorMsg}\n`, 'error');
+    } finally {
+        tab.dependencyBusy = false;
+        if (activeTabId === tab.id) elements.sidebar.classList.remove('deps-busy');
+        await refreshProject(tab);
+    }
+}
+
+async function addDependency(tab, spec, dev) {
+    spec = spec.trim();
+    if (!spec) return;
+    await runDependencyAction(tab, `Adding ${spec}${dev ? ' as a dev dependency' : ''}`, 'add_dependency', {
+        workspace: getActiveWorkspace(tab),
+        spec,
+        dev
+    });
+}
+
+async function removeDependency(tab, name) {
+    const confirmed = await showCustomConfirm(`Uninstall "${name}" from this package?`, 'Uninstall Package');
+    if (!confirmed) return;
+    await runDependencyAction(tab, `Removing ${name}`, 'remove_dependency', {
+        workspace: getActiveWorkspace(tab),
+        name
+    });
+}
+
+// Rewrite a dependency's range and/or section in package.json, then reinstall
+async function setDependency(tab, name, range, dev) {
+    await runDependencyAction(tab, `Setting ${name}@${range} in ${dev ? 'devDependencies' : 'dependencies'}`, 'set_dependency', {
+        name,
+        range,
+        dev
+    });
+}
+
+// Dependency tree explorer ("why is this installed?")
+const MAX_TREE_RESULTS = 50;
+const MAX_EXPLAIN_PATHS = 10;
+
+// Lockfile graph for the tab's project, loaded on first use
+async function getDependencyTree(tab) {
+    const projectPath = tab.project.projectPath;
+    if (tab.dependencyTree?.projectPath !== projectPath) {
+        const tree = await invoke('load_dependency_tree', { projectPath });
+
+        // Reverse edges, for walking from a package back up to the importers
+        const parents = new Map();
+        for (const [id, node] of Object.entries(tree.nodes)) {
+            node.dependencies.forEach(dep => {
+                if (!parents.has(dep)) parents.set(dep, []);
+                parents.get(dep).push(id);
+            });
+        }
+        tab.dependencyTree = { projectPath, ...tree, parents };
+    }
+    return tab.dependencyTree;
+}
+
+// Tree node id of the selected package: its path relative to the project, "" for the root
+function getActiveImporterId(tab) {
+    const workspace = getActiveWorkspace(tab);
+    return tab.project.workspaces.find(w => w.name === workspace)?.relativePath || '';
+}
+
+function treeNodeLabel(node) {
+    return node.version ? `${node.name}@${node.version}` : node.name;
+}
+
+// Open the explorer on the selected package, or on one of its direct dependencies (by name)
+// or any node (by id)
+async function openDependencyTree(tab, dependencyName = null, focusId = null) {
+    if (!tab || !tab.project) return;
+
+    elements.treeView.classList.remove('hidden');
+    elements.treeBody.innerHTML = '<div class="ports-loading">Reading lockfile...</div>';
+    if (dependencyName) elements.treeSearchInput.value = '';
+
+    try {
+        const tree = await getDependencyTree(tab);
+        const importer = tree.nodes[getActiveImporterId(tab)];
+        if (dependencyName) {
+            focusId = importer?.dependencies.find(id => tree.nodes[id]?.name === dependencyName) || null;
+            if (!focusId) {
+                elements.treeSearchInput.value = dependencyName;
+            }
+        }
+        tab.treeFocus = focusId && tree.nodes[focusId] ? focusId : null;
+        elements.treeMeta.textContent = `${tree.lockfile} · ${Object.keys(tree.nodes).length} packages`;
+        renderDependencyTree(tab);
+    } catch (e) {
+        const errorMsg = e.error || e.message || String(e);
+        elements.treeMeta.textContent = '';
+        elements.treeBody.innerHTML = `<div class="ports-empty">${escapeHtml(errorMsg)}</div>`;
+    }
+}
+
+function closeDependencyTree() {
+    elements.treeView.classList.add('hidden');
+    elements.treeBody.innerHTML = '';
+}
+
+function renderDependencyTree(tab) {
+    const tree = tab.dependencyTree;
+    if (!tree || activeTabId !== tab.id) return;
+
+    elements.treeBody.innerHTML = '';
+    const query = elements.treeSearchInput.value.trim().toLowerCase();
+    if (query) {
+        renderTreeSearch(tab, tree, query);
+        return;
+    }
+
+    const rootId = tab.treeFocus || getActiveImporterId(tab);
+    if (tab.treeFocus) {
+        const crumb = document.createElement('div');
+        crumb.className = 'tree-crumb';
+        crumb.innerHTML = `Subtree of <strong>${escapeHtml(treeNodeLabel(tree.nodes[rootId]))}</strong> · <a>Show full tree</a>`;
+        crumb.querySelector('a').addEventListener('click', () => {
+            tab.treeFocus = null;
+            renderDependencyTree(tab);
+        });
+        elements.treeBody.appendChild(crumb);
+    }
+
+    if (!tree.nodes[rootId]) {
+        elements.treeBody.innerHTML = '<div class="ports-empty">This package isn\'t recorded in the lockfile</div>';
+        return;
+    }
+    elements.treeBody.appendChild(createTreeNodeEl(tab, tree, rootId, [], true));
+}
+
+// One row of the tree; children are built when the row is first expanded
+function createTreeNodeEl(tab, tree, id, ancestors, expanded = false) {
+    const node = tree.nodes[id];
+    const isCycle = ancestors.includes(id);
+    const hasChildren = node.dependencies.length > 0 && !isCycle;
+
+    const el = document.createElement('div');
+    el.className = 'tree-node';
+    el.innerHTML = `
+        <div class="tree-row">
+            <span class="tree-toggle">${hasChildren ? '▸' : ''}</span>
+            <span class="tree-name">${escapeHtml(node.name)}</span>
+            <span class="tree-version">${escapeHtml(node.version)}</span>
+            ${hasChildren ? `<span class="tree-count">${node.dependencies.length}</span>` : ''}
+            ${isCycle ? '<span class="tree-count" title="Already shown above (circular dependency)">cycle</span>' : ''}
+            <button class="dep-action tree-explain" title="Why is this installed?">?</button>
+        </div>
+        <div class="tree-children hidden"></div>
+    `;
+
+    const toggle = el.querySelector('.tree-toggle');
+    const children = el.querySelector('.tree-children');
+    const setExpanded = (open) => {
+        if (!hasChildren) return;
+        if (open && children.childElementCount === 0) {
+            node.dependencies
+                .filter(dep => tree.nodes[dep])
+                .sort((a, b) => tree.nodes[a].name.localeCompare(tree.nodes[b].name))
+                .forEach(dep => children.appendChild(createTreeNodeEl(tab, tree, dep, [...ancestors, id])));
+        }
+        children.classList.toggle('hidden', !open);
+        toggle.textContent = open ? '▾' : '▸';
+    };
+
+    el.querySelector('.tree-row').addEventListener('click', () => setExpanded(children.classList.contains('hidden')));
+    el.querySelector('.tree-explain').addEventListener('click', (e) => {
+        e.stopPropagation();
+        elements.treeSearchInput.value = node.name;
+        renderDependencyTree(tab);
+    });
+    setExpanded(expanded);
+    return el;
+}
+
+// Shortest paths from the importers down to a node, like `npm explain`
+function findPathsToRoot(tree, id) {
+    const paths = [];
+    const visits = new Map();
+    const queue = [[id]];
+
+    while (queue.length > 0 && paths.length < MAX_EXPLAIN_PATHS) {
+        const path = queue.shift();
+        const parents = tree.parents.get(path[0]) || [];
+        if (parents.length === 0) {
+            paths.push(path);
+            continue;
+        }
+        parents.forEach(parent => {
+            const count = visits.get(parent) || 0;
+            if (path.includes(parent) || count >= MAX_EXPLAIN_PATHS) return;
+            visits.set(parent, count + 1);
+            queue.push([parent, ...path]);
+        });
+    }
+    return paths;
+}
+
+function renderTreeSearch(tab, tree, query) {
+    const matches = Object.keys(tree.nodes)
+        .filter(id => tree.nodes[id].name.toLowerCase().includes(query))
+        .sort((a, b) => treeNodeLabel(tree.nodes[a]).localeCompare(treeNodeLabel(tree.nodes[b])));
+
+    if (matches.length === 0) {
+        elements.treeBody.innerHTML = '<div class="ports-empty">No installed package matches</div>';
+        return;
+    }
+
+    matches.slice(0, MAX_TREE_RESULTS).forEach(id => {
+        const result = document.createElement('div');
+        result.className = 'tree-result';
+        result.innerHTML = `<div class="tree-result-title"><span class="tree-name">${escapeHtml(treeNodeLabel(tree.nodes[id]))}</span></div>`;
+        result.querySelector('.tree-name').addEventListener('click', () => {
+            elements.treeSearchInput.value = '';
+            tab.treeFocus = id;
+            renderDependencyTree(tab);
+        });
+
+        findPathsToRoot(tree, id).forEach(path => {
+            const pathEl = document.createElement('div');
+            pathEl.className = 'tree-path';
+            path.forEach((step, i) => {
+                if (i > 0) pathEl.appendChild(document.createTextNode(' › '));
+                const stepEl = document.createElement('span');
+                stepEl.className = 'tree-step';
+                stepEl.textContent = treeNodeLabel(tree.nodes[step]);
+                stepEl.title = 'Show this subtree';
+                stepEl.addEventListener('click', () => {
+                    elements.treeSearchInput.value = '';
+                    tab.treeFocus = step;
+                    renderDependencyTree(tab);
+                });
+                pathEl.appendChild(stepEl);
             });
+            result.appendChild(pathEl);
+        });
 
-            document.getElementById('portsKillAllBtn').addEventListener('click', async () => {
-                const confirmed = await showCustomConfirm('Kill all processes on monitored ports?', 'Kill All Ports');
-                if (!confirmed) return;
-                try {
-                    await invoke('kill_all_ports');
-                } catch (e) {
-                    console.error('Failed to kill all ports:', e);
+        elements.treeBody.appendChild(result);
+    });
+
+    if (matches.length > MAX_TREE_RESULTS) {
+        const more = document.createElement('div');
+        more.className = 'section-empty';
+        more.textContent = `${matches.length - MAX_TREE_RESULTS} more matches, refine your search`;
+        elements.treeBody.appendChild(more);
+    }
+}
+
+// Render Scripts
+function renderScripts(scripts, tab) {
+    if (activeTabId !== tab.id) return; // Only render if active tab
+
+    elements.scriptsBar.innerHTML = '';
+
+    // Add Install Dependencies button if needed
+    if (tab.project && !tab.project.nodeModulesInstalled) {
+        const installBtn = document.createElement('button');
+        installBtn.className = 'script-btn btn-primary btn-install-deps';
+        installBtn.innerHTML = `
+            <span class="icon">📦</span>
+            Install Dependencies
+        `;
+        installBtn.style.border = '1px solid var(--primary-color)';
+        elements.scriptsBar.appendChild(installBtn);
+    }
+
+    // Show which workspace package the buttons belong to
+    const workspace = getActiveWorkspace(tab);
+    if (workspace) {
+        const scope = document.createElement('div');
+        scope.className = 'scripts-scope';
+        scope.textContent = workspace;
+        elements.scriptsBar.appendChild(scope);
+    }
+
+    if (Object.keys(scripts).length === 0 && (tab.project && tab.project.nodeModulesInstalled) && getCustomCommands(tab).length === 0) {
+        elements.scriptsBar.insertAdjacentHTML('beforeend', '<div class="no-scripts">No scripts defined</div>');
+    }
+
+    for (const [name, cmd] of Object.entries(scripts)) {
+        const label = scriptLabel(name, workspace);
+        const isRunning = tab.runningScripts.has(label);
+
+        const restart = getRestartSettings(tab, label);
+        const restartHints = [
+            restart.keepAlive && `Keeps alive (up to ${restart.maxRestarts} restarts)`,
+            restart.watch && `Restarts when ${restart.watch} change`
+        ].filter(Boolean);
+
+        const btn = document.createElement('button');
+        btn.className = `script-btn ${isRunning ? 'running' : ''}`;
+        btn.dataset.script = label;
+        if (restartHints.length) btn.title = restartHints.join('\n');
+        btn.onclick = (e) => {
+            if (e.target.closest('.script-more')) {
+                openRunWith(tab, name, workspace);
+            } else {
+                toggleScript(name, tab.id, workspace);
+            }
+        };
+        btn.oncontextmenu = (e) => {
+            e.preventDefault();
+            if (!tab.runningScripts.has(label)) openRunWith(tab, name, workspace);
+        };
+        btn.innerHTML = `
+            <span class="icon">${isRunning ? '⬛' : '▶'}</span>
+            ${name}
+            ${restartHints.length ? '<span class="keep-alive-badge">↻</span>' : ''}
+            <span class="script-more" title="Run with…">▾</span>
+        `;
+
+        elements.scriptsBar.appendChild(btn);
+    }
+
+    // Saved presets run the same script, so they share its running state
+    getPresets(tab)
+        .filter(preset => (preset.workspace || null) === workspace && scripts[preset.script] !== undefined)
+        .forEach(preset => {
+            const label = scriptLabel(preset.script, workspace);
+            const isRunning = tab.runningScripts.has(label);
+
+            const btn = document.createElement('button');
+            btn.className = `script-btn preset-btn ${isRunning ? 'running' : ''}`;
+            btn.dataset.script = label;
+            btn.title = [`${preset.script} ${preset.args}`.trim(), preset.env].filter(Boolean).join('\n');
+            btn.onclick = () => toggleScript(preset.script, tab.id, workspace, presetOptions(preset));
+            btn.oncontextmenu = (e) => {
+                e.preventDefault();
+                openRunWith(tab, preset.script, workspace, preset);
+            };
+            btn.innerHTML = `
+                <span class="icon">${isRunning ? '⬛' : '▶'}</span>
+                ${escapeHtml(preset.name)}
+            `;
+            elements.scriptsBar.appendChild(btn);
+        });
+
+    // Custom commands belong to the whole project, whichever package is selected
+    getCustomCommands(tab).forEach(command => {
+        const isRunning = tab.runningScripts.has(command.label);
+        const icon = command.icon || '$';
+
+        const btn = document.createElement('button');
+        btn.className = `script-btn command-btn ${isRunning ? 'running' : ''}`;
+        btn.dataset.script = command.label;
+        btn.dataset.icon = icon;
+        btn.title = `${command.command}${command.cwd ? `\nin ${command.cwd}` : ''}\nRight-click to edit`;
+        btn.onclick = () => {
+            if (tab.runningScripts.has(command.label)) {
+                stopScript(command.label, tab.id);
+            } else {
+                runCustomCommand(tab, command);
+            }
+        };
+        btn.oncontextmenu = (e) => {
+            e.preventDefault();
+            openCommandEditor(tab, command);
+        };
+        btn.innerHTML = `
+            <span class="icon">${isRunning ? '⬛' : escapeHtml(icon)}</span>
+            ${escapeHtml(command.label)}
+        `;
+        elements.scriptsBar.appendChild(btn);
+    });
+
+    getPipelines(tab).forEach(pipeline => {
+        const isRunning = isPipelineRunning(tab, pipeline.name);
+        const icon = pipeline.mode === 'parallel' ? '⇉' : '⛓';
+
+        const btn = document.createElement('button');
+        btn.className = `script-btn pipeline-btn ${isRunning ? 'running' : ''}`;
+        btn.dataset.pipeline = pipeline.name;
+        btn.dataset.icon = icon;
+        btn.title = `${pipeline.steps.map(stepLabel).join(pipeline.mode === 'parallel' ? ' + ' : ' → ')}\nRight-click to edit`;
+        btn.onclick = () => {
+            if (isPipelineRunning(tab, pipeline.name)) {
+                stopPipeline(tab, pipeline.name);
+            } else {
+                runPipeline(tab, pipeline);
+            }
+        };
+        btn.oncontextmenu = (e) => {
+            e.preventDefault();
+            openPipelineEditor(tab, pipeline);
+        };
+        btn.innerHTML = `
+            <span class="icon">${isRunning ? '⬛' : icon}</span>
+            ${escapeHtml(pipeline.name)}
+        `;
+        elements.scriptsBar.appendChild(btn);
+    });
+
+    if (tab.project) {
+        const addBtn = document.createElement('button');
+        addBtn.className = 'script-btn add-command-btn';
+        addBtn.title = 'Add a custom command';
+        addBtn.textContent = '+ Command';
+        addBtn.onclick = () => openCommandEditor(tab);
+        elements.scriptsBar.appendChild(addBtn);
+
+        const addPipelineBtn = document.createElement('button');
+        addPipelineBtn.className = 'script-btn add-command-btn';
+        addPipelineBtn.title = 'Add a pipeline of scripts and commands';
+        addPipelineBtn.textContent = '+ Pipeline';
+        addPipelineBtn.onclick = () => openPipelineEditor(tab);
+        elements.scriptsBar.appendChild(addPipelineBtn);
+    }
+}
+
+// Toggle Script (Run/Stop)
+async function toggleScript(name, tabId = activeTabId, workspace = null, options = {}) {
+    const tab = tabs.get(tabId);
+    if (!tab) return;
+
+    const label = scriptLabel(name, workspace);
+    if (tab.stoppingScripts.has(label)) return;
+    if (tab.runningScripts.has(label)) {
+        await stopScript(label, tabId);
+    } else {
+        await runScript(name, tabId, workspace, options);
+    }
+}
+
+// Run Script. `options` carries extra arguments and environment variables for this run only.
+async function runScript(name, tabId = activeTabId, workspace = null, options = {}) {
+    const tab = tabs.get(tabId);
+    if (!tab || !tab.project) return false;
+
+    const packageManager = getPackageManager(tab);
+    const target = workspace ? ` in ${workspace}` : '';
+    const label = scriptLabel(name, workspace);
+    const args = options.args || [];
+    // Variables given for this run win over the active profile's
+    const profile = getActiveEnvProfile(tab);
+    const env = { ...profileEnv(tab), ...(options.env || {}) };
+    const argsText = args.length ? ` ${args.map(a => (/[\s'"]/.test(a) ? JSON.stringify(a) : a)).join(' ')}` : '';
+    const presetText = options.preset ? ` (${options.preset})` : '';
+    appendConsoleTo(tab.consoleEl, `\n▶ Starting: ${packageManager} run ${name}${argsText}${target}${presetText}\n`, 'info', label);
+    if (profile) {
+        appendConsoleTo(tab.consoleEl, `  env profile: ${profile.name}\n`, 'info', label);
+    }
+    // Only the names: values may be tokens, and the console ends up in copies and saved history
+    const envKeys = Object.keys(options.env || {});
+    if (envKeys.length) {
+        appendConsoleTo(tab.consoleEl, `  env: ${envKeys.join(', ')}\n`, 'info', label);
+    }
+    const packageDir = (tab.project.workspaces || []).find(w => w.name === workspace)?.relativePath || '';
+    resetProblems(tab, label, packageDir);
+
+    try {
+        await invoke('run_script', {
+            projectPath: tab.project.projectPath,
+            scriptName: name,
+            tabId: tab.id,
+            packageManager,
+            workspace,
+            args,
+            env,
+            runtime: getNodeRuntime(tab)
+        });
+        tab.runningScripts.add(label);
+        setPaneStatus(tab.consoleEl, label, 'running');
+        if (activeTabId === tab.id) updateScriptButtons();
+        trackRun(tab, label, { name, workspace, options, packageDir });
+        scheduleSessionSave();
+        return true;
+    } catch (error) {
+        const errorMsg = error.error || error.message || String(error);
+        appendConsoleTo(tab.consoleEl, `✗ ${errorMsg}\n`, 'error', label);
+        return false;
+    }
+}
+
+// Remember how a script was started so keep-alive and file watching can start it again
+function trackRun(tab, label, { name, workspace, options, packageDir }) {
+    const previous = tab.restarts.get(label);
+    clearTimeout(previous?.timer);
+    const { attempt = 0, ...runOptions } = options;
+    tab.restarts.set(label, {
+        name,
+        workspace,
+        options: runOptions,
+        attempts: attempt,
+        startedAt: Date.now(),
+        timer: null
+    });
+
+    const patterns = parseWatchPatterns(getRestartSettings(tab, label).watch);
+    if (patterns.length) {
+        invoke('watch_files', {
+            projectPath: tab.project.projectPath,
+            cwd: packageDir,
+            patterns,
+            script: label,
+            tabId: tab.id
+        }).catch(e => appendConsoleTo(tab.consoleEl, `✗ Not watching files for '${label}': ${e.error || e.message || String(e)}\n`, 'error', label));
+    } else if (previous) {
+        invoke('unwatch_files', { script: label, tabId: tab.id }).catch(() => { });
+    }
+}
+
+// Forget a script's run: no more restarts or file watching until it's started again
+function cancelRestart(tab, label) {
+    const run = tab.restarts.get(label);
+    if (!run) return;
+    clearTimeout(run.timer);
+    tab.restarts.delete(label);
+    invoke('unwatch_files', { script: label, tabId: tab.id }).catch(() => { });
+}
+
+// Called on script-exit: crashes of keep-alive scripts restart with exponential backoff
+function scheduleRestart(tab, label, code) {
+    const run = tab.restarts.get(label);
+    if (!run) return;
+    const settings = getRestartSettings(tab, label);
+
+    if (code === 0) {
+        cancelRestart(tab, label);
+        return;
+    }
+    // Without keep-alive a crashed script stays watched, so fixing a config file brings it back
+    if (!settings.keepAlive) return;
+
+    if (Date.now() - run.startedAt >= RESTART_STABLE_TIME) run.attempts = 0;
+    if (run.attempts >= settings.maxRestarts) {
+        appendConsoleTo(tab.consoleEl, `✗ '${label}' crashed ${run.attempts + 1} times in a row, not restarting\n`, 'error', label);
+        return;
+    }
+
+    run.attempts++;
+    const delay = Math.min(RESTART_BASE_DELAY * 2 ** (run.attempts - 1), RESTART_MAX_DELAY);
+    appendConsoleTo(tab.consoleEl, `↻ Restarting '${label}' in ${delay / 1000}s (attempt ${run.attempts} of ${settings.maxRestarts})\n`, 'warning', label);
+    run.timer = setTimeout(() => {
+        run.timer = null;
+        if (tab.restarts.get(label) !== run || tab.runningScripts.has(label)) return;
+        runScript(run.name, tab.id, run.workspace, { ...run.options, attempt: run.attempts });
+    }, delay);
+}
+
+// Called on file-change: restart the script (or start it again after a crash) with the same options
+async function restartForChange(tab, label, paths) {
+    const run = tab.restarts.get(label);
+    if (!run) return;
+    clearTimeout(run.timer);
+
+    const changed = paths.length > 3 ? `${paths.slice(0, 3).join(', ')} and ${paths.length - 3} more` : paths.join(', ');
+    if (tab.stoppingScripts.has(label)) return;
+    appendConsoleTo(tab.consoleEl, `\n↻ ${changed} changed, restarting '${label}'\n`, 'info', label);
+    if (tab.runningScripts.has(label)) {
+        const exited = waitForExit(tab, label);
+        const { interruptTimeout, terminateTimeout } = getRestartSettings(tab, label);
+        if (!(await requestStop(tab, label, interruptTimeout, terminateTimeout))) return;
+        await exited;
+    }
+    if (tab.restarts.get(label) !== run) return;
+    runScript(run.name, tab.id, run.workspace, run.options);
+}
+
+// Stop Script. The backend interrupts the script's process group and escalates to SIGTERM and
+// SIGKILL; it stays in runningScripts (marked stopping) until script-exit arrives.
+// Returns whether a stop was started.
+async function stopScript(name, tabId = activeTabId) {
+    const tab = tabs.get(tabId);
+    if (!tab || !tab.runningScripts.has(name) || tab.stoppingScripts.has(name)) return false;
+
+    cancelRestart(tab, name);
+    const { interruptTimeout, terminateTimeout } = getRestartSettings(tab, name);
+    return requestStop(tab, name, interruptTimeout, terminateTimeout);
+}
+
+async function requestStop(tab, name, interruptTimeout, terminateTimeout) {
+    appendConsoleTo(tab.consoleEl, `\n⬛ Stopping: ${name}\n`, 'warning', name);
+    tab.stoppingScripts.add(name);
+    setPaneStatus(tab.consoleEl, name, 'stopping');
+    if (activeTabId === tab.id) updateScriptButtons();
+    try {
+        await invoke('stop_script', {
+            scriptName: name,
+            tabId: tab.id,
+            interruptTimeoutMs: Math.round(interruptTimeout * 1000),
+            terminateTimeoutMs: Math.round(terminateTimeout * 1000)
+        });
+        return true;
+    } catch (e) {
+        tab.stoppingScripts.delete(name);
+        setPaneStatus(tab.consoleEl, name, 'running');
+        if (activeTabId === tab.id) updateScriptButtons();
+        appendConsoleTo(tab.consoleEl, `✗ Failed to stop ${name}: ${e}\n`, 'error', name);
+        return false;
+    }
+}
+
+// Free every port: scripts started here are stopped like the Stop button does (Ctrl+C to their
+// whole group first), and listeners of other applications are killed only when confirmed separately
+async function killAllPorts() {
+    try {
+        const ports = await invoke('list_open_ports');
+        const scripts = new Map(ports.filter(p => p.tab_id && tabs.has(p.tab_id)).map(p => [`${p.tab_id}:${p.script}`, p]));
+        const external = new Set(ports.filter(p => !p.tab_id).map(p => p.pid));
+        if (scripts.size === 0 && external.size === 0) {
+            appendConsoleTo(getConsole(), `\n⚡ No processes are listening on a port\n`, 'info');
+            return;
+        }
+
+        if (scripts.size > 0) {
+            const names = [...scripts.values()].map(p => p.script).join(', ');
+            if (await showCustomConfirm(`Stop the scripts listening on a port (${names})?`, 'Kill All Ports')) {
+                let stopped = 0;
+                for (const p of scripts.values()) {
+                    if (await stopScript(p.script, p.tab_id)) stopped++;
                 }
-                await refreshPortsList();
-            });
+                appendConsoleTo(getConsole(), `\n⚡ Stopping ${stopped} script(s) listening on a port\n`, 'success');
+            }
+        }
 
-            document.getElementById('portsCloseBtn').addEventListener('click', () => {
-                exitPortsView();
-            });
+        if (external.size > 0) {
+            const confirmed = await showCustomConfirm(
+                `${external.size} process(es) that NPM Commander didn't start also listen on a port. Kill them too?`,
+                'Include Other Applications'
+            );
+            if (confirmed) {
+                const result = await invoke('kill_external_ports');
+                appendConsoleTo(getConsole(), `\n⚡ ${result}\n`, 'success');
+            }
+        }
+    } catch (error) {
+        const errorMsg = error.error || error.message || String(error);
+        appendConsoleTo(getConsole(), `✗ Failed to kill ports: ${errorMsg}\n`, 'error');
+    }
+}
 
-            // Show ports view
-            elements.portsView.classList.remove('hidden');
-            elements.urlBar.style.display = 'none';
+// Install Dependencies
+async function installDependencies() {
+    const tab = getTab();
+    if (!tab || !tab.project) return;
 
-            await refreshPortsList();
+    const packageManager = getPackageManager(tab);
+    setInstallLoading(true);
+    const profile = getActiveEnvProfile(tab);
+    const profileText = profile ? ` (env profile: ${profile.name})` : '';
+    appendConsoleTo(tab.consoleEl, `\n📦 Installing dependencies with ${packageManager}${profileText}...\n`, 'info');
+    try {
+        tab.installing = true;
+        const success = await invoke('install_deps', {
+            projectPath: tab.project.projectPath,
+            tabId: tab.id,
+            packageManager,
+            runtime: getNodeRuntime(tab),
+            env: profileEnv(tab)
+        });
+        tab.installing = false;
+
+        if (success && tab.project) {
+            appendConsoleTo(tab.consoleEl, `✓ Dependencies installed successfully\n`, 'success');
+
+            // Reload project to update state (scripts bar, etc)
+            await loadProject(tab.project.projectPath);
+        }
+    } catch (e) {
+        tab.installing = false;
+        appendConsoleTo(tab.consoleEl, `✗ Failed to install dependencies: ${e}\n`, 'error');
+        // Only stop loading if failed, otherwise loadProject will refresh the UI
+        setInstallLoading(false);
+    }
+}
+
+function setInstallLoading(isLoading) {
+    const btns = document.querySelectorAll('.btn-install-deps');
+    btns.forEach(btn => {
+        if (isLoading) {
+            btn.classList.add('btn-loading');
+            btn.dataset.originalText = btn.innerHTML;
+            btn.innerHTML = 'Installing...';
+        } else {
+            btn.classList.remove('btn-loading');
+            if (btn.dataset.originalText) {
+                btn.innerHTML = btn.dataset.originalText;
+            }
         }
+    });
+
+    if (elements.depsStatus) {
+        const spans = elements.depsStatus.querySelectorAll('span');
+        if (spans.length >= 2) {
+            spans[1].style.display = isLoading ? 'none' : '';
+        }
+    }
+}
+
+// Update Script Buttons
+function updateScriptButtons() {
+    const tab = getTab();
+    if (!tab) return;
+
+    document.querySelectorAll('.script-btn').forEach(btn => {
+        const script = btn.dataset.script;
+        const isRunning = btn.dataset.pipeline
+            ? isPipelineRunning(tab, btn.dataset.pipeline)
+            : tab.runningScripts.has(script);
+        const isStopping = !btn.dataset.pipeline && tab.stoppingScripts.has(script);
+        btn.classList.toggle('running', isRunning);
+        btn.classList.toggle('stopping', isStopping);
+        const icon = btn.querySelector('.icon');
+        if (icon) icon.textContent = isStopping ? '…' : (isRunning ? '⬛' : (btn.dataset.icon || '▶'));
+    });
+}
+
+// Server URLs in script output: loopback addresses and LAN ones like Vite's "Network:" line.
+// 0.0.0.0 means every interface, which the browser reaches as localhost.
+const SERVER_URL_PATTERN = /https?:\/\/(?:localhost|127\.0\.0\.1|\[::1\]|0\.0\.0\.0|(?:\d{1,3}\.){3}\d{1,3}):\d+(?:\/[^\s'"`<>)\]]*)?/gi;
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// Track every URL a script announces; the first script to print a URL owns it
+function checkForUrl(text, tab, script) {
+    const urls = (text.match(SERVER_URL_PATTERN) || [])
+        .map(url => url.replace('//0.0.0.0:', '//localhost:').replace(/[.,;:]+$/, '').replace(/\/$/, ''));
+    let added = false;
+    urls.forEach(url => {
+        if (tab.urls.has(url)) return;
+        const network = !LOOPBACK_HOSTS.includes(new URL(url).hostname);
+        tab.urls.set(url, { url, script, network, status: 'unknown' });
+        appendConsoleTo(tab.consoleEl, `\n🚀 Server ready at: ${url}${network ? ' (network)' : ''}\n`, 'success', script);
+        added = true;
+    });
+    if (!added) return;
+    if (activeTabId === tab.id) renderUrlBar(tab);
+    scheduleUrlPoll(500);
+}
+
+function removeScriptUrls(tab, script) {
+    let removed = false;
+    tab.urls.forEach((entry, url) => {
+        if (entry.script !== script) return;
+        tab.urls.delete(url);
+        removed = true;
+    });
+    if (removed && activeTabId === tab.id) renderUrlBar(tab);
+}
 
-        function exitPortsView() {
-            portsViewActive = false;
-            elements.viewPortsBtn.classList.remove('btn-ports-active');
-            elements.viewPortsBtn.innerHTML = `
-                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                    <path d="M22 12h-4l-3 9L9 3l-3 9H2"></path>
-                </svg>
-                View All Ports
-            `;
+const URL_STATUS_TITLES = { up: 'Reachable', down: 'Not reachable', unknown: 'Checking…' };
 
-            // Hide ports view
-            elements.portsView.classList.add('hidden');
+// One row per tracked URL with its script, reachability and Copy/Open actions
+function renderUrlBar(tab) {
+    const urls = tab ? [...tab.urls.values()] : [];
+    // The ports view takes over the console area
+    if (!urls.length || !elements.portsView.classList.contains('hidden')) {
+        elements.urlBar.style.display = 'none';
+        return;
+    }
 
-            // Restore console header
-            if (savedConsoleHeaderHTML) {
-                elements.consoleHeader.innerHTML = savedConsoleHeaderHTML;
-                // Re-bind console header buttons
-                rebindConsoleHeaderButtons();
-                savedConsoleHeaderHTML = null;
+    elements.urlList.innerHTML = '';
+    urls.forEach(entry => {
+        const item = document.createElement('div');
+        item.className = 'url-item';
+        item.innerHTML = `
+            <span class="url-status ${entry.status}" title="${URL_STATUS_TITLES[entry.status]}"></span>
+            <span class="url-script" title="Started by ${escapeHtml(entry.script)}">${escapeHtml(entry.script)}</span>
+            <span class="url-text">${escapeHtml(entry.url)}</span>
+            ${entry.network ? '<span class="url-network" title="Reachable from other devices on your network">Network</span>' : ''}
+            <div class="url-actions">
+                <button class="btn btn-icon url-copy-btn" title="Copy URL">
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
+                        <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
+                    </svg>
+                    Copy
+                </button>
+                <button class="btn btn-success url-open-btn" title="Open in Browser">
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6"></path>
+                        <polyline points="15 3 21 3 21 9"></polyline>
+                        <line x1="10" y1="14" x2="21" y2="3"></line>
+                    </svg>
+                    Open
+                </button>
+            </div>
+        `;
+        const copyBtn = item.querySelector('.url-copy-btn');
+        copyBtn.addEventListener('click', () => copyToClipboard(entry.url, copyBtn));
+        item.querySelector('.url-open-btn').addEventListener('click', async () => {
+            try {
+                await openUrl(entry.url);
+            } catch (e) {
+                console.error('Failed to open URL:', e);
             }
+        });
+        elements.urlList.appendChild(item);
+    });
+    elements.urlBar.style.display = 'flex';
+}
 
-            // Show active tab console again
-            const current = tabs.get(activeTabId);
-            if (current) {
-                current.consoleEl.classList.remove('hidden');
-                if (current.detectedUrl) {
-                    elements.urlText.textContent = current.detectedUrl;
-                    elements.urlBar.style.display = 'flex';
-                }
+function scheduleUrlPoll(delay = URL_POLL_INTERVAL) {
+    clearTimeout(urlPollTimer);
+    urlPollTimer = setTimeout(pollUrls, delay);
+}
+
+// Check every tracked URL in all tabs; polling stops once none are left
+async function pollUrls() {
+    const entries = [...tabs.values()].flatMap(tab => [...tab.urls.values()].map(entry => ({ tab, entry })));
+    if (!entries.length) return;
+    try {
+        const results = await invoke('check_urls', { urls: entries.map(({ entry }) => entry.url) });
+        let activeChanged = false;
+        entries.forEach(({ tab, entry }, i) => {
+            const status = results[i] ? 'up' : 'down';
+            if (entry.status === status) return;
+            entry.status = status;
+            if (tab.id === activeTabId) activeChanged = true;
+        });
+        if (activeChanged) renderUrlBar(getTab());
+    } catch (e) {
+        console.error('Failed to check URLs:', e);
+    }
+    scheduleUrlPoll();
+}
+
+// ANSI rendering: the console keeps a small terminal model (lines of styled segments plus a
+// cursor) so colors survive and progress bars that rewrite their line with \r or cursor
+// movement don't add a line per update. Styles are inline, so copying still yields plain text.
+const SCROLLBACK_OPTIONS = [1000, 5000, 10000, 50000, 100000];
+const DEFAULT_SCROLLBACK = 10000;
+const CONSOLE_OVERSCAN = 400; // px of lines kept rendered above and below the viewport
+let scrollbackLimit = DEFAULT_SCROLLBACK;
+
+// Levels for the console filter toggles; success messages count as info
+const CONSOLE_LEVELS = ['error', 'warning', 'info', 'plain'];
+const MAX_FIND_MATCHES = 10000;
+
+// Prefix colors for scripts in a tab's combined output, assigned in order of first output
+const STREAM_COLORS = ['#60a5fa', '#a78bfa', '#f472b6', '#34d399', '#fbbf24', '#22d3ee', '#fb923c'];
+const EMPTY_LINES = { length: 0, get: () => undefined, forEach: () => { } };
+const FILE_LOCATION_REGEX = /((?:file:\/\/)?(?:[A-Za-z]:)?[\w@.\-/\\]*[\w@-]\.[A-Za-z]\w*)(?::(\d+)(?::(\d+))?|\((\d+),(\d+)\))/g;
+
+const ANSI_SEQUENCE_REGEX = /\u001b\[([0-9;?]*)([@-~])|\u001b\][^\u0007\u001b]*(?:\u0007|\u001b\\)|\u001b[@-Z\\-_]|\r\n|\r|\n/g;
+const ANSI_PALETTE = [
+    '#000000', '#cd3131', '#0dbc79', '#e5e510', '#2472c8', '#bc3fbc', '#11a8cd', '#e5e5e5',
+    '#666666', '#f14c4c', '#23d18b', '#f5f543', '#3b8eea', '#d670d6', '#29b8db', '#ffffff'
+];
+
+// xterm 256-color table: 16 base colors, a 6x6x6 cube, then 24 grays
+function ansi256Color(n) {
+    if (n < 16) return ANSI_PALETTE[n];
+    if (n >= 232) {
+        const level = 8 + (n - 232) * 10;
+        return `rgb(${level}, ${level}, ${level})`;
+    }
+    const levels = [0, 95, 135, 175, 215, 255];
+    const i = n - 16;
+    return `rgb(${levels[Math.floor(i / 36)]}, ${levels[Math.floor(i / 6) % 6]}, ${levels[i % 6]})`;
+}
+
+// Apply the parameters of an SGR sequence (ESC[...m) to the current style
+function applySgr(style, params) {
+    const codes = params === '' ? [0] : params.split(';').map(p => Number(p) || 0);
+    for (let i = 0; i < codes.length; i++) {
+        const code = codes[i];
+        if (code === 0) {
+            Object.keys(style).forEach(key => delete style[key]);
+        } else if (code === 1) style.bold = true;
+        else if (code === 2) style.dim = true;
+        else if (code === 3) style.italic = true;
+        else if (code === 4) style.underline = true;
+        else if (code === 7) style.inverse = true;
+        else if (code === 9) style.strike = true;
+        else if (code === 22) { delete style.bold; delete style.dim; }
+        else if (code === 23) delete style.italic;
+        else if (code === 24) delete style.underline;
+        else if (code === 27) delete style.inverse;
+        else if (code === 29) delete style.strike;
+        else if (code >= 30 && code <= 37) style.fg = ANSI_PALETTE[code - 30];
+        else if (code >= 90 && code <= 97) style.fg = ANSI_PALETTE[code - 90 + 8];
+        else if (code >= 40 && code <= 47) style.bg = ANSI_PALETTE[code - 40];
+        else if (code >= 100 && code <= 107) style.bg = ANSI_PALETTE[code - 100 + 8];
+        else if (code === 39) delete style.fg;
+        else if (code === 49) delete style.bg;
+        else if (code === 38 || code === 48) {
+            // 38;5;n (256 colors) or 38;2;r;g;b (truecolor)
+            const key = code === 38 ? 'fg' : 'bg';
+            if (codes[i + 1] === 5 && i + 2 < codes.length) {
+                style[key] = ansi256Color(codes[i + 2] & 255);
+                i += 2;
+            } else if (codes[i + 1] === 2 && i + 4 < codes.length) {
+                style[key] = `rgb(${codes[i + 2] & 255}, ${codes[i + 3] & 255}, ${codes[i + 4] & 255})`;
+                i += 4;
             }
         }
+    }
+}
 
-        function rebindConsoleHeaderButtons() {
-            const clearBtn = document.getElementById('clearConsoleBtn');
-            if (clearBtn) {
-                clearBtn.addEventListener('click', () => {
-                    const tab = getTab();
-                    if (tab) {
-                        tab.consoleEl.innerHTML = '';
-                        elements.urlBar.style.display = 'none';
-                        tab.detectedUrl = null;
-                    }
-                });
-            }
-            const copyAllBtn = document.getElementById('copyAllBtn');
-            if (copyAllBtn) {
-                copyAllBtn.addEventListener('click', () => {
-                    const cons = getConsole();
-                    if (cons) {
-                        navigator.clipboard.writeText(cons.innerText).catch(() => { });
-                    }
-                });
+function styleToCss(style) {
+    let fg = style.fg;
+    let bg = style.bg;
+    if (style.inverse) {
+        [fg, bg] = [bg || 'var(--bg-primary)', fg || 'var(--text-primary)'];
+    }
+    const css = [];
+    if (fg) css.push(`color: ${fg}`);
+    if (bg) css.push(`background-color: ${bg}`);
+    if (style.bold) css.push('font-weight: 700');
+    if (style.dim) css.push('opacity: 0.6');
+    if (style.italic) css.push('font-style: italic');
+    const decorations = [style.underline && 'underline', style.strike && 'line-through'].filter(Boolean);
+    if (decorations.length) css.push(`text-decoration: ${decorations.join(' ')}`);
+    return css.join('; ');
+}
+
+// Fixed-capacity line store for a console's scrollback; pushing past capacity drops the oldest line
+function createRingBuffer(capacity) {
+    let items = new Array(capacity);
+    let head = 0;
+    let length = 0;
+
+    return {
+        get length() { return length; },
+        get(i) { return items[(head + i) % capacity]; },
+        push(item) {
+            if (length < capacity) {
+                items[(head + length) % capacity] = item;
+                length++;
+            } else {
+                items[head] = item;
+                head = (head + 1) % capacity;
             }
-            const copyErrorsBtn = document.getElementById('copyErrorsBtn');
-            if (copyErrorsBtn) {
-                copyErrorsBtn.addEventListener('click', () => {
-                    const cons = getConsole();
-                    if (!cons) return;
-                    const spans = cons.querySelectorAll('.error, .warning');
-                    const text = Array.from(spans).map(s => s.innerText).join('\n');
-                    if (text) navigator.clipboard.writeText(text).catch(() => { });
-                });
+        },
+        // Drop everything from index n on
+        truncate(n) {
+            for (let i = n; i < length; i++) items[(head + i) % capacity] = undefined;
+            length = Math.min(length, n);
+        },
+        // Change the capacity, keeping the newest lines; returns how many were dropped
+        resize(newCapacity) {
+            const keep = Math.min(length, newCapacity);
+            const dropped = length - keep;
+            const next = new Array(newCapacity);
+            for (let i = 0; i < keep; i++) next[i] = items[(head + dropped + i) % capacity];
+            items = next;
+            head = 0;
+            length = keep;
+            capacity = newCapacity;
+            return dropped;
+        },
+        // Keep only the lines that pass `keep`, in order
+        retain(keep) {
+            const kept = [];
+            for (let i = 0; i < length; i++) {
+                const item = items[(head + i) % capacity];
+                if (keep(item)) kept.push(item);
             }
+            items = new Array(capacity);
+            kept.forEach((item, i) => { items[i] = item; });
+            head = 0;
+            length = kept.length;
+        },
+        forEach(fn) {
+            for (let i = 0; i < length; i++) fn(items[(head + i) % capacity], i);
         }
+    };
+}
 
-        async function refreshPortsList() {
-            elements.portsList.innerHTML = '<div class="ports-loading">Scanning ports...</div>';
-            try {
-                const ports = await invoke('list_open_ports');
-                if (ports.length === 0) {
-                    elements.portsList.innerHTML = '<div class="ports-empty">No open ports detected on monitored range</div>';
-                    return;
-                }
-                elements.portsList.innerHTML = '';
-                ports.forEach(p => {
-                    const item = document.createElement('div');
-                    item.className = 'port-item';
-                    item.innerHTML = `
-                        <div class="port-info">
-                            <span class="port-number">:${p.port}</span>
-                            <div class="port-details">
-                                <span class="port-process">${p.process_name}</span>
-                                <span class="port-pid">PID ${p.pid}</span>
-                            </div>
-                        </div>
-                        <div class="port-actions">
-                            <button class="port-view-btn" data-port="${p.port}">View</button>
-                            <button class="port-refresh-btn" data-port="${p.port}">Refresh</button>
-                            <button class="port-kill-btn" data-port="${p.port}">Kill</button>
-                        </div>
-                    `;
-                    item.querySelector('.port-view-btn').addEventListener('click', async (e) => {
-                        const port = e.target.dataset.port;
-                        try {
-                            await openUrl(`http://localhost:${port}`);
-                        } catch (err) {
-                            console.error('Failed to open port URL:', err);
-                        }
-                    });
-                    item.querySelector('.port-refresh-btn').addEventListener('click', async (e) => {
-                        const port = Number(e.target.dataset.port);
-                        e.target.textContent = 'Reloading...';
-                        e.target.disabled = true;
-                        try {
-                            await invoke('reload_browser_tab', { port });
-                        } catch (err) {
-                            console.error('Failed to reload browser tab:', err);
-                        }
-                        // Reset button text after a bit
-                        setTimeout(() => {
-                            e.target.textContent = 'Refresh';
-                            e.target.disabled = false;
-                        }, 500);
-                    });
-                    item.querySelector('.port-kill-btn').addEventListener('click', async (e) => {
-                        const port = Number(e.target.dataset.port);
-                        e.target.textContent = 'Killing...';
-                        e.target.disabled = true;
-                        try {
-                            await invoke('kill_single_port', { port });
-                        } catch (err) {
-                            console.error('Failed to kill port:', err);
-                        }
-                        await refreshPortsList();
-                    });
-                    elements.portsList.appendChild(item);
-                });
-            } catch (e) {
-                elements.portsList.innerHTML = `<div class="ports-empty">Error scanning ports: ${e}</div>`;
-            }
-        }
+// Terminal state of a console. Each output source (a script's label, or '' for the app's own
+// messages) gets a stream with its own lines and cursor, so interleaved scripts can't move each
+// other's cursor; `all` holds every stream's lines in arrival order for the combined view.
+// `stick` is true while the view is scrolled to the bottom and should follow new output.
+function getTerminal(consoleEl) {
+    if (!consoleEl.terminal) {
+        const topSpacer = document.createElement('div');
+        const bottomSpacer = document.createElement('div');
+        topSpacer.className = bottomSpacer.className = 'console-spacer';
+        consoleEl.terminal = {
+            streams: new Map(),
+            all: createRingBuffer(scrollbackLimit),
+            stick: true,
+            renderQueued: false,
+            rendered: [],
+            lineHeight: 0,
+            width: 0,
+            topSpacer,
+            bottomSpacer
+        };
+    }
+    return consoleEl.terminal;
+}
 
-        // Make refreshPortsList accessible
-        window.refreshPortsList = refreshPortsList;
+// A stream's `row` is the line its cursor is on, or null when it sits at the start of a new
+// line below the last one; `overwrite` means the cursor is back at column 0.
+function getStream(term, source) {
+    if (!term.streams.has(source)) {
+        term.streams.set(source, {
+            lines: createRingBuffer(scrollbackLimit),
+            row: null,
+            overwrite: false,
+            style: {},
+            css: ''
+        });
     }
+    return term.streams.get(source);
 }
 
-// Setup Context Menu Actions
-function setupContextMenu() {
-    elements.ctxCopyAll.addEventListener('click', () => {
-        const cons = getConsole();
-        if (cons) copyToClipboard(cons.innerText, elements.copyErrorsBtn);
-        elements.contextMenu.classList.add('hidden');
+// Clear the whole console. Panes of scripts that are still running stay listed.
+function clearConsole(consoleEl, html = '') {
+    consoleEl.terminal = null;
+    consoleEl.innerHTML = html;
+    if (consoleEl.search) {
+        consoleEl.search = null;
+        if (consoleEl === getConsole()) elements.findCount.textContent = '';
+    }
+    consoleEl.panes?.forEach((pane, source) => {
+        if (pane.status !== 'running' && pane.status !== 'stopping') consoleEl.panes.delete(source);
     });
+    if (consoleEl.pane !== null && !consoleEl.panes?.has(consoleEl.pane)) consoleEl.pane = null;
+    if (consoleEl === getConsole()) renderStreamBar();
+}
 
-    elements.ctxCopyErrors.addEventListener('click', () => {
-        const cons = getConsole();
-        if (cons) {
-            const spans = cons.querySelectorAll('.error');
-            const text = Array.from(spans).map(s => s.innerText).join('\n');
-            copyToClipboard(text, elements.copyErrorsBtn);
-        }
-        elements.contextMenu.classList.add('hidden');
-    });
+// Clear what the console is showing: the selected script's pane, or everything
+function clearActivePane(tab) {
+    const consoleEl = tab.consoleEl;
+    const term = consoleEl.terminal;
+    if (consoleEl.pane === null || !term) {
+        clearConsole(consoleEl);
+        return;
+    }
 
-    elements.ctxCopyWarnings.addEventListener('click', () => {
-        const cons = getConsole();
-        if (cons) {
-            const spans = cons.querySelectorAll('.warning');
-            const text = Array.from(spans).map(s => s.innerText).join('\n');
-            copyToClipboard(text, elements.copyErrorsBtn);
-        }
-        elements.contextMenu.classList.add('hidden');
-    });
+    const source = consoleEl.pane;
+    term.streams.delete(source);
+    term.all.retain(line => line.source !== source);
+    runConsoleSearch(consoleEl, false);
+    scheduleConsoleRender(consoleEl);
 }
 
-function showContextMenu(x, y) {
-    elements.contextMenu.style.left = `${x}px`;
-    elements.contextMenu.style.top = `${y}px`;
-    elements.contextMenu.classList.remove('hidden');
+// Per-script pane state (exit status, prefix color) lives on the console element so it
+// survives clears; the lines themselves are in the terminal's streams.
+function getPane(consoleEl, source) {
+    if (!consoleEl.panes.has(source)) {
+        const color = STREAM_COLORS[consoleEl.paneColorIndex++ % STREAM_COLORS.length];
+        consoleEl.panes.set(source, { status: 'idle', code: null, color });
+        if (consoleEl === getConsole()) renderStreamBar();
+    }
+    return consoleEl.panes.get(source);
 }
 
-// Drag & Drop
-async function setupDragDrop() {
-    // In Tauri v2, using onDragDropEvent is the recommended and most robust way
-    // to handle native file drops.
-    await appWindow.onDragDropEvent((event) => {
-        if (event.payload.type === 'enter') {
-            elements.dropOverlay.classList.add('visible');
-        } else if (event.payload.type === 'drop') {
-            elements.dropOverlay.classList.remove('visible');
-            const paths = event.payload.paths;
-            if (paths && paths.length > 0) {
-                // Ensure we call loadProject with the dropped path
-                loadProject(paths[0]);
+function setPaneStatus(consoleEl, source, status, code = null) {
+    const pane = getPane(consoleEl, source);
+    pane.status = status;
+    pane.code = code;
+    if (consoleEl === getConsole()) renderStreamBar();
+}
+
+// Show one script's output, or everything (null)
+function selectPane(consoleEl, source) {
+    consoleEl.pane = source;
+    const term = consoleEl.terminal;
+    if (term) {
+        term.all.forEach(line => { line.el = null; });
+        term.stick = true;
+    }
+    runConsoleSearch(consoleEl, false);
+    scheduleConsoleRender(consoleEl);
+    renderStreamBar();
+}
+
+// Chips above the console: "All" plus one per script that wrote to this tab
+function renderStreamBar() {
+    const consoleEl = getConsole();
+    const panes = consoleEl?.panes;
+    if (!panes || panes.size === 0) {
+        elements.streamBar.classList.add('hidden');
+        elements.streamBar.innerHTML = '';
+        return;
+    }
+
+    const chip = (label, source, pane) => {
+        const btn = document.createElement('button');
+        btn.className = `stream-chip${consoleEl.pane === source ? ' active' : ''}`;
+        if (pane) {
+            const dot = document.createElement('span');
+            dot.className = 'stream-dot';
+            dot.style.background = pane.color;
+            btn.appendChild(dot);
+        }
+        btn.appendChild(document.createTextNode(label));
+        if (pane && pane.status !== 'idle') {
+            const status = document.createElement('span');
+            status.className = `stream-status ${pane.status}`;
+            if (pane.status === 'running' || pane.status === 'stopping') {
+                status.textContent = pane.status;
+                btn.title = `${label} is ${pane.status}`;
+            } else if (pane.status === 'stopped') {
+                status.textContent = `■ ${pane.code}`;
+                btn.title = `${label} was stopped with ${pane.code}`;
+            } else {
+                status.textContent = pane.status === 'exited' ? '✓ 0' : `✗ ${pane.code}`;
+                btn.title = `${label} exited with ${typeof pane.code === 'number' ? `code ${pane.code}` : pane.code}`;
             }
-        } else if (event.payload.type === 'leave' || event.payload.type === 'cancelled') {
-            elements.dropOverlay.classList.remove('visible');
+            btn.appendChild(status);
         }
-    });
-
-    // Also prevent default browser behavior for these events to avoid conflicts
-    window.addEventListener('dragover', (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-    }, false);
+        btn.addEventListener('click', () => selectPane(consoleEl, source));
+        return btn;
+    };
 
-    window.addEventListener('drop', (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-    }, false);
+    const chips = [chip('All', null, null)];
+    panes.forEach((pane, source) => chips.push(chip(source, source, pane)));
+    elements.streamBar.replaceChildren(...chips);
+    elements.streamBar.classList.remove('hidden');
 }
 
-// Load Project
-async function loadProject(projectPath) {
-    const tab = getTab();
-    if (!tab) return;
+function lineLevel(line) {
+    if (line.type === 'error' || line.type === 'warning') return line.type;
+    if (line.type === 'info' || line.type === 'success') return 'info';
+    return 'plain';
+}
 
-    if (tab.project && tab.project.projectPath !== projectPath) {
-        updateHistoryOnClose(tab.project.projectPath);
-    }
+function lineText(line) {
+    return line.segments.map(segment => segment.text).join('');
+}
 
-    // Clear console and reset state for new project
-    tab.consoleEl.innerHTML = '';
-    elements.urlBar.style.display = 'none';
-    tab.detectedUrl = null;
+// Lines currently shown: the selected pane (or all output), narrowed to the levels the filter
+// lets through
+function getConsoleView(consoleEl) {
+    const term = consoleEl.terminal;
+    const source = consoleEl.pane ?? null;
+    const shown = source === null ? term.all : (term.streams.get(source)?.lines || EMPTY_LINES);
+    if (!consoleEl.hiddenLevels?.size) return shown;
+    const lines = [];
+    shown.forEach(line => {
+        if (!consoleEl.hiddenLevels.has(lineLevel(line))) lines.push(line);
+    });
+    return { length: lines.length, get: (i) => lines[i], forEach: (fn) => lines.forEach(fn) };
+}
 
-    appendConsoleTo(tab.consoleEl, `→ Loading project from: ${projectPath}\n`, 'info');
+// Script name shown before each line in the combined view
+function linePrefix(consoleEl, line) {
+    if ((consoleEl.pane ?? null) !== null || !line.source) return null;
+    return { text: `[${line.source}] `, color: consoleEl.panes?.get(line.source)?.color };
+}
 
-    try {
-        const result = await invoke('load_project', { path: projectPath });
+// Plain text of the lines shown in a console, optionally only the lines of the given types
+function getConsoleText(consoleEl, types = null) {
+    if (!consoleEl?.terminal) return '';
+    const text = [];
+    getConsoleView(consoleEl).forEach(line => {
+        if (types && !types.includes(line.type)) return;
+        const prefix = linePrefix(consoleEl, line);
+        text.push((prefix ? prefix.text : '') + lineText(line));
+    });
+    return text.join('\n');
+}
 
-        tab.project = result;
-        addToHistory(result);
+// Feed raw output (with ANSI sequences) into a stream of the console's terminal model. Touched
+// lines drop their element and are rebuilt on the next render.
+function writeAnsi(consoleEl, text, type, source = '') {
+    const term = getTerminal(consoleEl);
+    const stream = getStream(term, source);
 
-        // Update header if active
-        if (activeTabId === tab.id) {
-            if (window.resetClearButton) window.resetClearButton();
-            elements.projectName.textContent = result.name;
-            elements.projectPath.textContent = result.projectPath;
+    const newLine = () => {
+        const line = { type, source, segments: [], el: null, height: 0 };
+        stream.lines.push(line);
+        term.all.push(line);
+    };
+    const currentLine = () => {
+        if (stream.row === null) {
+            newLine();
+            stream.row = stream.lines.length - 1;
         }
-        tab.el.querySelector('.tab-title').textContent = result.name;
-
-        // Show project-specific buttons
-        elements.clearProjectBtn.classList.remove('hidden');
-        elements.openFinderBtn.classList.remove('hidden');
-        elements.selectFolderBtnText.textContent = 'Change Project';
-        if (elements.killAllPortsBtn) elements.killAllPortsBtn.classList.remove('hidden');
-
-        // Update dependencies status
-        if (result.nodeModulesInstalled) {
-            elements.depsStatus.className = 'deps-status installed';
-            elements.depsStatus.innerHTML = '<span class="status-dot"></span><span>All dependencies installed</span>';
+        return stream.lines.get(stream.row);
+    };
+    const clearLine = (line) => {
+        line.segments = [];
+        line.type = type;
+        line.el = null;
+    };
+    const writeText = (chunk) => {
+        if (!chunk) return;
+        const line = currentLine();
+        if (stream.overwrite) {
+            clearLine(line);
+            stream.overwrite = false;
+        }
+        if (type && !line.type) line.type = type;
+        const last = line.segments[line.segments.length - 1];
+        if (last && last.css === stream.css) {
+            last.text += chunk;
         } else {
-            elements.depsStatus.className = 'deps-status missing';
-            elements.depsStatus.innerHTML = `
-                <span class="status-dot"></span>
-                <span>Dependencies not installed</span>
-                <button class="btn btn-primary btn-install-deps" style="margin-left: auto; padding: 6px 12px; font-size: 11px;">Install</button>
-            `;
+            line.segments.push({ text: chunk, css: stream.css });
+        }
+        line.el = null;
+    };
+
+    let lastIndex = 0;
+    ANSI_SEQUENCE_REGEX.lastIndex = 0;
+    let match;
+    while ((match = ANSI_SEQUENCE_REGEX.exec(text)) !== null) {
+        writeText(text.slice(lastIndex, match.index));
+        lastIndex = ANSI_SEQUENCE_REGEX.lastIndex;
+
+        const sequence = match[0];
+        if (sequence === '\n' || sequence === '\r\n') {
+            if (stream.row === null) {
+                newLine();
+            } else {
+                stream.row = stream.row + 1 < stream.lines.length ? stream.row + 1 : null;
+            }
+            stream.overwrite = false;
+            continue;
+        }
+        if (sequence === '\r') {
+            stream.overwrite = true;
+            continue;
+        }
+        if (match[2] === undefined) continue; // OSC (e.g. hyperlinks) and other escapes
+
+        const params = match[1];
+        const count = Math.max(1, parseInt(params, 10) || 1);
+        switch (match[2]) {
+            case 'm':
+                applySgr(stream.style, params);
+                stream.css = styleToCss(stream.style);
+                break;
+            case 'A': // cursor up
+                stream.row = Math.max(0, (stream.row === null ? stream.lines.length : stream.row) - count);
+                if (stream.lines.length === 0) stream.row = null;
+                break;
+            case 'B': // cursor down
+                if (stream.row !== null) {
+                    stream.row = stream.row + count < stream.lines.length ? stream.row + count : null;
+                }
+                break;
+            case 'G': // cursor to column
+                if (count === 1) stream.overwrite = true;
+                break;
+            case 'K': // erase in line: the cursor is either at column 0 or at the end of the line
+                if (stream.row !== null && (params === '2' || params === '1' || stream.overwrite)) {
+                    clearLine(stream.lines.get(stream.row));
+                    stream.overwrite = true;
+                }
+                break;
+            case 'J': // erase below the cursor; full-screen clears are ignored to keep the history
+                if (stream.row !== null && (params === '' || params === '0')) {
+                    const erased = new Set();
+                    for (let i = stream.row + 1; i < stream.lines.length; i++) erased.add(stream.lines.get(i));
+                    if (erased.size) term.all.retain(line => !erased.has(line));
+                    stream.lines.truncate(stream.row + 1);
+                    if (stream.overwrite) clearLine(stream.lines.get(stream.row));
+                }
+                break;
         }
+    }
+    writeText(text.slice(lastIndex));
 
-        // Render dependencies
-        renderDependencies(result.dependencies, elements.depsList);
-        renderDependencies(result.devDependencies, elements.devDepsList);
-
-        // Render scripts
-        renderScripts(result.scripts, tab);
-
-        appendConsoleTo(tab.consoleEl, `✓ Project loaded: ${result.name} v${result.version}\n`, 'success');
-    } catch (error) {
-        const errorMsg = error.error || error.message || String(error);
-        appendConsoleTo(tab.consoleEl, `✗ ${errorMsg}\n`, 'error');
+    // Lines dropped from the front of the ring buffer move the cursor with them
+    if (stream.row !== null && stream.row >= stream.lines.length) stream.row = null;
+}
 
-        if (activeTabId === tab.id) {
-            elements.projectName.textContent = 'No Project';
-            elements.projectPath.textContent = projectPath;
-            elements.scriptsBar.innerHTML = '<div class="no-scripts">No package.json found</div>';
-            elements.depsList.innerHTML = '<div class="dep-item"><span class="name" style="color: var(--text-muted);">None</span></div>';
-            elements.devDepsList.innerHTML = '<div class="dep-item"><span class="name" style="color: var(--text-muted);">None</span></div>';
+// Build a line's element, cutting its styled segments at find-bar matches and file links so
+// they can be marked
+function buildConsoleLine(line, highlights = [], prefix = null, links = []) {
+    const piece = (text, css, matchClass) => {
+        if (!css && !matchClass) return document.createTextNode(text);
+        const node = document.createElement(matchClass ? 'mark' : 'span');
+        if (css) node.style.cssText = css;
+        if (matchClass) node.className = matchClass;
+        node.textContent = text;
+        return node;
+    };
 
-            // Ensure buttons are hidden if load fails
-            elements.clearProjectBtn.classList.add('hidden');
-            elements.openFinderBtn.classList.add('hidden');
-            elements.selectFolderBtnText.textContent = 'Open Project';
-            if (elements.killAllPortsBtn) elements.killAllPortsBtn.classList.add('hidden');
+    const cuts = new Set([0]);
+    let length = 0;
+    const spans = line.segments.map(segment => {
+        const span = { start: length, end: length + segment.text.length, segment };
+        length = span.end;
+        cuts.add(length);
+        return span;
+    });
+    [...highlights, ...links].forEach(range => {
+        cuts.add(Math.min(range.start, length));
+        cuts.add(Math.min(range.end, length));
+    });
+    const points = [...cuts].sort((a, b) => a - b);
+
+    const nodes = [];
+    let spanIndex = 0;
+    let linkEl = null;
+    let openLink = null;
+    for (let i = 0; i + 1 < points.length; i++) {
+        const from = points[i];
+        const until = points[i + 1];
+        while (spans[spanIndex].end <= from) spanIndex++;
+        const { start, segment } = spans[spanIndex];
+        const highlight = highlights.find(h => h.start <= from && from < h.end);
+        const node = piece(
+            segment.text.slice(from - start, until - start),
+            segment.css,
+            highlight && (highlight.current ? 'console-match current' : 'console-match')
+        );
+
+        const link = links.find(l => l.start <= from && from < l.end);
+        if (!link) {
+            openLink = null;
+            nodes.push(node);
+            continue;
+        }
+        if (link !== openLink) {
+            openLink = link;
+            linkEl = document.createElement('a');
+            linkEl.className = 'console-link';
+            linkEl.title = 'Open in editor';
+            linkEl.dataset.file = link.file;
+            if (link.line) linkEl.dataset.line = link.line;
+            if (link.column) linkEl.dataset.column = link.column;
+            nodes.push(linkEl);
         }
+        linkEl.appendChild(node);
     }
-}
-
-// Render Dependencies
-function renderDependencies(deps, container) {
-    container.innerHTML = '';
 
-    for (const [name, version] of Object.entries(deps)) {
-        const item = document.createElement('div');
-        item.className = 'dep-item';
-        item.innerHTML = `<span class="name">${name}</span><span class="version">${version}</span>`;
-        container.appendChild(item);
+    if (prefix) {
+        const tag = document.createElement('span');
+        tag.className = 'console-prefix';
+        if (prefix.color) tag.style.color = prefix.color;
+        tag.textContent = prefix.text;
+        nodes.unshift(tag);
     }
 
-    if (Object.keys(deps).length === 0) {
-        container.innerHTML = '<div class="dep-item"><span class="name" style="color: var(--text-muted);">None</span></div>';
+    const el = document.createElement('div');
+    el.className = `console-line ${line.type || ''}`;
+    if (line.source) el.dataset.source = line.source;
+    el.replaceChildren(...nodes);
+    return el;
+}
+
+// "path/to/file.ts:12:5" and tsc-style "file.ts(12,5)" locations in a line of output. Matches
+// that continue a URL or another word ("http://host.dev:3000") are skipped.
+function lineLinks(line) {
+    const text = lineText(line);
+    const links = [];
+    FILE_LOCATION_REGEX.lastIndex = 0;
+    let match;
+    while ((match = FILE_LOCATION_REGEX.exec(text)) !== null) {
+        const before = text[match.index - 1];
+        if (before && /[\w:/.@\\-]/.test(before)) continue;
+        links.push({
+            start: match.index,
+            end: match.index + match[0].length,
+            file: match[1],
+            line: Number(match[2] || match[4]),
+            column: Number(match[3] || match[5]) || null
+        });
     }
+    return links;
 }
 
-// Render Scripts
-function renderScripts(scripts, tab) {
-    if (activeTabId !== tab.id) return; // Only render if active tab
+// Find-bar matches on a line, flagging the current one
+function lineHighlights(consoleEl, line) {
+    const search = consoleEl.search;
+    const indexes = search?.byLine.get(line);
+    if (!indexes) return [];
+    return indexes.map(i => ({ ...search.matches[i], current: i === search.current }));
+}
 
-    elements.scriptsBar.innerHTML = '';
+// Render once per frame, however many writes happened in between
+function scheduleConsoleRender(consoleEl) {
+    const term = consoleEl?.terminal;
+    if (!term || term.renderQueued) return;
+    term.renderQueued = true;
+    requestAnimationFrame(() => renderConsole(consoleEl));
+}
 
-    // Add Install Dependencies button if needed
-    if (tab.project && !tab.project.nodeModulesInstalled) {
-        const installBtn = document.createElement('button');
-        installBtn.className = 'script-btn btn-primary btn-install-deps';
-        installBtn.innerHTML = `
-            <span class="icon">📦</span>
-            Install Dependencies
-        `;
-        installBtn.style.border = '1px solid var(--primary-color)';
-        elements.scriptsBar.appendChild(installBtn);
+// Virtualized render: only lines near the viewport get elements; spacers stand in for the
+// rest, using measured heights (wrapped lines are taller) or the single-line height.
+function renderConsole(consoleEl) {
+    const term = consoleEl.terminal;
+    if (!term) return;
+    term.renderQueued = false;
+
+    const viewport = consoleEl.clientHeight;
+    if (viewport === 0) return; // hidden tab; rendered again when shown
+
+    if (!term.topSpacer.isConnected) {
+        consoleEl.append(term.topSpacer, term.bottomSpacer);
     }
 
-    if (Object.keys(scripts).length === 0 && (tab.project && tab.project.nodeModulesInstalled)) {
-        elements.scriptsBar.innerHTML = '<div class="no-scripts">No scripts defined</div>';
-        return;
+    const estimate = term.lineHeight || 25;
+    const heightOf = (line) => line.height || estimate;
+    const view = getConsoleView(consoleEl);
+    const count = view.length;
+    let total = 0;
+    view.forEach(line => { total += heightOf(line); });
+
+    const scrollTop = term.stick ? Math.max(0, total - viewport) : consoleEl.scrollTop;
+    const from = scrollTop - CONSOLE_OVERSCAN;
+    const to = scrollTop + viewport + CONSOLE_OVERSCAN;
+
+    let first = 0;
+    let top = 0;
+    while (first < count && top + heightOf(view.get(first)) < from) {
+        top += heightOf(view.get(first));
+        first++;
+    }
+    let last = first;
+    let bottom = top;
+    while (last < count && bottom < to) {
+        bottom += heightOf(view.get(last));
+        last++;
     }
 
-    for (const [name, cmd] of Object.entries(scripts)) {
-        const isRunning = tab.runningScripts.has(name);
+    const visible = [];
+    for (let i = first; i < last; i++) {
+        const line = view.get(i);
+        if (!line.el) {
+            line.el = buildConsoleLine(line, lineHighlights(consoleEl, line), linePrefix(consoleEl, line), lineLinks(line));
+        }
+        visible.push(line);
+    }
 
-        const btn = document.createElement('button');
-        btn.className = `script-btn ${isRunning ? 'running' : ''}`;
-        btn.dataset.script = name;
-        btn.onclick = () => toggleScript(name, tab.id);
-        btn.innerHTML = `
-            <span class="icon">${isRunning ? '⬛' : '▶'}</span>
-            ${name}
-        `;
+    // Move only what changed, so a selection in untouched lines survives new output
+    const wanted = new Set(visible.map(line => line.el));
+    term.rendered.forEach(el => { if (!wanted.has(el)) el.remove(); });
+    let anchor = term.topSpacer;
+    visible.forEach(line => {
+        if (anchor.nextSibling !== line.el) anchor.after(line.el);
+        anchor = line.el;
+    });
+    term.rendered = visible.map(line => line.el);
+    term.topSpacer.style.height = `${top}px`;
+    term.bottomSpacer.style.height = `${Math.max(0, total - bottom)}px`;
+
+    visible.forEach(line => {
+        line.height = line.el.offsetHeight;
+        if (line.height && (!term.lineHeight || line.height < term.lineHeight)) {
+            term.lineHeight = line.height;
+        }
+    });
 
-        elements.scriptsBar.appendChild(btn);
+    if (term.stick) {
+        consoleEl.scrollTop = consoleEl.scrollHeight;
     }
 }
 
-// Toggle Script (Run/Stop)
-async function toggleScript(name, tabId = activeTabId) {
-    const tab = tabs.get(tabId);
-    if (!tab) return;
+// Scroll and resize handling for a tab's console
+function setupConsole(consoleEl) {
+    consoleEl.panes = new Map();
+    consoleEl.paneColorIndex = 0;
+    consoleEl.pane = null;
+
+    consoleEl.addEventListener('scroll', () => {
+        const term = consoleEl.terminal;
+        if (!term) return;
+        term.stick = consoleEl.scrollHeight - consoleEl.scrollTop - consoleEl.clientHeight < 40;
+        scheduleConsoleRender(consoleEl);
+    });
 
-    if (tab.runningScripts.has(name)) {
-        await stopScript(name, tabId);
-    } else {
-        await runScript(name, tabId);
-    }
-}
+    // File locations in the output open in the editor
+    consoleEl.addEventListener('click', (e) => {
+        const link = e.target.closest('.console-link');
+        if (!link || window.getSelection().toString()) return;
+        const tab = [...tabs.values()].find(t => t.consoleEl === consoleEl);
+        const source = link.closest('.console-line')?.dataset.source;
+        openInEditor(tab, {
+            file: link.dataset.file,
+            line: Number(link.dataset.line) || null,
+            column: Number(link.dataset.column) || null,
+            base: (source && tab?.problemParsers.get(source)?.base) || ''
+        });
+    });
 
-// Run Script
-async function runScript(name, tabId = activeTabId) {
-    const tab = tabs.get(tabId);
-    if (!tab || !tab.project) return;
+    // Line wrapping changes with the width, so measured heights no longer apply
+    new ResizeObserver(() => {
+        const term = consoleEl.terminal;
+        if (!term || consoleEl.clientWidth === term.width) return;
+        term.width = consoleEl.clientWidth;
+        term.all.forEach(line => { line.height = 0; });
+        scheduleConsoleRender(consoleEl);
+    }).observe(consoleEl);
+}
 
-    appendConsoleTo(tab.consoleEl, `\n▶ Starting: npm run ${name}\n`, 'info');
+function loadScrollbackLimit() {
+    const saved = Number(localStorage.getItem('npm-commander-scrollback'));
+    scrollbackLimit = SCROLLBACK_OPTIONS.includes(saved) ? saved : DEFAULT_SCROLLBACK;
+}
 
-    try {
-        await invoke('run_script', {
-            projectPath: tab.project.projectPath,
-            scriptName: name,
-            tabId: tab.id
+// Apply a new scrollback limit to every open console
+function setScrollbackLimit(limit) {
+    scrollbackLimit = limit;
+    localStorage.setItem('npm-commander-scrollback', String(limit));
+    for (const [, tab] of tabs) {
+        const term = tab.consoleEl.terminal;
+        if (!term) continue;
+        term.all.resize(limit);
+        term.streams.forEach(stream => {
+            const dropped = stream.lines.resize(limit);
+            if (stream.row !== null) stream.row = stream.row - dropped >= 0 ? stream.row - dropped : null;
         });
-        tab.runningScripts.add(name);
-        if (activeTabId === tab.id) updateScriptButtons();
-    } catch (error) {
-        const errorMsg = error.error || error.message || String(error);
-        appendConsoleTo(tab.consoleEl, `✗ ${errorMsg}\n`, 'error');
+        scheduleConsoleRender(tab.consoleEl);
     }
 }
 
-// Stop Script
-async function stopScript(name, tabId = activeTabId) {
-    const tab = tabs.get(tabId);
-    if (!tab) return;
+// The console header is re-created by the ports view, so this binds by id each time
+function bindScrollbackSelect() {
+    const select = document.getElementById('scrollbackSelect');
+    if (!select) return;
+    select.innerHTML = SCROLLBACK_OPTIONS
+        .map(limit => `<option value="${limit}">${limit.toLocaleString()} lines</option>`)
+        .join('');
+    select.value = String(scrollbackLimit);
+    select.addEventListener('change', () => setScrollbackLimit(Number(select.value)));
+}
+
+function loadSessionSettings() {
+    try {
+        const stored = localStorage.getItem('npm-commander-session-settings');
+        if (stored) {
+            sessionSettings = { ...sessionSettings, ...JSON.parse(stored) };
+        }
+    } catch (e) { }
+}
+
+// The console header is re-created by the ports view, so look the button up each time
+function bindKeepHistoryButton() {
+    const btn = document.getElementById('keepHistoryBtn');
+    if (!btn) return;
+    btn.classList.toggle('active', sessionSettings.keepHistory);
+    btn.addEventListener('click', () => {
+        sessionSettings.keepHistory = !sessionSettings.keepHistory;
+        localStorage.setItem('npm-commander-session-settings', JSON.stringify(sessionSettings));
+        btn.classList.toggle('active', sessionSettings.keepHistory);
+        saveSession();
+    });
+}
+
+// What a tab has running, in a form runScript and runCustomCommand can start again
+function runningEntries(tab) {
+    return [...tab.runningScripts].filter(label => !tab.stoppingScripts.has(label)).map(label => {
+        const run = tab.restarts.get(label);
+        if (run) return { type: 'script', name: run.name, workspace: run.workspace, options: run.options };
+        return { type: 'command', label };
+    });
+}
+
+// The last lines of a tab's combined output, without colors
+function consoleHistory(consoleEl) {
+    const all = consoleEl.terminal?.all;
+    if (!all) return [];
+    const lines = [];
+    for (let i = Math.max(0, all.length - SESSION_HISTORY_LINES); i < all.length; i++) {
+        const line = all.get(i);
+        lines.push({ type: line.type, source: line.source, text: lineText(line) });
+    }
+    return lines;
+}
 
-    appendConsoleTo(tab.consoleEl, `\n⬛ Stopping: ${name}\n`, 'warning');
+function saveSession() {
+    clearTimeout(sessionSaveTimer);
+    sessionSaveTimer = null;
+    // Don't overwrite the previous session before it has been restored
+    if (!sessionReady) return;
+
+    const list = [...tabs.values()];
+    const session = {
+        tabs: list.map(tab => ({
+            projectPath: tab.project?.projectPath || null,
+            workspace: tab.selectedWorkspace,
+            running: runningEntries(tab),
+            history: sessionSettings.keepHistory ? consoleHistory(tab.consoleEl) : []
+        })),
+        activeIndex: list.findIndex(tab => tab.id === activeTabId),
+        sidebarCollapsed: elements.sidebar.classList.contains('collapsed')
+    };
     try {
-        await invoke('stop_script', { scriptName: name, tabId: tab.id });
-        tab.runningScripts.add(name); // It actually should be runningScripts.delete, but Tauri backend handles delete on exit. Still, let's pretend it's running till exited or force delete.
-        // The script-exit event actually deletes it.
-        // updateScriptButtons(); 
+        localStorage.setItem('npm-commander-session', JSON.stringify(session));
     } catch (e) {
-        console.error('Failed to stop script:', e);
+        console.error('Failed to save session:', e);
     }
 }
 
-// Install Dependencies
-async function installDependencies() {
-    const tab = getTab();
-    if (!tab || !tab.project) return;
+function scheduleSessionSave() {
+    if (!sessionSaveTimer) sessionSaveTimer = setTimeout(saveSession, 300);
+}
 
-    setInstallLoading(true);
-    appendConsoleTo(tab.consoleEl, `\n📦 Installing dependencies...\n`, 'info');
+function loadSavedSession() {
     try {
-        const success = await invoke('install_deps', { projectPath: tab.project.projectPath, tabId: tab.id });
+        return JSON.parse(localStorage.getItem('npm-commander-session'));
+    } catch (e) {
+        return null;
+    }
+}
 
-        if (success && tab.project) {
-            tab.project.nodeModulesInstalled = true;
-            if (activeTabId === tab.id) {
-                elements.depsStatus.className = 'deps-status installed';
-                elements.depsStatus.innerHTML = '<span class="status-dot"></span><span>All dependencies installed</span>';
-            }
-            appendConsoleTo(tab.consoleEl, `✓ Dependencies installed successfully\n`, 'success');
+// Reopen the tabs of the previous session; returns false when there is nothing to restore
+async function restoreSession() {
+    const session = loadSavedSession();
+    if (!session?.tabs?.length) return false;
+    // Tabs come from the session, not the last-project default
+    isInitialStartup = false;
 
-            // Reload project to update state (scripts bar, etc)
-            await loadProject(tab.project.projectPath);
+    const relaunch = [];
+    for (const saved of session.tabs) {
+        await createNewTab();
+        const tab = getTab();
+        const history = saved.history || [];
+        if (history.length) {
+            history.forEach(line => appendConsoleTo(tab.consoleEl, `${line.text}\n`, line.type, line.source));
+            appendConsoleTo(tab.consoleEl, '── Restored from the previous session ──\n', 'info');
+        }
+        if (saved.projectPath) {
+            await loadProject(saved.projectPath, { keepConsole: history.length > 0, workspace: saved.workspace });
+            if (tab.project && saved.running?.length) relaunch.push({ tab, entries: saved.running });
         }
-    } catch (e) {
-        appendConsoleTo(tab.consoleEl, `✗ Failed to install dependencies: ${e}\n`, 'error');
-        // Only stop loading if failed, otherwise loadProject will refresh the UI
-        setInstallLoading(false);
     }
+
+    const active = [...tabs.values()][session.activeIndex];
+    if (active) switchTab(active.id);
+    elements.sidebar.classList.toggle('collapsed', !!session.sidebarCollapsed);
+
+    if (relaunch.length) await offerRelaunch(relaunch);
+    return true;
 }
 
-function setInstallLoading(isLoading) {
-    const btns = document.querySelectorAll('.btn-install-deps');
-    btns.forEach(btn => {
-        if (isLoading) {
-            btn.classList.add('btn-loading');
-            btn.dataset.originalText = btn.innerHTML;
-            btn.innerHTML = 'Installing...';
-        } else {
-            btn.classList.remove('btn-loading');
-            if (btn.dataset.originalText) {
-                btn.innerHTML = btn.dataset.originalText;
+// Ask before starting again what was running when the app quit
+async function offerRelaunch(relaunch) {
+    const labels = relaunch.flatMap(({ entries }) =>
+        entries.map(entry => (entry.type === 'command' ? entry.label : scriptLabel(entry.name, entry.workspace))));
+    const yes = await showCustomConfirm(
+        `These were running when NPM Commander quit: ${labels.join(', ')}. Start them again?`,
+        'Relaunch Scripts'
+    );
+    if (!yes) return;
+
+    for (const { tab, entries } of relaunch) {
+        for (const entry of entries) {
+            if (entry.type === 'command') {
+                const command = getCustomCommands(tab).find(c => c.label === entry.label);
+                if (command) await runCustomCommand(tab, command);
+            } else {
+                await runScript(entry.name, tab.id, entry.workspace, entry.options);
             }
         }
-    });
-
-    if (elements.depsStatus) {
-        const spans = elements.depsStatus.querySelectorAll('span');
-        if (spans.length >= 2) {
-            spans[1].style.display = isLoading ? 'none' : '';
-        }
     }
 }
 
-// Update Script Buttons
-function updateScriptButtons() {
-    const tab = getTab();
-    if (!tab) return;
+// Console level filters. The header is re-created by the ports view, so bind by selector each time.
+function bindConsoleFilters() {
+    document.querySelectorAll('.filter-toggle').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const consoleEl = getConsole();
+            if (!consoleEl) return;
+            if (!consoleEl.hiddenLevels) consoleEl.hiddenLevels = new Set();
+            const level = btn.dataset.level;
+            if (consoleEl.hiddenLevels.has(level)) {
+                consoleEl.hiddenLevels.delete(level);
+            } else {
+                consoleEl.hiddenLevels.add(level);
+            }
+            syncConsoleFilters();
+            runConsoleSearch(consoleEl, false);
+            scheduleConsoleRender(consoleEl);
+        });
+    });
+    syncConsoleFilters();
+}
 
-    document.querySelectorAll('.script-btn').forEach(btn => {
-        const script = btn.dataset.script;
-        const isRunning = tab.runningScripts.has(script);
-        btn.classList.toggle('running', isRunning);
-        btn.querySelector('.icon').textContent = isRunning ? '⬛' : '▶';
+// Reflect the active console's filter in the toggles
+function syncConsoleFilters() {
+    const hidden = getConsole()?.hiddenLevels;
+    document.querySelectorAll('.filter-toggle').forEach(btn => {
+        btn.classList.toggle('active', !hidden?.has(btn.dataset.level));
     });
+}
 
-    // Hide URL bar if no dev/preview/start scripts are running
-    const serverScripts = ['dev', 'preview', 'start', 'serve'];
-    const anyServerRunning = serverScripts.some(s => tab.runningScripts.has(s));
-    if (!anyServerRunning && tab.detectedUrl) {
-        elements.urlBar.style.display = 'none';
-        tab.detectedUrl = null;
+function openFindBar() {
+    if (!getConsole() || !elements.portsView.classList.contains('hidden')) return;
+    elements.findBar.classList.remove('hidden');
+    elements.findInput.focus();
+    elements.findInput.select();
+    runConsoleSearch(getConsole());
+}
+
+function closeFindBar() {
+    elements.findBar.classList.add('hidden');
+    for (const [, tab] of tabs) {
+        if (tab.consoleEl.search) runConsoleSearch(tab.consoleEl, false);
     }
 }
 
-// Check for localhost URL in output
-function checkForUrl(text, tab) {
-    const patterns = [
-        /https?:\/\/localhost:\d+/gi,
-        /https?:\/\/127\.0\.0\.1:\d+/gi,
-        /https?:\/\/\[?::1\]?:\d+/gi
-    ];
+// Search the lines shown in a console with the find bar's query and options. `reveal`
+// scrolls to the current match (off for refreshes triggered by new output).
+function runConsoleSearch(consoleEl, reveal = true) {
+    if (!consoleEl) return;
+    const previous = consoleEl.search;
+    previous?.byLine.forEach((_, line) => { line.el = null; });
+    consoleEl.search = null;
+
+    const query = elements.findInput.value;
+    elements.findInput.classList.remove('invalid');
+    if (!query || elements.findBar.classList.contains('hidden') || !consoleEl.terminal) {
+        elements.findCount.textContent = '';
+        scheduleConsoleRender(consoleEl);
+        return;
+    }
 
-    for (const pattern of patterns) {
-        const match = text.match(pattern);
-        if (match && !tab.detectedUrl) {
-            tab.detectedUrl = match[0];
+    const flags = elements.findCaseBtn.classList.contains('active') ? 'g' : 'gi';
+    let pattern;
+    try {
+        pattern = elements.findRegexBtn.classList.contains('active')
+            ? new RegExp(query, flags)
+            : new RegExp(query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), flags);
+    } catch (e) {
+        elements.findInput.classList.add('invalid');
+        elements.findCount.textContent = 'Invalid regex';
+        scheduleConsoleRender(consoleEl);
+        return;
+    }
 
-            if (activeTabId === tab.id) {
-                elements.urlText.textContent = tab.detectedUrl;
-                elements.urlBar.style.display = 'flex';
-            }
-            appendConsoleTo(tab.consoleEl, `\n🚀 Server ready at: ${tab.detectedUrl}\n`, 'success');
+    const search = { matches: [], current: -1, byLine: new Map(), capped: false };
+    getConsoleView(consoleEl).forEach(line => {
+        if (search.matches.length >= MAX_FIND_MATCHES) {
+            search.capped = true;
             return;
         }
+        const text = lineText(line);
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(text)) !== null && search.matches.length < MAX_FIND_MATCHES) {
+            if (match[0].length === 0) {
+                pattern.lastIndex++;
+                continue;
+            }
+            if (!search.byLine.has(line)) search.byLine.set(line, []);
+            search.byLine.get(line).push(search.matches.length);
+            search.matches.push({ line, start: match.index, end: match.index + match[0].length });
+        }
+    });
+    search.byLine.forEach((_, line) => { line.el = null; });
+
+    if (search.matches.length > 0) {
+        search.current = previous && previous.current >= 0 ? Math.min(previous.current, search.matches.length - 1) : 0;
+    }
+    consoleEl.search = search;
+    updateFindCount(consoleEl);
+    if (reveal) revealCurrentMatch(consoleEl);
+    scheduleConsoleRender(consoleEl);
+}
+
+function updateFindCount(consoleEl) {
+    const search = consoleEl.search;
+    if (!search) return;
+    const total = `${search.matches.length}${search.capped ? '+' : ''}`;
+    elements.findCount.textContent = search.matches.length ? `${search.current + 1} of ${total}` : 'No results';
+}
+
+function stepConsoleSearch(direction) {
+    const consoleEl = getConsole();
+    const search = consoleEl?.search;
+    if (!search || search.matches.length === 0) {
+        runConsoleSearch(consoleEl);
+        return;
+    }
+    search.matches[search.current].line.el = null;
+    search.current = (search.current + direction + search.matches.length) % search.matches.length;
+    search.matches[search.current].line.el = null;
+    updateFindCount(consoleEl);
+    revealCurrentMatch(consoleEl);
+    scheduleConsoleRender(consoleEl);
+}
+
+// Scroll so the current match sits in the upper third of the console
+function revealCurrentMatch(consoleEl) {
+    const term = consoleEl.terminal;
+    const match = consoleEl.search?.matches[consoleEl.search.current];
+    if (!term || !match) return;
+
+    const view = getConsoleView(consoleEl);
+    let offset = 0;
+    for (let i = 0; i < view.length; i++) {
+        const line = view.get(i);
+        if (line === match.line) break;
+        offset += line.height || term.lineHeight || 25;
     }
+    term.stick = false;
+    consoleEl.scrollTop = Math.max(0, offset - consoleEl.clientHeight / 3);
 }
 
 // Append to Console
-function appendConsoleTo(consoleEl, text, type = '') {
+function appendConsoleTo(consoleEl, text, type = '', source = '') {
     if (!consoleEl) return;
     const welcome = consoleEl.querySelector('.console-welcome');
     if (welcome) welcome.remove();
 
-    const span = document.createElement('span');
-    span.className = type;
-
     // Auto-detect error/warning if no type provided
     if (!type) {
-        const lower = text.toLowerCase();
+        const lower = stripAnsi(text).toLowerCase();
         if (lower.startsWith('error') || lower.includes('error:')) {
-            span.className = 'error';
+            type = 'error';
         } else if (lower.startsWith('warn') || lower.includes('warning:')) {
-            span.className = 'warning';
+            type = 'warning';
+        }
+    }
+
+    if (source) getPane(consoleEl, source);
+    writeAnsi(consoleEl, text, type, source);
+    scheduleConsoleRender(consoleEl);
+
+    // Keep find-bar results current without searching on every write
+    if (consoleEl.search && !consoleEl.searchTimer) {
+        consoleEl.searchTimer = setTimeout(() => {
+            consoleEl.searchTimer = null;
+            runConsoleSearch(consoleEl, false);
+        }, 300);
+    }
+}
+
+// Problems: compiler, linter and test failures parsed out of script output
+const MAX_PROBLEMS = 500;
+const TSC_REGEX = /^(\S.*?)\((\d+),(\d+)\): (error|warning) (TS\d+): (.+)$/;
+const TSC_PRETTY_REGEX = /^(\S.*?):(\d+):(\d+) - (error|warning) (TS\d+): (.+)$/;
+const ESLINT_COMPACT_REGEX = /^(\S.*?): line (\d+), col (\d+), (Error|Warning) - (.+)$/;
+const ESLINT_STYLISH_FILE_REGEX = /^((?:\/|[A-Za-z]:\\)\S+\.\w+)\s*$/;
+const ESLINT_STYLISH_ROW_REGEX = /^\s+(\d+):(\d+)\s+(error|warning)\s+(.+?)(?:\s{2,}(\S+))?\s*$/;
+const ESBUILD_HEADER_REGEX = /^\s*(?:✘|▲|X|!)?\s*\[(ERROR|WARNING)\]\s+(.+)$/;
+const ESBUILD_LOCATION_REGEX = /^\s+(\S+?):(\d+):(\d+):\s*$/;
+const ESBUILD_INLINE_REGEX = /^(\S+?):(\d+):(\d+): (ERROR|WARNING): (.+)$/;
+const VITE_ERROR_REGEX = /\[vite\] (?:Internal server error|Pre-transform error): (.+)$/;
+const VITE_FILE_REGEX = /^\s*File: (\S+?)(?::(\d+):(\d+))?\s*$/;
+const VITE_IMPORT_REGEX = /Failed to resolve import "[^"]+" from "([^"]+)"/;
+const BABEL_MESSAGE_REGEX = /^(\S+?): (.+) \((\d+):(\d+)\)$/;
+const JEST_TITLE_REGEX = /^\s*● (.+)$/;
+const VITEST_FAIL_REGEX = /^\s*(?:FAIL|×)\s+(\S+) > (.+)$/;
+const VITEST_FRAME_REGEX = /^\s*❯ (?:\S+ )?(\S+?):(\d+):(\d+)\s*$/;
+const NODE_ERROR_REGEX = /^\s*(?:Uncaught )?((?:[A-Z]\w*)?Error(?: \[\w+\])?: .+)$/;
+const STACK_FRAME_REGEX = /^\s+at (?:.*? \()?((?:file:\/\/)?[^\s()]+?):(\d+):(\d+)\)?\s*$/;
+
+// Per-script parser state: the directory relative paths are printed from, the current file of
+// an ESLint stylish block, and a message waiting for the location printed after it
+function createProblemParser(base = '') {
+    return { base, file: null, pending: null };
+}
+
+function makeProblem(file, line, column, message, severity, tool) {
+    return {
+        file: file.replace(/^file:\/\//, ''),
+        line: line ? Number(line) : null,
+        column: column ? Number(column) : null,
+        message: message.trim(),
+        severity: severity.toLowerCase(),
+        tool
+    };
+}
+
+// Complete the message waiting for its location
+function takePendingProblem(state, file, line, column) {
+    const { message, detail, severity, tool } = state.pending;
+    state.pending = null;
+    return makeProblem(file, line, column, detail ? `${message}: ${detail}` : message, severity, tool);
+}
+
+// Parse one line of plain output; returns a problem or null
+function parseProblemLine(state, text) {
+    let m;
+    if ((m = text.match(TSC_REGEX) || text.match(TSC_PRETTY_REGEX))) {
+        return makeProblem(m[1], m[2], m[3], `${m[6]} (${m[5]})`, m[4], 'tsc');
+    }
+    if ((m = text.match(ESLINT_COMPACT_REGEX))) {
+        return makeProblem(m[1], m[2], m[3], m[5], m[4], 'eslint');
+    }
+    if ((m = text.match(ESBUILD_INLINE_REGEX))) {
+        return makeProblem(m[1], m[2], m[3], m[5], m[4], 'esbuild');
+    }
+
+    // ESLint stylish: a file path on its own line, then one indented row per problem
+    if ((m = text.match(ESLINT_STYLISH_FILE_REGEX))) {
+        state.file = m[1];
+        return null;
+    }
+    if (state.file) {
+        if ((m = text.match(ESLINT_STYLISH_ROW_REGEX))) {
+            const message = m[5] ? `${m[4]} (${m[5]})` : m[4];
+            return makeProblem(state.file, m[1], m[2], message, m[3], 'eslint');
+        }
+        if (!text.trim()) state.file = null;
+    }
+
+    // Vite dev server errors, with the location inline or on a following "File:" line
+    if ((m = text.match(VITE_ERROR_REGEX))) {
+        const inline = m[1].match(BABEL_MESSAGE_REGEX);
+        if (inline) return makeProblem(inline[1], inline[3], inline[4], inline[2], 'error', 'vite');
+        const unresolved = m[1].match(VITE_IMPORT_REGEX);
+        if (unresolved) return makeProblem(unresolved[1], null, null, m[1], 'error', 'vite');
+        state.pending = { message: m[1], severity: 'error', tool: 'vite' };
+        return null;
+    }
+    if (state.pending?.tool === 'vite' && (m = text.match(VITE_FILE_REGEX))) {
+        return takePendingProblem(state, m[1], m[2], m[3]);
+    }
+
+    // esbuild: "✘ [ERROR] message", a blank line, then "    file:line:col:"
+    if ((m = text.match(ESBUILD_HEADER_REGEX))) {
+        state.pending = { message: m[2], severity: m[1], tool: 'esbuild' };
+        return null;
+    }
+    if (state.pending?.tool === 'esbuild' && (m = text.match(ESBUILD_LOCATION_REGEX))) {
+        return takePendingProblem(state, m[1], m[2], m[3]);
+    }
+
+    // Test failures: the test's title, then the first frame of the assertion's stack
+    if ((m = text.match(VITEST_FAIL_REGEX))) {
+        state.pending = { message: m[2], severity: 'error', tool: 'vitest' };
+        return null;
+    }
+    if ((m = text.match(JEST_TITLE_REGEX)) && !m[1].startsWith('Console')) {
+        state.pending = { message: m[1], severity: 'error', tool: 'jest' };
+        return null;
+    }
+    if (state.pending?.tool === 'vitest' && (m = text.match(VITEST_FRAME_REGEX))) {
+        return takePendingProblem(state, m[1], m[2], m[3]);
+    }
+
+    // Node errors: "TypeError: ..." followed by a stack, located at the first frame in project code
+    if ((m = text.match(NODE_ERROR_REGEX))) {
+        if (state.pending && (state.pending.tool === 'jest' || state.pending.tool === 'vitest') && !state.pending.detail) {
+            state.pending.detail = m[1];
+        } else {
+            state.pending = { message: m[1], severity: 'error', tool: 'node' };
         }
+        return null;
+    }
+    if (state.pending && (m = text.match(STACK_FRAME_REGEX))) {
+        if (/node_modules|^node:|^internal\//.test(m[1])) return null;
+        return takePendingProblem(state, m[1], m[2], m[3]);
+    }
+    return null;
+}
+
+function getProblemParser(tab, script) {
+    if (!tab.problemParsers.has(script)) tab.problemParsers.set(script, createProblemParser());
+    return tab.problemParsers.get(script);
+}
+
+// A rerun starts with a clean slate for that script; `base` is the package directory its
+// relative paths are printed from
+function resetProblems(tab, script, base = '') {
+    tab.problemParsers.set(script, createProblemParser(base));
+    for (const [key, problem] of tab.problems) {
+        if (problem.script === script) tab.problems.delete(key);
+    }
+    if (tab.id === activeTabId) renderProblems(tab);
+}
+
+function collectProblems(tab, script, lines) {
+    const state = getProblemParser(tab, script);
+    let changed = false;
+    lines.forEach(line => {
+        const text = stripAnsi(line).replace(/\r?\n$/, '');
+        const problem = parseProblemLine(state, text.slice(text.lastIndexOf('\r') + 1));
+        if (!problem || tab.problems.size >= MAX_PROBLEMS) return;
+
+        const key = [script, problem.file, problem.line, problem.column, problem.message].join('|');
+        if (tab.problems.has(key)) return;
+        tab.problems.set(key, { ...problem, script, base: state.base });
+        changed = true;
+    });
+    if (changed && tab.id === activeTabId) renderProblems(tab);
+}
+
+// Count badge on the console header; the header is re-created by the ports view, so look it up each time
+function updateProblemsCount(tab) {
+    const count = document.getElementById('problemsCount');
+    if (!count) return;
+    const total = tab ? tab.problems.size : 0;
+    count.textContent = String(total);
+    count.classList.toggle('has-errors', !!tab && [...tab.problems.values()].some(p => p.severity === 'error'));
+}
+
+function renderProblems(tab) {
+    updateProblemsCount(tab);
+    if (elements.problemsPanel.classList.contains('hidden')) return;
+
+    const problems = tab ? [...tab.problems.values()] : [];
+    const errors = problems.filter(p => p.severity === 'error').length;
+    elements.problemsSummary.textContent = problems.length
+        ? `${errors} ${errors === 1 ? 'error' : 'errors'}, ${problems.length - errors} ${problems.length - errors === 1 ? 'warning' : 'warnings'}`
+        : '';
+
+    elements.problemsList.innerHTML = '';
+    if (problems.length === 0) {
+        elements.problemsList.innerHTML = '<div class="problems-empty">No problems detected in script output</div>';
+        return;
     }
 
-    span.textContent = text;
-    consoleEl.appendChild(span);
-    consoleEl.scrollTop = consoleEl.scrollHeight;
+    const byFile = new Map();
+    problems.forEach(problem => {
+        if (!byFile.has(problem.file)) byFile.set(problem.file, []);
+        byFile.get(problem.file).push(problem);
+    });
+
+    byFile.forEach((fileProblems, file) => {
+        const group = document.createElement('div');
+        group.className = 'problems-group';
+        group.innerHTML = `
+            <div class="problems-file">
+                <span class="problems-file-name">${escapeHtml(file)}</span>
+                <span class="problems-file-count">${fileProblems.length}</span>
+            </div>
+        `;
+        fileProblems
+            .sort((a, b) => (a.line || 0) - (b.line || 0) || (a.column || 0) - (b.column || 0))
+            .forEach(problem => {
+                const row = document.createElement('div');
+                row.className = `problem-item ${problem.severity}`;
+                row.title = 'Open in editor';
+                const location = problem.line ? `${problem.line}:${problem.column || 1}` : '';
+                row.innerHTML = `
+                    <span class="problem-icon">${problem.severity === 'error' ? '✗' : '⚠'}</span>
+                    <span class="problem-message">${escapeHtml(problem.message)}</span>
+                    <span class="problem-location">${location}</span>
+                    <span class="problem-source">${escapeHtml(problem.tool)} · ${escapeHtml(problem.script)}</span>
+                `;
+                row.addEventListener('click', () => openInEditor(tab, problem));
+                group.appendChild(row);
+            });
+        elements.problemsList.appendChild(group);
+    });
+}
+
+function toggleProblemsPanel(show = elements.problemsPanel.classList.contains('hidden')) {
+    elements.problemsPanel.classList.toggle('hidden', !show);
+    renderProblems(getTab());
+}
+
+// The console header is re-created by the ports view, so this binds by id each time
+function bindProblemsButton() {
+    const btn = document.getElementById('problemsToggleBtn');
+    if (btn) btn.addEventListener('click', () => toggleProblemsPanel());
+    updateProblemsCount(getTab());
 }
 
 /* --- TAB MANAGEMENT --- */
@@ -1121,6 +4963,7 @@ async function createNewTab() {
     consoleEl.className = 'console hidden';
     consoleEl.id = `console-${id}`;
     consoleEl.innerHTML = DROP_ZONE_HTML;
+    setupConsole(consoleEl);
     elements.consoleContainer.appendChild(consoleEl);
 
     // Setup Tab State
@@ -1129,8 +4972,23 @@ async function createNewTab() {
         el: tabEl,
         consoleEl,
         project: null,
-        detectedUrl: null,
-        runningScripts: new Set()
+        selectedWorkspace: null,
+        dependencyBusy: false,
+        outdated: null,
+        urls: new Map(),
+        runningScripts: new Set(),
+        stoppingScripts: new Set(),
+        problems: new Map(),
+        problemParsers: new Map(),
+        exitWaiters: new Map(),
+        pipelineRuns: new Map(),
+        restarts: new Map(),
+        projectChanges: new Set(),
+        projectReloadTimer: null,
+        installing: false,
+        nodeVersions: null,
+        envFiles: null,
+        envRevealed: new Set()
     };
     tabs.set(id, targetTab);
 
@@ -1172,10 +5030,19 @@ function switchTab(id) {
     if (window.resetClearButton) window.resetClearButton();
     const current = tabs.get(id);
     if (!current) return;
+    scheduleSessionSave();
+
+    closeDependencyTree();
 
     // Activate current
     current.el.classList.add('active');
     current.consoleEl.classList.remove('hidden');
+    scheduleConsoleRender(current.consoleEl);
+    syncConsoleFilters();
+    renderStreamBar();
+    renderPipelineBar();
+    renderProblems(current);
+    if (!elements.findBar.classList.contains('hidden')) runConsoleSearch(current.consoleEl, false);
 
     // Restore Header UI
     if (current.project) {
@@ -1183,46 +5050,39 @@ function switchTab(id) {
         elements.projectPath.textContent = current.project.projectPath;
         elements.clearProjectBtn.classList.remove('hidden');
         elements.openFinderBtn.classList.remove('hidden');
+        elements.openEditorBtn.classList.remove('hidden');
+        elements.editorSelect.classList.remove('hidden');
         elements.selectFolderBtnText.textContent = 'Change Project';
         if (elements.killAllPortsBtn) elements.killAllPortsBtn.classList.remove('hidden');
+        renderPackageManagerSelect(current);
+        renderNodeRuntime(current);
 
         // Restore Sidebar
-        if (current.project.nodeModulesInstalled) {
-            elements.depsStatus.className = 'deps-status installed';
-            elements.depsStatus.innerHTML = '<span class="status-dot"></span><span>All dependencies installed</span>';
-        } else {
-            elements.depsStatus.className = 'deps-status missing';
-            elements.depsStatus.innerHTML = `
-                <span class="status-dot"></span>
-                <span>Dependencies not installed</span>
-                <button class="btn btn-primary btn-install-deps" style="margin-left: auto; padding: 6px 12px; font-size: 11px;">Install</button>
-            `;
-        }
-        renderDependencies(current.project.dependencies, elements.depsList);
-        renderDependencies(current.project.devDependencies, elements.devDepsList);
-        renderScripts(current.project.scripts, current);
+        renderDepsStatus(current);
+        renderWorkspaces(current);
+        renderActivePackage(current);
 
     } else {
         elements.projectName.textContent = 'Select a Project';
         elements.projectPath.textContent = 'No project loaded';
         elements.clearProjectBtn.classList.add('hidden');
         elements.openFinderBtn.classList.add('hidden');
+        elements.openEditorBtn.classList.add('hidden');
+        elements.editorSelect.classList.add('hidden');
+        elements.pmSelect.classList.add('hidden');
+        renderNodeRuntime(null);
         if (elements.killAllPortsBtn) elements.killAllPortsBtn.classList.add('hidden');
         elements.selectFolderBtnText.textContent = 'Open Project';
 
         elements.scriptsBar.innerHTML = '<div class="no-scripts">Load a project to see available scripts</div>';
         elements.depsList.innerHTML = '';
         elements.devDepsList.innerHTML = '';
+        hideProjectSections();
         elements.depsStatus.className = 'deps-status';
         elements.depsStatus.innerHTML = '<span class="status-dot"></span><span>Not loaded</span>';
     }
 
-    if (current.detectedUrl) {
-        elements.urlText.textContent = current.detectedUrl;
-        elements.urlBar.style.display = 'flex';
-    } else {
-        elements.urlBar.style.display = 'none';
-    }
+    renderUrlBar(current);
 
     updateScriptButtons();
 }
@@ -1241,11 +5101,14 @@ async function closeTab(id) {
     for (const script of tabToClose.runningScripts) {
         await stopScript(script, id);
     }
+    [...tabToClose.restarts.keys()].forEach(label => cancelRestart(tabToClose, label));
+    unwatchProject(tabToClose);
 
     // Remove DOM
     tabToClose.el.remove();
     tabToClose.consoleEl.remove();
     tabs.delete(id);
+    scheduleSessionSave();
 
     if (tabs.size === 0) {
         activeTabId = null;
@@ -2,17 +2,23 @@
 // Handles all system interactions: file operations, process management, dialogs
 
 use serde::{Deserialize, Serialize};
-use std::collections::HashMap;
+use std::collections::{HashMap, HashSet};
 use std::fs;
 use std::path::PathBuf;
 use std::process::{Child, Command, Stdio};
-use std::sync::{Arc, Mutex};
+use std::sync::atomic::{AtomicBool, Ordering};
+use std::sync::{Arc, Mutex, OnceLock};
+use std::time::SystemTime;
 use tauri::{AppHandle, Emitter, Manager, State};
 
 // Global state for running processes
 pub struct AppState {
     processes: Mutex<HashMap<String, Child>>,
     last_project_path: Mutex<Option<String>>,
+    // File watchers keyed like processes ("{tab_id}:{label}"); setting the flag stops the thread
+    watchers: Mutex<HashMap<String, Arc<AtomicBool>>>,
+    // Last signal sent to each process being stopped, so script-exit can tell how it ended
+    stop_signals: Mutex<HashMap<String, &'static str>>,
 }
 
 impl Default for AppState {
@@ -20,6 +26,8 @@ impl Default for AppState {
         Self {
             processes: Mutex::new(HashMap::new()),
             last_project_path: Mutex::new(None),
+            watchers: Mutex::new(HashMap::new()),
+            stop_signals: Mutex::new(HashMap::new()),
         }
     }
 }
@@ -36,6 +44,123 @@ pub struct ProjectInfo {
     node_modules_installed: bool,
     #[serde(rename = "projectPath")]
     project_path: String,
+    #[serde(rename = "packageManager")]
+    package_manager: String,
+    workspaces: Vec<WorkspacePackage>,
+    #[serde(rename = "dependencyStates")]
+    dependency_states: HashMap<String, DependencyState>,
+    extraneous: Vec<String>,
+    #[serde(rename = "nodeConstraint")]
+    node_constraint: Option<NodeConstraint>,
+}
+
+// Node version a project asks for and where it's declared (".nvmrc", ".node-version",
+// "engines.node" or "volta")
+#[derive(Serialize, Deserialize, Clone)]
+pub struct NodeConstraint {
+    range: String,
+    source: String,
+}
+
+// Which Node runs a project's scripts and installs: "system" (whatever the login shell finds),
+// a version manager ("nvm", "fnm", "volta") or "custom" with `dir` pointing at a Node install
+#[derive(Serialize, Deserialize, Clone)]
+pub struct NodeRuntime {
+    manager: String,
+    dir: Option<String>,
+}
+
+#[derive(Serialize, Clone)]
+pub struct EnvVariable {
+    key: String,
+    value: String,
+}
+
+#[derive(Serialize, Clone)]
+pub struct EnvFile {
+    name: String,
+    // A template like .env.example, listing the keys the real files should define
+    example: bool,
+    variables: Vec<EnvVariable>,
+}
+
+#[derive(Serialize, Clone)]
+pub struct NodeVersions {
+    node: Option<String>,
+    npm: Option<String>,
+    // Whether `node` satisfies the project's constraint; None without one or when it can't be evaluated
+    satisfied: Option<bool>,
+    // Version managers with Node installs on this machine
+    managers: Vec<String>,
+    // Why the selected runtime couldn't be used
+    error: Option<String>,
+}
+
+#[derive(Serialize, Deserialize)]
+pub struct WorkspacePackage {
+    name: String,
+    version: String,
+    path: String,
+    #[serde(rename = "relativePath")]
+    relative_path: String,
+    scripts: HashMap<String, String>,
+    dependencies: HashMap<String, String>,
+    #[serde(rename = "devDependencies")]
+    dev_dependencies: HashMap<String, String>,
+    #[serde(rename = "dependencyStates")]
+    dependency_states: HashMap<String, DependencyState>,
+}
+
+// Installed version of a declared dependency and how it compares to the declared range.
+// status: "ok", "missing", "mismatch" or "unknown" (range isn't a semver range, e.g. a git URL)
+#[derive(Serialize, Deserialize, Clone)]
+pub struct DependencyState {
+    installed: Option<String>,
+    status: String,
+}
+
+#[derive(Serialize, Deserialize, Clone)]
+pub struct OutdatedPackage {
+    name: String,
+    current: Option<String>,
+    wanted: Option<String>,
+    latest: Option<String>,
+    #[serde(rename = "dependencyType")]
+    dependency_type: Option<String>,
+}
+
+// One advisory affecting an installed package. `path` runs from a direct dependency
+// down to the vulnerable package, e.g. ["react-scripts", "webpack", "minimist"].
+#[derive(Serialize, Deserialize, Clone)]
+pub struct AuditAdvisory {
+    name: String,
+    severity: String,
+    title: String,
+    url: Option<String>,
+    range: Option<String>,
+    path: Vec<String>,
+    #[serde(rename = "fixAvailable")]
+    fix_available: bool,
+    #[serde(rename = "fixVersion")]
+    fix_version: Option<String>,
+    #[serde(rename = "fixIsMajor")]
+    fix_is_major: bool,
+}
+
+// A resolved package in the lockfile graph. `dependencies` holds node ids, so the tree can be
+// walked down (subtrees) and up (why is this installed?). Importers (the root and workspace
+// packages) use their path relative to the project as id, "" being the root.
+#[derive(Serialize, Clone)]
+pub struct TreeNode {
+    name: String,
+    version: String,
+    dependencies: Vec<String>,
+}
+
+#[derive(Serialize)]
+pub struct DependencyTree {
+    lockfile: String,
+    nodes: HashMap<String, TreeNode>,
 }
 
 #[derive(Serialize, Deserialize)]
@@ -57,6 +182,25 @@ pub struct ScriptExit {
     script: String,
     code: i32,
     tab_id: String,
+    // The signal that ended the process: the last one stop_script sent, or the one it died of
+    signal: Option<String>,
+    // Stopped from the app rather than exiting on its own
+    stopped: bool,
+    // Stopped before SIGKILL was needed
+    graceful: bool,
+}
+
+#[derive(Serialize, Clone)]
+pub struct FileChange {
+    script: String,
+    paths: Vec<String>,
+    tab_id: String,
+}
+
+#[derive(Serialize, Clone)]
+pub struct ProjectChange {
+    paths: Vec<String>,
+    tab_id: String,
 }
 
 #[derive(Serialize, Clone)]
@@ -64,527 +208,3232 @@ pub struct PortInfo {
     port: u16,
     pid: String,
     process_name: String,
+    // The listening process and its ancestors, e.g. ["node (4312)", "npm (4301)", "zsh (4300)"]
+    tree: Vec<String>,
+    // Set when the process descends from a script started in one of our tabs
+    tab_id: Option<String>,
+    script: Option<String>,
 }
 
-// Get settings path
-fn get_settings_path() -> PathBuf {
-    let config_dir = dirs::config_dir().unwrap_or_else(|| PathBuf::from("."));
-    config_dir.join("npm-commander").join("settings.json")
-}
+// Supported package managers, in the order they are offered in the UI
+const PACKAGE_MANAGERS: [&str; 4] = ["npm", "pnpm", "yarn", "bun"];
 
-// Load last used project path
-fn load_last_path() -> Option<String> {
-    let path = get_settings_path();
-    if path.exists() {
-        if let Ok(content) = fs::read_to_string(&path) {
-            if let Ok(data) = serde_json::from_str::<serde_json::Value>(&content) {
-                return data.get("lastProjectPath").and_then(|v| v.as_str()).map(String::from);
-            }
+// Lockfiles that identify a package manager when package.json doesn't name one
+const LOCKFILES: [(&str, &str); 5] = [
+    ("pnpm-lock.yaml", "pnpm"),
+    ("yarn.lock", "yarn"),
+    ("bun.lockb", "bun"),
+    ("bun.lock", "bun"),
+    ("package-lock.json", "npm"),
+];
+
+// Detect the package manager from the packageManager field (e.g. "pnpm@9.1.0"), then lockfiles
+fn detect_package_manager(project_path: &PathBuf, pkg: &serde_json::Value) -> String {
+    if let Some(field) = pkg.get("packageManager").and_then(|v| v.as_str()) {
+        let name = field.split('@').next().unwrap_or("").trim();
+        if PACKAGE_MANAGERS.contains(&name) {
+            return name.to_string();
         }
     }
-    None
-}
 
-// Save last used project path
-fn save_last_path(project_path: &str) {
-    let path = get_settings_path();
-    if let Some(parent) = path.parent() {
-        let _ = fs::create_dir_all(parent);
+    for (lockfile, manager) in LOCKFILES {
+        if project_path.join(lockfile).exists() {
+            return manager.to_string();
+        }
     }
-    let data = serde_json::json!({ "lastProjectPath": project_path });
-    let _ = fs::write(&path, serde_json::to_string_pretty(&data).unwrap_or_default());
+
+    "npm".to_string()
 }
 
-#[tauri::command]
-fn get_default_path(state: State<AppState>) -> String {
-    // First check for saved last path
-    if let Some(last) = load_last_path() {
-        if PathBuf::from(&last).exists() {
-            return last;
-        }
-    }
-    
-    // Check in-memory state
-    if let Ok(guard) = state.last_project_path.lock() {
-        if let Some(ref path) = *guard {
-            if PathBuf::from(path).exists() {
-                return path.clone();
+// Validate a package manager name coming from the frontend, defaulting to npm
+fn resolve_package_manager(package_manager: Option<String>) -> &'static str {
+    package_manager
+        .and_then(|pm| PACKAGE_MANAGERS.iter().find(|known| **known == pm).copied())
+        .unwrap_or("npm")
+}
+
+// Shells that understand the POSIX command lines we build (quoting, `${VAR:-default}`, `||`)
+const POSIX_SHELLS: [&str; 6] = ["zsh", "bash", "sh", "dash", "ksh", "mksh"];
+
+// The user's login shell from $SHELL, so scripts see the same PATH (nvm, Volta, Homebrew…) as
+// their terminal. Shells with their own syntax, like fish, fall back to zsh, bash or sh.
+fn login_shell() -> &'static str {
+    static SHELL: OnceLock<String> = OnceLock::new();
+    SHELL.get_or_init(|| {
+        let from_env = std::env::var("SHELL").ok().filter(|shell| {
+            let name = shell.rsplit('/').next().unwrap_or("");
+            POSIX_SHELLS.contains(&name) && PathBuf::from(shell).exists()
+        });
+        from_env
+            .or_else(|| {
+                ["/bin/zsh", "/bin/bash", "/usr/bin/zsh", "/usr/bin/bash"]
+                    .iter()
+                    .find(|shell| PathBuf::from(shell).exists())
+                    .map(|shell| shell.to_string())
+            })
+            .unwrap_or_else(|| "/bin/sh".to_string())
+    })
+}
+
+// Quote a value for safe use inside a `<login shell> -lc` command line
+fn shell_quote(value: &str) -> String {
+    format!("'{}'", value.replace('\'', "'\\''"))
+}
+
+// Build the command that runs a script, optionally inside a workspace package, passing extra
+// arguments through to the script (npm needs them after `--`, the others take them as-is)
+fn build_run_command(package_manager: &str, script_name: &str, workspace: Option<&str>, args: &[String]) -> String {
+    let script = shell_quote(script_name);
+    let command = match workspace {
+        None => format!("{} run {}", package_manager, script),
+        Some(ws) => {
+            let ws = shell_quote(ws);
+            match package_manager {
+                "pnpm" => format!("pnpm --filter {} run {}", ws, script),
+                "yarn" => format!("yarn workspace {} run {}", ws, script),
+                "bun" => format!("bun run --filter {} {}", ws, script),
+                _ => format!("npm run {} --workspace={}", script, ws),
             }
         }
+    };
+    if args.is_empty() {
+        return command;
+    }
+    let args = args.iter().map(|a| shell_quote(a)).collect::<Vec<_>>().join(" ");
+    match package_manager {
+        "pnpm" | "yarn" | "bun" => format!("{} {}", command, args),
+        _ => format!("{} -- {}", command, args),
     }
-    
-    // Default to home directory
-    dirs::home_dir()
-        .map(|p| p.to_string_lossy().to_string())
-        .unwrap_or_else(|| "/".to_string())
 }
 
-#[tauri::command]
-fn load_project(path: String, state: State<AppState>) -> Result<ProjectInfo, ProjectError> {
-    let project_path = PathBuf::from(&path);
-    let pkg_path = project_path.join("package.json");
-    
-    if !pkg_path.exists() {
-        return Err(ProjectError {
-            error: "No package.json found in this folder".to_string(),
-        });
-    }
-    
-    // Save path for next time
-    save_last_path(&path);
-    if let Ok(mut guard) = state.last_project_path.lock() {
-        *guard = Some(path.clone());
+// Label used for process keys and console output, e.g. "@acme/web › dev"
+fn script_label(script_name: &str, workspace: Option<&str>) -> String {
+    match workspace {
+        Some(ws) => format!("{} › {}", ws, script_name),
+        None => script_name.to_string(),
     }
-    
-    // Read package.json
-    let content = fs::read_to_string(&pkg_path).map_err(|e| ProjectError {
-        error: format!("Failed to read package.json: {}", e),
-    })?;
-    
-    let pkg: serde_json::Value = serde_json::from_str(&content).map_err(|e| ProjectError {
-        error: format!("Invalid JSON in package.json: {}", e),
-    })?;
-    
-    let name = pkg.get("name")
-        .and_then(|v| v.as_str())
-        .unwrap_or("Unknown Project")
-        .to_string();
-    
-    let version = pkg.get("version")
-        .and_then(|v| v.as_str())
-        .unwrap_or("0.0.0")
-        .to_string();
-    
-    let scripts = pkg.get("scripts")
-        .and_then(|v| v.as_object())
-        .map(|obj| {
-            obj.iter()
-                .filter_map(|(k, v)| v.as_str().map(|s| (k.clone(), s.to_string())))
-                .collect()
-        })
-        .unwrap_or_default();
-    
-    let dependencies = pkg.get("dependencies")
-        .and_then(|v| v.as_object())
-        .map(|obj| {
-            obj.iter()
-                .filter_map(|(k, v)| v.as_str().map(|s| (k.clone(), s.to_string())))
-                .collect()
-        })
-        .unwrap_or_default();
-    
-    let dev_dependencies = pkg.get("devDependencies")
+}
+
+// Read a string-to-string object (scripts, dependencies...) from package.json
+fn read_string_map(pkg: &serde_json::Value, key: &str) -> HashMap<String, String> {
+    pkg.get(key)
         .and_then(|v| v.as_object())
         .map(|obj| {
             obj.iter()
                 .filter_map(|(k, v)| v.as_str().map(|s| (k.clone(), s.to_string())))
                 .collect()
         })
-        .unwrap_or_default();
-    
-    let node_modules_installed = project_path.join("node_modules").exists();
-    
-    Ok(ProjectInfo {
-        name,
-        version,
-        scripts,
-        dependencies,
-        dev_dependencies,
-        node_modules_installed,
-        project_path: path,
-    })
+        .unwrap_or_default()
 }
 
-// No shared processes struct needed here
+// Collect workspace globs from package.json ("workspaces" array or { packages: [...] })
+// and pnpm-workspace.yaml
+fn read_workspace_patterns(project_path: &PathBuf, pkg: &serde_json::Value) -> Vec<String> {
+    let mut patterns: Vec<String> = Vec::new();
 
-// Kill process on a specific port
-fn kill_port(port: u16) {
-    let port_str = format!(":{}", port);
-    println!("Checking port {}", port);
-    
-    let output = Command::new("lsof")
-        .args(["-i", &port_str, "-t"])
-        .output();
-        
-    if let Ok(output) = output {
-        let pids = String::from_utf8_lossy(&output.stdout);
-        for pid in pids.lines() {
-            let pid = pid.trim();
-            if !pid.is_empty() {
-                println!("Killing process {} on port {}", pid, port);
-                let _ = Command::new("kill")
-                    .arg("-9")
-                    .arg(pid)
-                    .output();
+    let field = pkg.get("workspaces");
+    let list = field
+        .and_then(|v| v.as_array())
+        .or_else(|| field.and_then(|v| v.get("packages")).and_then(|v| v.as_array()));
+    if let Some(list) = list {
+        patterns.extend(list.iter().filter_map(|v| v.as_str().map(String::from)));
+    }
+
+    if let Ok(yaml) = fs::read_to_string(project_path.join("pnpm-workspace.yaml")) {
+        patterns.extend(parse_pnpm_workspace_packages(&yaml));
+    }
+
+    patterns
+}
+
+// Minimal reader for the `packages:` list of pnpm-workspace.yaml (block or flow style)
+fn parse_pnpm_workspace_packages(yaml: &str) -> Vec<String> {
+    let unquote = |s: &str| s.trim().trim_matches(|c| c == '\'' || c == '"').to_string();
+    let mut patterns = Vec::new();
+    let mut in_packages = false;
+
+    for line in yaml.lines() {
+        let trimmed = line.trim();
+        if trimmed.is_empty() || trimmed.starts_with('#') {
+            continue;
+        }
+
+        if !line.starts_with(char::is_whitespace) && !trimmed.starts_with('-') {
+            in_packages = false;
+            if let Some(rest) = trimmed.strip_prefix("packages:") {
+                let rest = rest.trim();
+                if rest.starts_with('[') {
+                    patterns.extend(
+                        rest.trim_matches(|c| c == '[' || c == ']')
+                            .split(',')
+                            .map(unquote)
+                            .filter(|p| !p.is_empty()),
+                    );
+                } else {
+                    in_packages = true;
+                }
+            }
+            continue;
+        }
+
+        if in_packages {
+            if let Some(item) = trimmed.strip_prefix('-') {
+                let item = item.split(" #").next().unwrap_or("");
+                let item = unquote(item);
+                if !item.is_empty() {
+                    patterns.push(item);
+                }
             }
         }
     }
+
+    patterns
 }
 
-// Cleanup dev environment (remove lock file, cleanup ports)
-fn cleanup_dev_environment(project_path: &str) {
-    let path = PathBuf::from(project_path);
-    
-    // 1. Remove .next/dev/lock
-    let lock_file = path.join(".next/dev/lock");
-    if lock_file.exists() {
-        if let Err(e) = fs::remove_file(&lock_file) {
-            eprintln!("Failed to remove lock file: {}", e);
+// Match a single path segment against a pattern containing `*` wildcards
+fn wildcard_match(pattern: &str, name: &str) -> bool {
+    let parts: Vec<&str> = pattern.split('*').collect();
+    if parts.len() == 1 {
+        return pattern == name;
+    }
+
+    let mut rest = name;
+    for (i, part) in parts.iter().enumerate() {
+        if i == 0 {
+            match rest.strip_prefix(part) {
+                Some(r) => rest = r,
+                None => return false,
+            }
+        } else if i == parts.len() - 1 {
+            return rest.ends_with(part);
+        } else if let Some(pos) = rest.find(part) {
+            rest = &rest[pos + part.len()..];
         } else {
-            println!("Removed stale lock file: {:?}", lock_file);
+            return false;
         }
     }
-    
-    // 2. Kill process on port 3000
-    kill_port(3000);
+    true
 }
 
-#[tauri::command]
-async fn kill_all_ports() -> Result<String, String> {
-    let ports = [
-        3000, 3001, 3002, 3003, 3004, 3005, 3006, 3007, 3008, 3009, 3010, // Common dev ports
-        5173, // Vite
-        8000, 8080, // Common HTTP
-        5560, 8877 // User specific
-    ];
-    
-    let mut killed_count = 0;
-    
-    // We can't easily know how many were actually killed without parsing lsof output deeper,
-    // but we can iterate and try to kill all.
-    for port in ports {
-        kill_port(port);
-        // We'll just assume success for the UI feedback for now, or could enhance kill_port to return bool
+// Match a relative path against a workspace glob (supports `*` and `**`)
+fn glob_match(pattern: &[&str], path: &[&str]) -> bool {
+    match pattern.split_first() {
+        None => path.is_empty(),
+        Some((&"**", rest)) => (0..=path.len()).any(|i| glob_match(rest, &path[i..])),
+        Some((seg, rest)) => match path.split_first() {
+            Some((name, path_rest)) => wildcard_match(seg, name) && glob_match(rest, path_rest),
+            None => false,
+        },
     }
-    
-    Ok("Cleanup command sent for all ports".to_string())
 }
 
-#[tauri::command]
-async fn run_script(
-    app: AppHandle,
-    project_path: String,
-    script_name: String,
-    tab_id: String,
-    state: State<'_, AppState>,
-) -> Result<bool, String> {
-    let process_key = format!("{}:{}", tab_id, script_name);
+// Directories never searched for workspace packages
+fn is_ignored_dir(name: &str) -> bool {
+    name == "node_modules" || name.starts_with('.')
+}
 
-    // Check if already running
-    {
-        let processes = state.processes.lock().map_err(|e| e.to_string())?;
-        if processes.contains_key(&process_key) {
-            return Err(format!("Script '{}' is already running in this tab", script_name));
+// Walk the directories matched by a workspace glob, collecting folders with a package.json
+fn expand_workspace_glob(dir: &PathBuf, segments: &[&str], depth: usize, found: &mut Vec<PathBuf>) {
+    if depth > 8 {
+        return;
+    }
+
+    let Some((seg, rest)) = segments.split_first() else {
+        if dir.join("package.json").exists() {
+            found.push(dir.clone());
         }
+        return;
+    };
+
+    if !seg.contains('*') {
+        let next = dir.join(seg);
+        if next.is_dir() {
+            expand_workspace_glob(&next, rest, depth + 1, found);
+        }
+        return;
     }
-    
-    // Check if we need to cleanup dev environment
-    if ["dev", "start", "serve"].contains(&script_name.as_str()) {
-        cleanup_dev_environment(&project_path);
+
+    if *seg == "**" {
+        expand_workspace_glob(dir, rest, depth + 1, found);
     }
 
-    // Spawn npm process using login shell to get PATH
-    let command_str = format!("npm run {}", script_name);
-    
-    let mut child = Command::new("/bin/zsh")
-        .args(["-lc", &command_str])
-        .current_dir(&project_path)
-        .env("FORCE_COLOR", "1")
-        .stdout(Stdio::piped())
-        .stderr(Stdio::piped())
-        .spawn()
-        .map_err(|e| format!("Failed to start script: {}", e))?;
-    
-    let script_name_clone = script_name.clone();
-    let app_clone = app.clone();
-    let tab_id_clone = tab_id.clone();
-    
-    // Read stdout in background
-    if let Some(stdout) = child.stdout.take() {
-        let script = script_name.clone();
-        let app = app.clone();
-        let t_id = tab_id.clone();
-        std::thread::spawn(move || {
-            use std::io::{BufRead, BufReader};
-            let reader = BufReader::new(stdout);
-            for line in reader.lines() {
-                if let Ok(line) = line {
-                    let _ = app.emit("script-output", ScriptOutput {
-                        script: script.clone(),
-                        output_type: "stdout".to_string(),
-                        data: format!("{}\n", line),
-                        tab_id: t_id.clone(),
-                    });
-                }
-            }
-        });
+    let Ok(entries) = fs::read_dir(dir) else { return };
+    for entry in entries.flatten() {
+        let name = entry.file_name().to_string_lossy().to_string();
+        if !entry.path().is_dir() || is_ignored_dir(&name) {
+            continue;
+        }
+        if *seg == "**" {
+            expand_workspace_glob(&entry.path(), segments, depth + 1, found);
+        } else if wildcard_match(seg, &name) {
+            expand_workspace_glob(&entry.path(), rest, depth + 1, found);
+        }
     }
-    
-    // Read stderr in background
-    if let Some(stderr) = child.stderr.take() {
-        let script = script_name.clone();
-        let app = app.clone();
-        let t_id = tab_id.clone();
-        std::thread::spawn(move || {
-            use std::io::{BufRead, BufReader};
-            let reader = BufReader::new(stderr);
-            for line in reader.lines() {
-                if let Ok(line) = line {
-                    let _ = app.emit("script-output", ScriptOutput {
-                        script: script.clone(),
-                        output_type: "stderr".to_string(),
-                        data: format!("{}\n", line),
-                        tab_id: t_id.clone(),
-                    });
-                }
-            }
-        });
+}
+
+// Discover workspace packages from npm/Yarn "workspaces" and pnpm-workspace.yaml
+fn discover_workspaces(
+    project_path: &PathBuf,
+    pkg: &serde_json::Value,
+    yarn_pnp_lock: Option<&HashMap<String, String>>,
+) -> Vec<WorkspacePackage> {
+    let patterns = read_workspace_patterns(project_path, pkg);
+    let normalize = |p: &str| p.trim_start_matches("./").trim_end_matches('/').to_string();
+
+    let excludes: Vec<String> = patterns
+        .iter()
+        .filter_map(|p| p.strip_prefix('!').map(normalize))
+        .collect();
+
+    let mut dirs: Vec<PathBuf> = Vec::new();
+    for pattern in patterns.iter().filter(|p| !p.starts_with('!')) {
+        let pattern = normalize(pattern);
+        let segments: Vec<&str> = pattern.split('/').filter(|s| !s.is_empty() && *s != ".").collect();
+        expand_workspace_glob(project_path, &segments, 0, &mut dirs);
     }
-    
-    // Store process
-    {
-        let mut processes = state.processes.lock().map_err(|e| e.to_string())?;
-        processes.insert(process_key.clone(), child);
+
+    let mut packages: Vec<WorkspacePackage> = Vec::new();
+    for dir in dirs {
+        if dir == *project_path {
+            continue;
+        }
+
+        let relative_path = dir
+            .strip_prefix(project_path)
+            .map(|p| p.to_string_lossy().replace('\\', "/"))
+            .unwrap_or_default();
+        let rel_segments: Vec<&str> = relative_path.split('/').collect();
+        if excludes.iter().any(|ex| {
+            let ex_segments: Vec<&str> = ex.split('/').collect();
+            glob_match(&ex_segments, &rel_segments)
+        }) {
+            continue;
+        }
+        if packages.iter().any(|p| p.relative_path == relative_path) {
+            continue;
+        }
+
+        let Ok(content) = fs::read_to_string(dir.join("package.json")) else { continue };
+        let Ok(ws_pkg) = serde_json::from_str::<serde_json::Value>(&content) else { continue };
+
+        let dependencies = read_string_map(&ws_pkg, "dependencies");
+        let dev_dependencies = read_string_map(&ws_pkg, "devDependencies");
+        let dependency_states =
+            resolve_dependency_states(&dir, project_path, &[&dependencies, &dev_dependencies], yarn_pnp_lock);
+
+        packages.push(WorkspacePackage {
+            name: ws_pkg.get("name").and_then(|v| v.as_str()).unwrap_or(&relative_path).to_string(),
+            version: ws_pkg.get("version").and_then(|v| v.as_str()).unwrap_or("0.0.0").to_string(),
+            path: dir.to_string_lossy().to_string(),
+            relative_path,
+            scripts: read_string_map(&ws_pkg, "scripts"),
+            dependencies,
+            dev_dependencies,
+            dependency_states,
+        });
+    }
+
+    packages.sort_by(|a, b| a.relative_path.cmp(&b.relative_path));
+    packages
+}
+
+// Parse "1.2.3", "v1.2.3-beta.1+build" into (major, minor, patch, prerelease)
+fn parse_version(version: &str) -> Option<(u64, u64, u64, Vec<String>)> {
+    let version = version.trim().trim_start_matches(['v', '=']);
+    let version = version.split('+').next().unwrap_or("");
+    let (core, pre) = match version.split_once('-') {
+        Some((core, pre)) => (core, pre.split('.').map(String::from).collect()),
+        None => (version, Vec::new()),
+    };
+    let mut parts = core.split('.').map(|p| p.parse::<u64>().ok());
+    let major = parts.next()??;
+    let minor = parts.next()??;
+    let patch = parts.next()??;
+    if parts.next().is_some() {
+        return None;
+    }
+    Some((major, minor, patch, pre))
+}
+
+// Compare two parsed versions following semver precedence (release > prerelease)
+fn compare_versions(
+    a: &(u64, u64, u64, Vec<String>),
+    b: &(u64, u64, u64, Vec<String>),
+) -> std::cmp::Ordering {
+    use std::cmp::Ordering;
+    let core = (a.0, a.1, a.2).cmp(&(b.0, b.1, b.2));
+    if core != Ordering::Equal {
+        return core;
+    }
+    match (a.3.is_empty(), b.3.is_empty()) {
+        (true, true) => Ordering::Equal,
+        (true, false) => Ordering::Greater,
+        (false, true) => Ordering::Less,
+        (false, false) => {
+            for (x, y) in a.3.iter().zip(b.3.iter()) {
+                let ord = match (x.parse::<u64>(), y.parse::<u64>()) {
+                    (Ok(x), Ok(y)) => x.cmp(&y),
+                    (Ok(_), Err(_)) => Ordering::Less,
+                    (Err(_), Ok(_)) => Ordering::Greater,
+                    (Err(_), Err(_)) => x.cmp(y),
+                };
+                if ord != Ordering::Equal {
+                    return ord;
+                }
+            }
+            a.3.len().cmp(&b.3.len())
+        }
+    }
+}
+
+// Expand one range token ("^1.2", "~1.2.3", ">=2", "1.x") into (operator, version) comparators
+fn expand_comparator(token: &str) -> Option<Vec<(&'static str, (u64, u64, u64, Vec<String>))>> {
+    let ops = [">=", "<=", ">", "<", "=", "^", "~"];
+    let op = ops.iter().find(|op| token.starts_with(*op)).copied().unwrap_or("");
+    let rest = token[op.len()..].trim().trim_start_matches('v');
+    let rest = rest.split('+').next().unwrap_or("");
+
+    let (core, pre): (&str, Vec<String>) = match rest.split_once('-') {
+        Some((core, pre)) => (core, pre.split('.').map(String::from).collect()),
+        None => (rest, Vec::new()),
+    };
+
+    // Parse up to three numeric parts; "x", "X" and "*" mean "any"
+    let mut nums: Vec<u64> = Vec::new();
+    for part in core.split('.').filter(|p| !p.is_empty()) {
+        if ["x", "X", "*"].contains(&part) {
+            break;
+        }
+        nums.push(part.parse().ok()?);
+    }
+    if nums.len() > 3 {
+        return None;
+    }
+
+    let v = |major: u64, minor: u64, patch: u64| (major, minor, patch, Vec::new());
+    let (major, minor, patch) = (
+        nums.first().copied().unwrap_or(0),
+        nums.get(1).copied().unwrap_or(0),
+        nums.get(2).copied().unwrap_or(0),
+    );
+    let full = (major, minor, patch, pre);
+
+    let comparators = match (op, nums.len()) {
+        (_, 0) if op != "<" && op != ">" => vec![],
+        ("<", 0) | (">", 0) => vec![("<", v(0, 0, 0))],
+        ("" | "=", 3) => vec![("=", full)],
+        ("" | "=", 2) => vec![(">=", full), ("<", v(major, minor + 1, 0))],
+        ("" | "=", _) => vec![(">=", full), ("<", v(major + 1, 0, 0))],
+        ("^", n) => {
+            let upper = if major > 0 || n == 1 {
+                v(major + 1, 0, 0)
+            } else if minor > 0 || n == 2 {
+                v(0, minor + 1, 0)
+            } else {
+                v(0, 0, patch + 1)
+            };
+            vec![(">=", full), ("<", upper)]
+        }
+        ("~", 1) => vec![(">=", full), ("<", v(major + 1, 0, 0))],
+        ("~", _) => vec![(">=", full), ("<", v(major, minor + 1, 0))],
+        (">", 1) => vec![(">=", v(major + 1, 0, 0))],
+        (">", 2) => vec![(">=", v(major, minor + 1, 0))],
+        ("<=", 1) => vec![("<", v(major + 1, 0, 0))],
+        ("<=", 2) => vec![("<", v(major, minor + 1, 0))],
+        (op, _) => vec![(op, full)],
+    };
+    Some(comparators)
+}
+
+// Check a version against an npm range ("^1.2.0", ">=1 <3 || 4.x", "1.0.0 - 2.0.0").
+// Returns None when the range can't be evaluated (tags, URLs, file: or workspace: specs).
+fn satisfies_range(version: &str, range: &str) -> Option<bool> {
+    let version = parse_version(version)?;
+    let mut range = range.trim();
+
+    // Aliases ("npm:react@^18") and workspace protocol ("workspace:^1.0.0")
+    if let Some(alias) = range.strip_prefix("npm:") {
+        range = alias.rsplit_once('@').map(|(_, r)| r).unwrap_or("*");
+    }
+    if let Some(ws) = range.strip_prefix("workspace:") {
+        range = if ["*", "^", "~"].contains(&ws) { "*" } else { ws };
+    }
+    if range.contains(':') || range.contains('/') {
+        return None;
+    }
+
+    let mut any_set = false;
+    for set in range.split("||") {
+        let set = set.trim();
+
+        // Hyphen ranges: "1.2.3 - 2.3" means ">=1.2.3 <=2.3"
+        let tokens: Vec<String> = if let Some((low, high)) = set.split_once(" - ") {
+            vec![format!(">={}", low.trim()), format!("<={}", high.trim())]
+        } else {
+            // Join operators separated from their version (">= 1.2.3")
+            let mut tokens: Vec<String> = Vec::new();
+            let mut pending = String::new();
+            for part in set.split_whitespace() {
+                if part.chars().all(|c| "<>=^~".contains(c)) {
+                    pending.push_str(part);
+                } else {
+                    tokens.push(format!("{}{}", pending, part));
+                    pending.clear();
+                }
+            }
+            tokens
+        };
+
+        let mut comparators = Vec::new();
+        for token in &tokens {
+            if token == "*" || token.eq_ignore_ascii_case("x") {
+                continue;
+            }
+            if !token.chars().next().map_or(false, |c| c.is_ascii_digit() || "<>=^~vxX*".contains(c)) {
+                return None;
+            }
+            comparators.extend(expand_comparator(token)?);
+        }
+        any_set = true;
+
+        let matches = comparators.iter().all(|(op, bound)| {
+            let ord = compare_versions(&version, bound);
+            match *op {
+                ">=" => ord.is_ge(),
+                "<=" => ord.is_le(),
+                ">" => ord.is_gt(),
+                "<" => ord.is_lt(),
+                _ => ord.is_eq(),
+            }
+        });
+        // Like npm, a prerelease only matches a set that names a prerelease of the same
+        // major.minor.patch: "2.0.0-rc.1" doesn't satisfy "^1.2.0", "1.0.0-beta.2" does "^1.0.0-beta.1"
+        let prerelease_allowed = version.3.is_empty()
+            || comparators.iter().any(|(_, bound)| {
+                !bound.3.is_empty() && (bound.0, bound.1, bound.2) == (version.0, version.1, version.2)
+            });
+        if matches && prerelease_allowed {
+            return Some(true);
+        }
+    }
+
+    if any_set { Some(false) } else { None }
+}
+
+// Version managers we can take a Node install from
+const NODE_MANAGERS: [&str; 3] = ["nvm", "fnm", "volta"];
+
+// LTS codenames accepted by nvm ("lts/iron") and their major versions
+const NODE_LTS_CODENAMES: [(&str, u64); 11] = [
+    ("argon", 4),
+    ("boron", 6),
+    ("carbon", 8),
+    ("dubnium", 10),
+    ("erbium", 12),
+    ("fermium", 14),
+    ("gallium", 16),
+    ("hydrogen", 18),
+    ("iron", 20),
+    ("jod", 22),
+    ("krypton", 24),
+];
+
+// First meaningful line of a version file; .nvmrc allows comments
+fn read_version_file(path: &PathBuf) -> Option<String> {
+    fs::read_to_string(path)
+        .ok()?
+        .lines()
+        .map(|line| line.split('#').next().unwrap_or("").trim())
+        .find(|line| !line.is_empty())
+        .map(str::to_string)
+}
+
+// The project's Node constraint. A Volta pin wins since Volta enforces it, then .nvmrc,
+// .node-version and finally the engines.node range.
+fn read_node_constraint(project_path: &PathBuf, pkg: &serde_json::Value) -> Option<NodeConstraint> {
+    let constraint = |range: &str, source: &str| NodeConstraint {
+        range: range.to_string(),
+        source: source.to_string(),
+    };
+    if let Some(pin) = pkg.get("volta").and_then(|v| v.get("node")).and_then(|v| v.as_str()) {
+        return Some(constraint(pin, "volta"));
+    }
+    for file in [".nvmrc", ".node-version"] {
+        if let Some(version) = read_version_file(&project_path.join(file)) {
+            return Some(constraint(&version, file));
+        }
+    }
+    pkg.get("engines")
+        .and_then(|v| v.get("node"))
+        .and_then(|v| v.as_str())
+        .map(|range| constraint(range, "engines.node"))
+}
+
+// read_node_constraint for a project folder, reading its package.json
+fn project_node_constraint(project_path: &str) -> Option<NodeConstraint> {
+    let project_dir = PathBuf::from(project_path);
+    let pkg = fs::read_to_string(project_dir.join("package.json"))
+        .ok()
+        .and_then(|content| serde_json::from_str(&content).ok())
+        .unwrap_or(serde_json::Value::Null);
+    read_node_constraint(&project_dir, &pkg)
+}
+
+// Check a Node version against a constraint: an npm range or an nvm alias ("node", "lts/*", "lts/iron")
+fn node_satisfies(version: &str, spec: &str) -> Option<bool> {
+    let major = parse_version(version)?.0;
+    let spec = spec.trim();
+    match spec.to_ascii_lowercase().as_str() {
+        "node" | "stable" | "latest" | "current" => Some(true),
+        "lts/*" | "lts" => Some(major >= 4 && major % 2 == 0),
+        alias => match alias.strip_prefix("lts/") {
+            Some(name) => NODE_LTS_CODENAMES.iter().find(|(n, _)| *n == name).map(|(_, m)| *m == major),
+            None => satisfies_range(version, spec),
+        },
+    }
+}
+
+// Node installs of a version manager as (version, bin dir), newest first
+fn node_manager_installs(manager: &str) -> Vec<(String, PathBuf)> {
+    let home = dirs::home_dir().unwrap_or_default();
+    let env_dir = |var: &str| std::env::var(var).ok().filter(|v| !v.is_empty()).map(PathBuf::from);
+    let (roots, bin): (Vec<PathBuf>, &str) = match manager {
+        "nvm" => (vec![env_dir("NVM_DIR").unwrap_or(home.join(".nvm")).join("versions/node")], "bin"),
+        "fnm" => {
+            let roots = env_dir("FNM_DIR")
+                .into_iter()
+                .chain([
+                    home.join(".local/share/fnm"),
+                    home.join("Library/Application Support/fnm"),
+                    home.join(".fnm"),
+                ])
+                .map(|root| root.join("node-versions"))
+                .collect();
+            (roots, "installation/bin")
+        }
+        "volta" => (vec![env_dir("VOLTA_HOME").unwrap_or(home.join(".volta")).join("tools/image/node")], "bin"),
+        _ => return Vec::new(),
+    };
+
+    let mut installs: Vec<((u64, u64, u64, Vec<String>), String, PathBuf)> = Vec::new();
+    for root in roots {
+        let Ok(entries) = fs::read_dir(&root) else { continue };
+        for entry in entries.flatten() {
+            let version = entry.file_name().to_string_lossy().trim_start_matches('v').to_string();
+            let bin_dir = entry.path().join(bin);
+            let Some(parsed) = parse_version(&version) else { continue };
+            if bin_dir.join("node").exists() && !installs.iter().any(|(_, v, _)| *v == version) {
+                installs.push((parsed, version, bin_dir));
+            }
+        }
+    }
+    installs.sort_by(|a, b| compare_versions(&b.0, &a.0));
+    installs.into_iter().map(|(_, version, bin)| (version, bin)).collect()
+}
+
+// The bin directory to put first on PATH for a runtime, or None to use the login shell's node.
+// Version managers use their newest install that satisfies the project's constraint.
+fn resolve_node_bin(project_path: &str, runtime: Option<&NodeRuntime>) -> Result<Option<PathBuf>, String> {
+    let Some(runtime) = runtime else { return Ok(None) };
+    match runtime.manager.as_str() {
+        "system" => Ok(None),
+        "custom" => {
+            let dir = PathBuf::from(runtime.dir.as_deref().unwrap_or("").trim());
+            [dir.join("bin"), dir.clone()]
+                .into_iter()
+                .find(|bin| bin.join("node").is_file())
+                .map(Some)
+                .ok_or_else(|| format!("No node binary found in {}", dir.display()))
+        }
+        manager => {
+            let installs = node_manager_installs(manager);
+            if installs.is_empty() {
+                return Err(format!("No Node versions are installed with {}", manager));
+            }
+            let Some(constraint) = project_node_constraint(project_path) else {
+                return Ok(installs.into_iter().next().map(|(_, bin)| bin));
+            };
+            // Constraints we can't evaluate accept any version, like an unknown LTS codename
+            installs
+                .into_iter()
+                .find(|(version, _)| node_satisfies(version, &constraint.range).unwrap_or(true))
+                .map(|(_, bin)| Some(bin))
+                .ok_or_else(|| {
+                    format!(
+                        "No Node installed with {} matches {} from {}",
+                        manager, constraint.range, constraint.source
+                    )
+                })
+        }
+    }
+}
+
+// Prefix a command so the runtime's node and npm come first on PATH
+fn with_node_runtime(project_path: &str, runtime: Option<&NodeRuntime>, command_str: &str) -> Result<String, String> {
+    Ok(match resolve_node_bin(project_path, runtime)? {
+        Some(bin) => format!("export PATH={}:\"$PATH\"; {}", shell_quote(&bin.to_string_lossy()), command_str),
+        None => command_str.to_string(),
+    })
+}
+
+// Version of a package in node_modules, checking the package's own folder then the root (hoisted)
+fn read_installed_version(package_dir: &PathBuf, root_dir: &PathBuf, name: &str) -> Option<String> {
+    [package_dir, root_dir].iter().find_map(|dir| {
+        let content = fs::read_to_string(dir.join("node_modules").join(name).join("package.json")).ok()?;
+        let pkg: serde_json::Value = serde_json::from_str(&content).ok()?;
+        pkg.get("version").and_then(|v| v.as_str()).map(String::from)
+    })
+}
+
+// One block of a yarn.lock: the "name@range" keys it resolves, the version they resolve to
+// and the (name, range) dependencies of that version
+struct YarnLockEntry {
+    keys: Vec<String>,
+    version: String,
+    dependencies: Vec<(String, String)>,
+}
+
+// Parse the blocks of a yarn.lock (v1 or Berry). Berry's "npm:" protocol is dropped from
+// keys and ranges so both formats look up the same way.
+fn parse_yarn_lock_entries(content: &str) -> Vec<YarnLockEntry> {
+    let mut entries: Vec<YarnLockEntry> = Vec::new();
+    let mut in_dependencies = false;
+
+    for line in content.lines() {
+        if line.trim().is_empty() || line.starts_with('#') {
+            continue;
+        }
+        let indent = line.len() - line.trim_start().len();
+        let text = line.trim();
+
+        if indent == 0 && text.ends_with(':') {
+            let keys = text
+                .trim_end_matches(':')
+                .split(", ")
+                .map(|k| k.trim().trim_matches('"').replace("@npm:", "@"))
+                .collect();
+            entries.push(YarnLockEntry { keys, version: String::new(), dependencies: Vec::new() });
+            in_dependencies = false;
+            continue;
+        }
+        let Some(entry) = entries.last_mut() else { continue };
+
+        if indent <= 2 {
+            in_dependencies = text == "dependencies:" || text == "optionalDependencies:";
+            if let Some(version) = text.strip_prefix("version") {
+                entry.version = version.trim_start_matches(':').trim().trim_matches('"').to_string();
+            }
+        } else if in_dependencies {
+            // v1: `name "range"` / `"@scope/name" "range"`; Berry: `name: "npm:range"`
+            let (name, range) = match text.strip_prefix('"') {
+                Some(rest) => match rest.split_once('"') {
+                    Some((name, range)) => (name, range),
+                    None => continue,
+                },
+                None => match text.split_once(|c| c == ' ' || c == ':') {
+                    Some((name, range)) => (name, range),
+                    None => continue,
+                },
+            };
+            let range = range.trim_start_matches(':').trim().trim_matches('"');
+            let range = range.strip_prefix("npm:").unwrap_or(range);
+            entry.dependencies.push((name.to_string(), range.to_string()));
+        }
+    }
+    entries
+}
+
+// Parse yarn.lock (v1 or Berry) into "name@range" -> version, for Plug'n'Play installs
+fn parse_yarn_lock(content: &str) -> HashMap<String, String> {
+    let mut resolved = HashMap::new();
+    for entry in parse_yarn_lock_entries(content) {
+        for key in entry.keys {
+            resolved.insert(key, entry.version.clone());
+        }
+    }
+    resolved
+}
+
+// Package name from a "name@range" lockfile key (handles scoped names)
+fn lock_key_name(key: &str) -> &str {
+    match key.char_indices().skip(1).find(|(_, c)| *c == '@') {
+        Some((pos, _)) => &key[..pos],
+        None => key,
+    }
+}
+
+// Resolve installed versions for a package's dependencies and devDependencies
+fn resolve_dependency_states(
+    package_dir: &PathBuf,
+    root_dir: &PathBuf,
+    deps: &[&HashMap<String, String>],
+    yarn_pnp_lock: Option<&HashMap<String, String>>,
+) -> HashMap<String, DependencyState> {
+    let mut states = HashMap::new();
+
+    for (name, range) in deps.iter().flat_map(|d| d.iter()) {
+        let installed = read_installed_version(package_dir, root_dir, name).or_else(|| {
+            let lock = yarn_pnp_lock?;
+            lock.get(&format!("{}@{}", name, range))
+                .or_else(|| lock.iter().find(|(k, _)| lock_key_name(k) == name).map(|(_, v)| v))
+                .cloned()
+        });
+
+        let status = match &installed {
+            None => "missing",
+            Some(version) => match satisfies_range(version, range) {
+                Some(true) => "ok",
+                Some(false) => "mismatch",
+                None => "unknown",
+            },
+        };
+        states.insert(name.clone(), DependencyState { installed, status: status.to_string() });
+    }
+    states
+}
+
+// Names of all packages recorded in the project's lockfile, if it can be read
+fn read_lockfile_package_names(project_path: &PathBuf) -> Option<HashSet<String>> {
+    let mut names = HashSet::new();
+
+    if let Ok(content) = fs::read_to_string(project_path.join("package-lock.json")) {
+        let lock: serde_json::Value = serde_json::from_str(&content).ok()?;
+        if let Some(packages) = lock.get("packages").and_then(|v| v.as_object()) {
+            for key in packages.keys() {
+                if let Some(pos) = key.rfind("node_modules/") {
+                    names.insert(key[pos + "node_modules/".len()..].to_string());
+                }
+            }
+        } else if let Some(deps) = lock.get("dependencies").and_then(|v| v.as_object()) {
+            names.extend(deps.keys().cloned());
+        }
+        return Some(names);
+    }
+
+    if let Ok(content) = fs::read_to_string(project_path.join("yarn.lock")) {
+        names.extend(parse_yarn_lock(&content).keys().map(|k| lock_key_name(k).to_string()));
+        return Some(names);
+    }
+
+    if let Ok(content) = fs::read_to_string(project_path.join("pnpm-lock.yaml")) {
+        // Keys under "packages:" look like "/react@18.2.0:" (v6) or "react@18.2.0:" (v9)
+        let mut in_packages = false;
+        for line in content.lines() {
+            if !line.starts_with(' ') && !line.is_empty() {
+                in_packages = line.trim_end() == "packages:";
+                continue;
+            }
+            if in_packages && line.starts_with("  ") && !line.starts_with("   ") {
+                let key = line.trim().trim_end_matches(':').trim_matches(|c| c == '\'' || c == '"');
+                let key = key.trim_start_matches('/');
+                if key.len() > 1 {
+                    names.insert(lock_key_name(key).to_string());
+                }
+            }
+        }
+        return Some(names);
+    }
+
+    None
+}
+
+// Top-level node_modules entries that are neither declared nor recorded in the lockfile
+fn find_extraneous(project_path: &PathBuf, declared: &HashSet<String>) -> Vec<String> {
+    let Some(locked) = read_lockfile_package_names(project_path) else { return Vec::new() };
+    let Ok(entries) = fs::read_dir(project_path.join("node_modules")) else { return Vec::new() };
+
+    let mut installed: Vec<String> = Vec::new();
+    for entry in entries.flatten() {
+        let name = entry.file_name().to_string_lossy().to_string();
+        if name.starts_with('.') {
+            continue;
+        }
+        if name.starts_with('@') {
+            if let Ok(scoped) = fs::read_dir(entry.path()) {
+                installed.extend(scoped.flatten().map(|e| format!("{}/{}", name, e.file_name().to_string_lossy())));
+            }
+        } else {
+            installed.push(name);
+        }
+    }
+
+    let mut extraneous: Vec<String> = installed
+        .into_iter()
+        .filter(|name| !declared.contains(name) && !locked.contains(name))
+        .collect();
+    extraneous.sort();
+    extraneous
+}
+
+// Importer ids for the root and each workspace package, with their package.json
+fn read_importers(project_path: &PathBuf) -> Vec<(String, serde_json::Value)> {
+    let read = |dir: &PathBuf| {
+        fs::read_to_string(dir.join("package.json"))
+            .ok()
+            .and_then(|c| serde_json::from_str::<serde_json::Value>(&c).ok())
+            .unwrap_or(serde_json::Value::Null)
+    };
+    let root = read(project_path);
+    let mut importers: Vec<(String, serde_json::Value)> = discover_workspaces(project_path, &root, None)
+        .into_iter()
+        .map(|ws| (ws.relative_path, read(&PathBuf::from(&ws.path))))
+        .collect();
+    importers.insert(0, (String::new(), root));
+    importers
+}
+
+// Name and version of an importer node, falling back to its path
+fn importer_node(id: &str, pkg: &serde_json::Value, dependencies: Vec<String>) -> TreeNode {
+    TreeNode {
+        name: pkg.get("name").and_then(|v| v.as_str()).unwrap_or(if id.is_empty() { "(root)" } else { id }).to_string(),
+        version: pkg.get("version").and_then(|v| v.as_str()).unwrap_or("").to_string(),
+        dependencies,
+    }
+}
+
+// Build the tree from package-lock.json / npm-shrinkwrap.json. v2/v3 lockfiles list every
+// install location under "packages"; v1 nests "dependencies", which is flattened to the same
+// "node_modules/a/node_modules/b" keys. Dependencies resolve like Node does: the closest
+// node_modules folder walking up from the dependent.
+fn build_npm_tree(lock: &serde_json::Value, importers: &[(String, serde_json::Value)]) -> HashMap<String, TreeNode> {
+    fn flatten_v1(prefix: &str, deps: &serde_json::Map<String, serde_json::Value>, out: &mut serde_json::Map<String, serde_json::Value>) {
+        for (name, entry) in deps {
+            let path = format!("{}node_modules/{}", prefix, name);
+            out.insert(path.clone(), serde_json::json!({
+                "version": entry.get("version").cloned().unwrap_or(serde_json::Value::Null),
+                "dependencies": entry.get("requires").cloned().unwrap_or(serde_json::json!({})),
+            }));
+            if let Some(nested) = entry.get("dependencies").and_then(|v| v.as_object()) {
+                flatten_v1(&format!("{}/", path), nested, out);
+            }
+        }
+    }
+
+    let mut packages = lock.get("packages").and_then(|v| v.as_object()).cloned().unwrap_or_default();
+    if packages.is_empty() {
+        if let Some(deps) = lock.get("dependencies").and_then(|v| v.as_object()) {
+            flatten_v1("", deps, &mut packages);
+        }
+    }
+    // Importers declare dev dependencies too; v1 lockfiles don't record them at all
+    for (id, pkg) in importers {
+        let entry = packages.entry(id.clone()).or_insert_with(|| pkg.clone());
+        for section in ["dependencies", "devDependencies", "optionalDependencies"] {
+            if entry.get(section).is_none() {
+                if let Some(declared) = pkg.get(section) {
+                    entry[section] = declared.clone();
+                }
+            }
+        }
+    }
+
+    let resolve = |from: &str, name: &str| -> Option<String> {
+        let mut base = from.to_string();
+        loop {
+            let candidate = if base.is_empty() {
+                format!("node_modules/{}", name)
+            } else {
+                format!("{}/node_modules/{}", base, name)
+            };
+            if let Some(entry) = packages.get(&candidate) {
+                // Workspace packages are linked into node_modules
+                if entry.get("link").and_then(|v| v.as_bool()) == Some(true) {
+                    return entry.get("resolved").and_then(|v| v.as_str()).map(String::from);
+                }
+                return Some(candidate);
+            }
+            if base.is_empty() {
+                return None;
+            }
+            base = match base.rfind("node_modules/") {
+                Some(pos) => base[..pos].trim_end_matches('/').to_string(),
+                None => String::new(),
+            };
+        }
+    };
+
+    let mut nodes = HashMap::new();
+    for (id, entry) in &packages {
+        if entry.get("link").and_then(|v| v.as_bool()) == Some(true) {
+            continue;
+        }
+        let is_importer = !id.contains("node_modules/");
+        let mut sections = vec!["dependencies", "optionalDependencies", "peerDependencies"];
+        if is_importer {
+            sections.push("devDependencies");
+        }
+        let mut dependencies: Vec<String> = sections
+            .iter()
+            .filter_map(|section| entry.get(*section).and_then(|v| v.as_object()))
+            .flat_map(|deps| deps.keys())
+            .filter_map(|name| resolve(id, name))
+            .collect();
+        dependencies.sort();
+        dependencies.dedup();
+
+        if is_importer {
+            let pkg = importers.iter().find(|(i, _)| i == id).map(|(_, p)| p).unwrap_or(entry);
+            nodes.insert(id.clone(), importer_node(id, pkg, dependencies));
+        } else {
+            let name = entry
+                .get("name")
+                .and_then(|v| v.as_str())
+                .unwrap_or_else(|| &id[id.rfind("node_modules/").unwrap_or(0) + "node_modules/".len()..]);
+            nodes.insert(id.clone(), TreeNode {
+                name: name.to_string(),
+                version: entry.get("version").and_then(|v| v.as_str()).unwrap_or("").to_string(),
+                dependencies,
+            });
+        }
+    }
+    nodes
+}
+
+// Minimal YAML reader for lockfiles: nested block mappings, block sequences and scalars.
+// Flow collections ("[darwin]", "{...}") are kept as plain strings.
+fn parse_yaml_block(lines: &[(usize, &str)], pos: &mut usize, indent: usize) -> serde_json::Value {
+    let unquote = |v: &str| {
+        let v = v.trim();
+        let quoted = v.len() >= 2 && ((v.starts_with('\'') && v.ends_with('\'')) || (v.starts_with('"') && v.ends_with('"')));
+        if quoted { v[1..v.len() - 1].to_string() } else { v.to_string() }
+    };
+    let mut map = serde_json::Map::new();
+    let mut list = Vec::new();
+
+    while *pos < lines.len() {
+        let (line_indent, text) = lines[*pos];
+        if line_indent < indent {
+            break;
+        }
+        if line_indent > indent {
+            *pos += 1;
+            continue;
+        }
+        if let Some(item) = text.strip_prefix("- ") {
+            list.push(serde_json::Value::String(unquote(item)));
+            *pos += 1;
+            continue;
+        }
+
+        // Keys may be quoted and contain ": " themselves, e.g. '/a@1.0.0(b@2.0.0)':
+        let split = match text.chars().next() {
+            Some(q @ ('\'' | '"')) => text[1..].find(q).map(|end| end + 2),
+            _ => Some(0),
+        }
+        .and_then(|from| text[from..].find(':').map(|i| from + i));
+        let Some(colon) = split else {
+            *pos += 1;
+            continue;
+        };
+        let key = unquote(&text[..colon]);
+        let value = text[colon + 1..].trim();
+        *pos += 1;
+
+        if value.is_empty() {
+            let child_indent = lines.get(*pos).map(|(i, _)| *i).unwrap_or(0);
+            let child = if child_indent > indent {
+                parse_yaml_block(lines, pos, child_indent)
+            } else {
+                serde_json::Value::Null
+            };
+            map.insert(key, child);
+        } else {
+            map.insert(key, serde_json::Value::String(unquote(value)));
+        }
+    }
+
+    if map.is_empty() && !list.is_empty() {
+        serde_json::Value::Array(list)
+    } else {
+        serde_json::Value::Object(map)
+    }
+}
+
+fn parse_yaml(content: &str) -> serde_json::Value {
+    let lines: Vec<(usize, &str)> = content
+        .lines()
+        .filter(|l| !l.trim().is_empty() && !l.trim_start().starts_with('#'))
+        .map(|l| (l.len() - l.trim_start().len(), l.trim()))
+        .collect();
+    let mut pos = 0;
+    parse_yaml_block(&lines, &mut pos, 0)
+}
+
+// Split a pnpm package key ("@scope/a@1.0.0(peer@2.0.0)", "/a@1.0.0" or v5 "/a/1.0.0")
+// into name and version, dropping the peer suffix from the version
+fn split_pnpm_key(key: &str) -> (String, String) {
+    let key = key.trim_start_matches('/');
+    let v5 = key
+        .rsplit_once('/')
+        .filter(|(name, version)| version.starts_with(|c: char| c.is_ascii_digit()) && !name.chars().skip(1).any(|c| c == '@'));
+    let (name, version) = match (v5, key.char_indices().skip(1).find(|(_, c)| *c == '@')) {
+        (Some(split), _) => split,
+        (None, Some((pos, _))) => (&key[..pos], &key[pos + 1..]),
+        (None, None) => (key, ""),
+    };
+    let version = version.split(|c| c == '(' || c == '_').next().unwrap_or(version);
+    (name.to_string(), version.to_string())
+}
+
+// Build the tree from pnpm-lock.yaml (v5/v6 "packages", v9 "snapshots"). Importers list
+// their resolved versions; workspace dependencies are "link:" paths to another importer.
+fn build_pnpm_tree(lock: &serde_json::Value, importers: &[(String, serde_json::Value)]) -> HashMap<String, TreeNode> {
+    let strip = |k: &str| k.trim_start_matches('/').to_string();
+    let entries: serde_json::Map<String, serde_json::Value> = lock
+        .get("snapshots")
+        .or_else(|| lock.get("packages"))
+        .and_then(|v| v.as_object())
+        .map(|m| m.iter().map(|(k, v)| (strip(k), v.clone())).collect())
+        .unwrap_or_default();
+
+    // A dependency's version is either a key suffix ("1.0.0(peer@2)"), a full key ("/a@1.0.0")
+    // for aliases, or "link:../path" for workspace packages
+    let resolve = |from: &str, name: &str, version: &str| -> Option<String> {
+        if let Some(target) = version.strip_prefix("link:") {
+            let mut segments: Vec<&str> = from.split('/').filter(|s| !s.is_empty()).collect();
+            for part in target.split('/') {
+                match part {
+                    "" | "." => {}
+                    ".." => { segments.pop(); }
+                    other => segments.push(other),
+                }
+            }
+            return Some(segments.join("/"));
+        }
+        [strip(version), format!("{}@{}", name, version), format!("{}/{}", name, version)]
+            .into_iter()
+            .find(|key| entries.contains_key(key))
+    };
+
+    let mut nodes = HashMap::new();
+    let lock_importers = lock.get("importers").and_then(|v| v.as_object());
+    for (id, pkg) in importers {
+        // Single-project v5 lockfiles keep the importer's sections at the top level
+        let importer = match lock_importers {
+            Some(map) => map.get(if id.is_empty() { "." } else { id.as_str() }),
+            None if id.is_empty() => Some(lock),
+            None => None,
+        };
+        let mut dependencies: Vec<String> = ["dependencies", "devDependencies", "optionalDependencies"]
+            .iter()
+            .filter_map(|section| importer.and_then(|i| i.get(*section)).and_then(|v| v.as_object()))
+            .flat_map(|deps| deps.iter())
+            .filter_map(|(name, spec)| {
+                let version = spec.get("version").or(Some(spec)).and_then(|v| v.as_str())?;
+                resolve(id, name, version)
+            })
+            .collect();
+        dependencies.sort();
+        dependencies.dedup();
+        nodes.insert(id.clone(), importer_node(id, pkg, dependencies));
+    }
+
+    for (key, entry) in &entries {
+        let (name, version) = split_pnpm_key(key);
+        let mut dependencies: Vec<String> = ["dependencies", "optionalDependencies"]
+            .iter()
+            .filter_map(|section| entry.get(*section).and_then(|v| v.as_object()))
+            .flat_map(|deps| deps.iter())
+            .filter_map(|(dep, v)| resolve("", dep, v.as_str()?))
+            .collect();
+        dependencies.sort();
+        dependencies.dedup();
+        nodes.insert(key.clone(), TreeNode { name, version, dependencies });
+    }
+    nodes
+}
+
+// Build the tree from yarn.lock. The lockfile doesn't record importers, so their declared
+// ranges are looked up as "name@range" keys; workspace siblings resolve to their importer.
+fn build_yarn_tree(content: &str, importers: &[(String, serde_json::Value)]) -> HashMap<String, TreeNode> {
+    let entries = parse_yarn_lock_entries(content);
+    let mut by_key: HashMap<&str, String> = HashMap::new();
+    for entry in &entries {
+        if entry.version.is_empty() {
+            continue;
+        }
+        let id = format!("{}@{}", lock_key_name(&entry.keys[0]), entry.version);
+        for key in &entry.keys {
+            by_key.insert(key.as_str(), id.clone());
+        }
+    }
+    let workspace_ids: HashMap<&str, &str> = importers
+        .iter()
+        .filter_map(|(id, pkg)| Some((pkg.get("name")?.as_str()?, id.as_str())))
+        .collect();
+
+    let mut nodes = HashMap::new();
+    for (id, pkg) in importers {
+        let mut dependencies: Vec<String> = ["dependencies", "devDependencies", "optionalDependencies"]
+            .iter()
+            .filter_map(|section| pkg.get(*section).and_then(|v| v.as_object()))
+            .flat_map(|deps| deps.iter())
+            .filter_map(|(name, range)| {
+                let range = range.as_str()?;
+                match workspace_ids.get(name.as_str()) {
+                    Some(ws) if range.starts_with("workspace:") || !by_key.contains_key(format!("{}@{}", name, range).as_str()) => {
+                        Some(ws.to_string())
+                    }
+                    _ => by_key.get(format!("{}@{}", name, range).as_str()).cloned(),
+                }
+            })
+            .collect();
+        dependencies.sort();
+        dependencies.dedup();
+        nodes.insert(id.clone(), importer_node(id, pkg, dependencies));
+    }
+
+    for entry in &entries {
+        let Some(id) = entry.keys.first().and_then(|k| by_key.get(k.as_str())) else { continue };
+        // Berry lists workspaces as "name@workspace:path" entries; those are importers already
+        if entry.keys.iter().any(|k| k.contains("@workspace:")) || nodes.contains_key(id) {
+            continue;
+        }
+        let mut dependencies: Vec<String> = entry
+            .dependencies
+            .iter()
+            .filter_map(|(name, range)| by_key.get(format!("{}@{}", name, range).as_str()).cloned())
+            .collect();
+        dependencies.sort();
+        dependencies.dedup();
+        let (name, version) = id.rsplit_once('@').map(|(n, v)| (n.to_string(), v.to_string())).unwrap_or_default();
+        nodes.insert(id.clone(), TreeNode { name, version, dependencies });
+    }
+    nodes
+}
+
+// Point registry-facing commands at NPM_COMMANDER_REGISTRY when set (e.g. a local Verdaccio)
+fn apply_registry_override(command: &mut Command) {
+    if let Ok(registry) = std::env::var("NPM_COMMANDER_REGISTRY") {
+        if !registry.trim().is_empty() {
+            command
+                .env("npm_config_registry", &registry)
+                .env("YARN_NPM_REGISTRY_SERVER", &registry)
+                .env("BUN_CONFIG_REGISTRY", &registry);
+        }
+    }
+}
+
+// Build the JSON "outdated" command for a package manager. Bun and Yarn Berry have no
+// JSON output, so they fall back to npm, which reads the same node_modules layout.
+fn build_outdated_command(package_manager: &str, project_path: &PathBuf, workspace: Option<&str>) -> String {
+    let yarn_berry = project_path.join(".yarnrc.yml").exists();
+    match (package_manager, workspace) {
+        ("pnpm", None) => "pnpm outdated --format json".to_string(),
+        ("pnpm", Some(ws)) => format!("pnpm --filter {} outdated --format json", shell_quote(ws)),
+        ("yarn", None) if !yarn_berry => "yarn outdated --json".to_string(),
+        ("yarn", Some(ws)) if !yarn_berry => format!("yarn workspace {} outdated --json", shell_quote(ws)),
+        (_, None) => "npm outdated --json".to_string(),
+        (_, Some(ws)) => format!("npm outdated --json --workspace={}", shell_quote(ws)),
+    }
+}
+
+// Parse `npm outdated --json`, `pnpm outdated --format json` or `yarn outdated --json` output
+fn parse_outdated_output(output: &str) -> Result<Vec<OutdatedPackage>, String> {
+    let text_field = |v: &serde_json::Value, key: &str| v.get(key).and_then(|x| x.as_str()).map(String::from);
+    let mut packages: Vec<OutdatedPackage> = Vec::new();
+
+    let trimmed = output.trim();
+    if trimmed.is_empty() {
+        return Ok(packages);
+    }
+
+    // npm / pnpm: { "name": { current, wanted, latest, type|dependencyType } }
+    // (npm uses an array per name when several workspaces depend on it)
+    if let Ok(serde_json::Value::Object(map)) = serde_json::from_str::<serde_json::Value>(trimmed) {
+        if let Some(error) = map.get("error") {
+            let summary = error.get("summary").and_then(|v| v.as_str()).unwrap_or("npm outdated failed");
+            return Err(summary.to_string());
+        }
+        for (name, info) in &map {
+            let entries = match info {
+                serde_json::Value::Array(list) => list.iter().collect::<Vec<_>>(),
+                other => vec![other],
+            };
+            for entry in entries {
+                packages.push(OutdatedPackage {
+                    name: name.clone(),
+                    current: text_field(entry, "current"),
+                    wanted: text_field(entry, "wanted"),
+                    latest: text_field(entry, "latest"),
+                    dependency_type: text_field(entry, "type").or_else(|| text_field(entry, "dependencyType")),
+                });
+            }
+        }
+        packages.sort_by(|a, b| a.name.cmp(&b.name));
+        packages.dedup_by(|a, b| a.name == b.name);
+        return Ok(packages);
+    }
+
+    // yarn classic: NDJSON with a {"type":"table","data":{"head":[...],"body":[[...]]}} line
+    for line in trimmed.lines() {
+        let Ok(event) = serde_json::from_str::<serde_json::Value>(line) else { continue };
+        if event.get("type").and_then(|v| v.as_str()) != Some("table") {
+            continue;
+        }
+        let data = &event["data"];
+        let head: Vec<String> = data["head"]
+            .as_array()
+            .map(|h| h.iter().filter_map(|c| c.as_str().map(|s| s.to_lowercase())).collect())
+            .unwrap_or_default();
+        let column = |row: &serde_json::Value, key: &str| {
+            head.iter().position(|h| h == key).and_then(|i| row.get(i)).and_then(|v| v.as_str()).map(String::from)
+        };
+        for row in data["body"].as_array().into_iter().flatten() {
+            if let Some(name) = column(row, "package") {
+                packages.push(OutdatedPackage {
+                    name,
+                    current: column(row, "current"),
+                    wanted: column(row, "wanted"),
+                    latest: column(row, "latest"),
+                    dependency_type: column(row, "package type"),
+                });
+            }
+        }
+    }
+
+    Ok(packages)
+}
+
+// Build the JSON audit command. Each manager audits its own lockfile: npm would fail without
+// a package-lock.json. Bun has no audit report we can read.
+fn build_audit_command(package_manager: &str, project_path: &PathBuf) -> Result<&'static str, String> {
+    match package_manager {
+        "npm" => Ok("npm audit --json"),
+        "pnpm" => Ok("pnpm audit --json"),
+        "yarn" if project_path.join(".yarnrc.yml").exists() => Ok("yarn npm audit --all --recursive --json"),
+        "yarn" => Ok("yarn audit --json"),
+        other => Err(format!("{} has no audit report to read", other)),
+    }
+}
+
+// Build the `audit fix` command. Yarn and Bun have none, and npm's would write a
+// package-lock.json next to their lockfile.
+fn build_audit_fix_command(package_manager: &str, force: bool) -> Result<&'static str, String> {
+    match (package_manager, force) {
+        ("npm", false) => Ok("npm audit fix"),
+        ("npm", true) => Ok("npm audit fix --force"),
+        ("pnpm", false) => Ok("pnpm audit --fix"),
+        ("pnpm", true) => Err("pnpm has no forced audit fix".to_string()),
+        (other, _) => Err(format!("{} has no audit fix", other)),
+    }
+}
+
+// Yarn prints one JSON object per line: `{"type": "auditAdvisory", "data": {"advisory": …}}`
+// (Yarn 1) or `{"value": name, "children": {"Severity": …}}` (Yarn 4). Fold them into the
+// legacy {"advisories": {…}} report parse_audit_output reads. None when no line is JSON.
+fn yarn_audit_report(output: &str) -> Option<serde_json::Value> {
+    let mut advisories = serde_json::Map::new();
+    let mut parsed = false;
+    for line in output.lines().filter(|line| line.trim_start().starts_with('{')) {
+        let Ok(entry) = serde_json::from_str::<serde_json::Value>(line) else { continue };
+        parsed = true;
+        if entry["type"] == "error" {
+            let message = entry["data"].as_str().unwrap_or("audit failed");
+            return Some(serde_json::json!({ "error": { "summary": message } }));
+        }
+        if entry["type"] == "auditAdvisory" {
+            let advisory = &entry["data"]["advisory"];
+            let id = advisory["id"].to_string();
+            advisories.entry(id).or_insert_with(|| advisory.clone());
+        } else if let (Some(name), Some(details)) = (entry["value"].as_str(), entry.get("children")) {
+            let id = details.get("ID").map(|id| id.to_string()).unwrap_or_else(|| name.to_string());
+            advisories.entry(id).or_insert_with(|| {
+                serde_json::json!({
+                    "module_name": name,
+                    "severity": details["Severity"],
+                    "title": details["Issue"],
+                    "url": details["URL"],
+                    "vulnerable_versions": details["Vulnerable Versions"],
+                })
+            });
+        }
+    }
+    parsed.then(|| serde_json::json!({ "advisories": advisories }))
+}
+
+// Shortest chain of dependents from a direct dependency down to `name`, using the
+// `effects` (dependents) lists of an npm v7+ audit report
+fn audit_path(vulnerabilities: &serde_json::Map<String, serde_json::Value>, name: &str) -> Vec<String> {
+    let is_direct = |n: &str| vulnerabilities.get(n).and_then(|v| v["isDirect"].as_bool()).unwrap_or(false);
+
+    let mut parents: HashMap<String, String> = HashMap::new();
+    let mut queue = std::collections::VecDeque::from([name.to_string()]);
+    let mut seen: HashSet<String> = HashSet::from([name.to_string()]);
+
+    while let Some(current) = queue.pop_front() {
+        if is_direct(&current) {
+            let mut path = vec![current.clone()];
+            let mut node = current;
+            while let Some(child) = parents.get(&node) {
+                path.push(child.clone());
+                node = child.clone();
+            }
+            return path;
+        }
+        let effects = vulnerabilities.get(&current).and_then(|v| v["effects"].as_array());
+        for dependent in effects.into_iter().flatten().filter_map(|e| e.as_str()) {
+            if seen.insert(dependent.to_string()) {
+                parents.insert(dependent.to_string(), current.clone());
+                queue.push_back(dependent.to_string());
+            }
+        }
+    }
+
+    vec![name.to_string()]
+}
+
+// Parse `npm audit --json` (v7+ "vulnerabilities" report, or the older "advisories"
+// report that npm 6, pnpm and Yarn print) into advisories sorted by severity
+fn parse_audit_output(output: &str) -> Result<Vec<AuditAdvisory>, String> {
+    let text_field = |v: &serde_json::Value, key: &str| v.get(key).and_then(|x| x.as_str()).map(String::from);
+    let mut advisories: Vec<AuditAdvisory> = Vec::new();
+
+    let report = match serde_json::from_str::<serde_json::Value>(output.trim()) {
+        Ok(report) if ["vulnerabilities", "advisories", "error"].iter().any(|key| report.get(key).is_some()) => report,
+        // Yarn's line-by-line output; a single line also parses as a whole
+        Ok(_) => yarn_audit_report(output).unwrap_or_default(),
+        Err(e) => yarn_audit_report(output).ok_or_else(|| format!("Unexpected audit output: {}", e))?,
+    };
+
+    // Registry failures carry an empty summary and the reason in the top-level "message"
+    if let Some(error) = report.get("error") {
+        let summary = error
+            .get("summary")
+            .and_then(|v| v.as_str())
+            .filter(|s| !s.trim().is_empty())
+            .or_else(|| report.get("message").and_then(|v| v.as_str()))
+            .unwrap_or("audit failed");
+        return Err(summary.lines().next().unwrap_or(summary).to_string());
+    }
+
+    if let Some(vulnerabilities) = report.get("vulnerabilities").and_then(|v| v.as_object()) {
+        for (name, vulnerability) in vulnerabilities {
+            // Entries whose `via` only names other packages are vulnerable through them;
+            // they show up in the path of the package that carries the advisory
+            let fix = &vulnerability["fixAvailable"];
+            let path = audit_path(vulnerabilities, name);
+            let mut seen_sources: HashSet<String> = HashSet::new();
+            for via in vulnerability["via"].as_array().into_iter().flatten().filter(|v| v.is_object()) {
+                let source = via.get("source").map(|v| v.to_string()).unwrap_or_default();
+                if !seen_sources.insert(source) {
+                    continue;
+                }
+                advisories.push(AuditAdvisory {
+                    name: name.clone(),
+                    severity: text_field(via, "severity")
+                        .or_else(|| text_field(vulnerability, "severity"))
+                        .unwrap_or_else(|| "info".to_string()),
+                    title: text_field(via, "title").unwrap_or_else(|| "Vulnerability".to_string()),
+                    url: text_field(via, "url"),
+                    range: text_field(via, "range").or_else(|| text_field(vulnerability, "range")),
+                    path: path.clone(),
+                    fix_available: fix.as_bool().unwrap_or(fix.is_object()),
+                    fix_version: match (text_field(fix, "name"), text_field(fix, "version")) {
+                        (Some(fix_name), Some(version)) => Some(format!("{}@{}", fix_name, version)),
+                        _ => None,
+                    },
+                    fix_is_major: fix.get("isSemVerMajor").and_then(|v| v.as_bool()).unwrap_or(false),
+                });
+            }
+        }
+    } else if let Some(legacy) = report.get("advisories").and_then(|v| v.as_object()) {
+        for advisory in legacy.values() {
+            let name = text_field(advisory, "module_name").unwrap_or_default();
+            // Paths look like "express>qs" (npm 6) or ".>express>qs" / "packages__web>express>qs" (pnpm)
+            let raw_path = advisory["findings"]
+                .as_array()
+                .and_then(|f| f.iter().find_map(|finding| finding["paths"].as_array()?.first()?.as_str()))
+                .unwrap_or("");
+            let mut path: Vec<String> = raw_path.split('>').map(|s| s.trim().to_string()).collect();
+            if path.len() > 1 && (path[0] == "." || path[0].contains("__")) {
+                path.remove(0);
+            }
+            if path.iter().all(|s| s.is_empty()) {
+                path = vec![name.clone()];
+            }
+            let patched = text_field(advisory, "patched_versions").unwrap_or_default();
+            advisories.push(AuditAdvisory {
+                name,
+                severity: text_field(advisory, "severity").unwrap_or_else(|| "info".to_string()),
+                title: text_field(advisory, "title").unwrap_or_else(|| "Vulnerability".to_string()),
+                url: text_field(advisory, "url"),
+                range: text_field(advisory, "vulnerable_versions"),
+                path,
+                fix_available: !patched.is_empty() && patched != "<0.0.0",
+                fix_version: None,
+                fix_is_major: false,
+            });
+        }
+    }
+
+    let rank = |severity: &str| match severity {
+        "critical" => 0,
+        "high" => 1,
+        "moderate" => 2,
+        "low" => 3,
+        _ => 4,
+    };
+    advisories.sort_by(|a, b| rank(&a.severity).cmp(&rank(&b.severity)).then_with(|| a.name.cmp(&b.name)));
+    Ok(advisories)
+}
+
+// Run a command that prints JSON and return its stdout. Commands like `outdated` and
+// `audit` exit non-zero when they find something, so only empty output counts as failure.
+fn capture_json_output(project_path: &str, command_str: &str) -> Result<String, String> {
+    let mut command = Command::new(login_shell());
+    command.args(["-lc", command_str]).current_dir(project_path);
+    apply_registry_override(&mut command);
+
+    let output = command
+        .output()
+        .map_err(|e| format!("Failed to run {}: {}", command_str, e))?;
+    let stdout = String::from_utf8_lossy(&output.stdout).to_string();
+
+    if stdout.trim().is_empty() && !output.status.success() {
+        let stderr = String::from_utf8_lossy(&output.stderr);
+        let message = stderr.lines().find(|l| !l.trim().is_empty()).unwrap_or("unknown error");
+        return Err(format!("{} failed: {}", command_str, message));
+    }
+
+    Ok(stdout)
+}
+
+// Build an add/remove command for the selected package; returns (working dir, command)
+fn build_dependency_command(
+    package_manager: &str,
+    action: &str,
+    args: &str,
+    project_path: &str,
+    package_path: &str,
+    workspace: Option<&str>,
+) -> (String, String) {
+    let verb = match (package_manager, action) {
+        ("npm", "add") => "install",
+        ("npm", "remove") => "uninstall",
+        (_, verb) => verb,
+    };
+
+    match (package_manager, workspace) {
+        (_, None) => (project_path.to_string(), format!("{} {} {}", package_manager, verb, args)),
+        ("pnpm", Some(ws)) => (
+            project_path.to_string(),
+            format!("pnpm --filter {} {} {}", shell_quote(ws), verb, args),
+        ),
+        ("yarn", Some(ws)) => (
+            project_path.to_string(),
+            format!("yarn workspace {} {} {}", shell_quote(ws), verb, args),
+        ),
+        // bun has no workspace flag for add/remove, so run it inside the package
+        ("bun", Some(_)) => (package_path.to_string(), format!("bun {} {}", verb, args)),
+        (_, Some(ws)) => (
+            project_path.to_string(),
+            format!("npm {} {} --workspace={}", verb, args, shell_quote(ws)),
+        ),
+    }
+}
+
+// Read, modify and write back a package.json, keeping its key order and indentation
+fn update_package_json<F>(package_path: &str, modify: F) -> Result<(), String>
+where
+    F: FnOnce(&mut serde_json::Value) -> Result<(), String>,
+{
+    let pkg_path = PathBuf::from(package_path).join("package.json");
+    let content = fs::read_to_string(&pkg_path)
+        .map_err(|e| format!("Failed to read package.json: {}", e))?;
+    let mut pkg: serde_json::Value = serde_json::from_str(&content)
+        .map_err(|e| format!("Invalid JSON in package.json: {}", e))?;
+
+    modify(&mut pkg)?;
+
+    // Reuse the file's indentation (first indented line), defaulting to two spaces
+    let indent: String = content
+        .lines()
+        .nth(1)
+        .map(|line| line.chars().take_while(|c| *c == ' ' || *c == '\t').collect())
+        .filter(|indent: &String| !indent.is_empty())
+        .unwrap_or_else(|| "  ".to_string());
+
+    let mut out = Vec::new();
+    let formatter = serde_json::ser::PrettyFormatter::with_indent(indent.as_bytes());
+    let mut serializer = serde_json::Serializer::with_formatter(&mut out, formatter);
+    pkg.serialize(&mut serializer).map_err(|e| e.to_string())?;
+    if content.ends_with('\n') {
+        out.push(b'\n');
+    }
+
+    fs::write(&pkg_path, out).map_err(|e| format!("Failed to write package.json: {}", e))
+}
+
+// Output from a child is forwarded at most this often, or sooner once this many bytes are waiting
+const OUTPUT_FLUSH_INTERVAL: std::time::Duration = std::time::Duration::from_millis(30);
+const OUTPUT_BATCH_BYTES: usize = 64 * 1024;
+
+// Decode the complete UTF-8 prefix of `pending`, leaving a split multi-byte character for the next read
+fn take_utf8(pending: &mut Vec<u8>) -> String {
+    let valid = match std::str::from_utf8(pending) {
+        Ok(_) => pending.len(),
+        Err(e) if e.error_len().is_none() => e.valid_up_to(),
+        Err(_) => pending.len(),
+    };
+    let text = String::from_utf8_lossy(&pending[..valid]).to_string();
+    pending.drain(..valid);
+    text
+}
+
+// Stream a child's stdout or stderr to the frontend. Output is read in raw chunks, so progress
+// bars redrawn with \r show up without waiting for a newline, and batched into one event per
+// OUTPUT_FLUSH_INTERVAL so chatty tools don't flood the webview with an event per line.
+fn spawn_output_reader<R: std::io::Read + Send + 'static>(
+    app: AppHandle,
+    source: R,
+    script: String,
+    output_type: &'static str,
+    tab_id: String,
+) -> std::thread::JoinHandle<()> {
+    std::thread::spawn(move || {
+        use std::sync::mpsc::{channel, RecvTimeoutError};
+
+        let (sender, receiver) = channel::<Vec<u8>>();
+        let reader = std::thread::spawn(move || {
+            let mut source = source;
+            let mut buffer = [0u8; 8192];
+            loop {
+                match source.read(&mut buffer) {
+                    Ok(0) | Err(_) => break,
+                    Ok(n) => {
+                        if sender.send(buffer[..n].to_vec()).is_err() {
+                            break;
+                        }
+                    }
+                }
+            }
+        });
+
+        let emit = |data: String| {
+            if !data.is_empty() {
+                let _ = app.emit("script-output", ScriptOutput {
+                    script: script.clone(),
+                    output_type: output_type.to_string(),
+                    data,
+                    tab_id: tab_id.clone(),
+                });
+            }
+        };
+
+        let mut pending: Vec<u8> = Vec::new();
+        let mut deadline: Option<std::time::Instant> = None;
+        loop {
+            let received = match deadline {
+                Some(at) => receiver.recv_timeout(at.saturating_duration_since(std::time::Instant::now())),
+                None => receiver.recv().map_err(|_| RecvTimeoutError::Disconnected),
+            };
+            match received {
+                Ok(chunk) => {
+                    pending.extend_from_slice(&chunk);
+                    deadline.get_or_insert_with(|| std::time::Instant::now() + OUTPUT_FLUSH_INTERVAL);
+                    if pending.len() >= OUTPUT_BATCH_BYTES {
+                        emit(take_utf8(&mut pending));
+                        deadline = None;
+                    }
+                }
+                Err(RecvTimeoutError::Timeout) => {
+                    emit(take_utf8(&mut pending));
+                    deadline = None;
+                }
+                Err(RecvTimeoutError::Disconnected) => {
+                    emit(String::from_utf8_lossy(&pending).to_string());
+                    break;
+                }
+            }
+        }
+        let _ = reader.join();
+    })
+}
+
+// Run a command to completion in a login shell, streaming its output to the tab's console
+fn run_streamed(
+    app: &AppHandle,
+    cwd: &str,
+    command_str: &str,
+    label: &str,
+    tab_id: &str,
+    env: HashMap<String, String>,
+) -> Result<bool, String> {
+    let mut command = Command::new(login_shell());
+    command
+        .args(["-lc", command_str])
+        .current_dir(cwd)
+        .env("FORCE_COLOR", "1")
+        .envs(env)
+        .stdout(Stdio::piped())
+        .stderr(Stdio::piped());
+    apply_registry_override(&mut command);
+
+    let mut child = command
+        .spawn()
+        .map_err(|e| format!("Failed to run {}: {}", command_str, e))?;
+
+    let mut readers = Vec::new();
+    if let Some(stdout) = child.stdout.take() {
+        readers.push(spawn_output_reader(app.clone(), stdout, label.to_string(), "stdout", tab_id.to_string()));
+    }
+    if let Some(stderr) = child.stderr.take() {
+        readers.push(spawn_output_reader(app.clone(), stderr, label.to_string(), "stderr", tab_id.to_string()));
+    }
+
+    let status = child.wait().map_err(|e| e.to_string())?;
+    // Let the readers flush the last lines before the caller reloads the project
+    for reader in readers {
+        let _ = reader.join();
+    }
+    Ok(status.success())
+}
+
+// One variable in a dotenv file, with the lines it spans (quoted values may be multi-line)
+struct DotenvEntry {
+    key: String,
+    value: String,
+    lines: std::ops::Range<usize>,
+}
+
+// Names accepted as dotenv keys; dots and dashes show up in some frameworks' variables
+fn is_env_key(key: &str) -> bool {
+    let mut chars = key.chars();
+    chars.next().is_some_and(|c| c.is_ascii_alphabetic() || c == '_')
+        && chars.all(|c| c.is_ascii_alphanumeric() || "_.-".contains(c))
+}
+
+// Parse dotenv content the way the dotenv package reads it: `export` prefixes, comments,
+// single/double/backtick quotes spanning lines, and `\n` expanded inside double quotes
+fn parse_dotenv(content: &str) -> Vec<DotenvEntry> {
+    let lines: Vec<&str> = content.lines().collect();
+    let mut entries = Vec::new();
+    let mut index = 0;
+    while index < lines.len() {
+        let start = index;
+        let line = lines[index].trim_start();
+        index += 1;
+        let line = line.strip_prefix("export ").unwrap_or(line);
+        let Some((key, rest)) = line.split_once('=') else { continue };
+        let key = key.trim();
+        if line.starts_with('#') || !is_env_key(key) {
+            continue;
+        }
+
+        let rest = rest.trim_start();
+        let quote = rest.chars().next().filter(|c| "\"'`".contains(*c));
+        let value = match quote {
+            Some(quote) => {
+                let mut text = rest[1..].to_string();
+                let close = loop {
+                    let mut escaped = false;
+                    let found = text.char_indices().find(|(_, c)| {
+                        let close = *c == quote && !escaped;
+                        escaped = quote == '"' && *c == '\\' && !escaped;
+                        close
+                    });
+                    match found {
+                        Some((pos, _)) => break Some(pos),
+                        None if index < lines.len() => {
+                            text.push('\n');
+                            text.push_str(lines[index]);
+                            index += 1;
+                        }
+                        None => break None,
+                    }
+                };
+                // An unterminated quote is taken literally, like dotenv does
+                let Some(close) = close else {
+                    index = start + 1;
+                    entries.push(DotenvEntry { key: key.to_string(), value: rest.trim_end().to_string(), lines: start..index });
+                    continue;
+                };
+                let text = &text[..close];
+                if quote == '"' {
+                    text.replace("\\n", "\n").replace("\\\"", "\"")
+                } else {
+                    text.to_string()
+                }
+            }
+            None => rest.split('#').next().unwrap_or("").trim().to_string(),
+        };
+        entries.push(DotenvEntry { key: key.to_string(), value, lines: start..index });
+    }
+    entries
+}
+
+// Write a value so parse_dotenv (and dotenv) read it back unchanged
+fn format_dotenv_value(value: &str) -> String {
+    let plain = value.chars().all(|c| c.is_ascii_alphanumeric() || "_-./:@,+=%~^*?&!$".contains(c));
+    if plain {
+        value.to_string()
+    } else if !value.contains('\'') && !value.contains('\n') {
+        format!("'{}'", value)
+    } else {
+        format!("\"{}\"", value.replace('"', "\\\"").replace('\n', "\\n"))
+    }
+}
+
+// Set, add (at the end) or remove (`value` None) a key in dotenv content, leaving comments,
+// order and other lines as they were. Later duplicates win in dotenv, so the last one is set.
+fn update_dotenv(content: &str, key: &str, value: Option<&str>) -> String {
+    let mut lines: Vec<String> = content.lines().map(String::from).collect();
+    let entries = parse_dotenv(content);
+    let matches: Vec<&DotenvEntry> = entries.iter().filter(|entry| entry.key == key).collect();
+
+    match (value, matches.last()) {
+        (Some(value), Some(last)) => {
+            let export = if lines[last.lines.start].trim_start().starts_with("export ") { "export " } else { "" };
+            let line = format!("{}{}={}", export, key, format_dotenv_value(value));
+            lines.splice(last.lines.clone(), [line]);
+        }
+        (Some(value), None) => lines.push(format!("{}={}", key, format_dotenv_value(value))),
+        (None, _) => {
+            for entry in matches.iter().rev() {
+                lines.drain(entry.lines.clone());
+            }
+        }
+    }
+
+    let mut updated = lines.join("\n");
+    if !updated.is_empty() {
+        updated.push('\n');
+    }
+    updated
+}
+
+// Templates that list the keys a project expects rather than real values
+fn is_env_example(name: &str) -> bool {
+    [".example", ".sample", ".template", ".dist"].iter().any(|suffix| name.ends_with(suffix))
+}
+
+// Only plain ".env" / ".env.*" names directly inside the package folder
+fn env_file_path(dir: &str, file: &str) -> Result<PathBuf, String> {
+    let valid = (file == ".env" || file.starts_with(".env.")) && !file.contains(['/', '\\']) && !file.contains("..");
+    if !valid {
+        return Err(format!("Not a dotenv file name: '{}'", file));
+    }
+    Ok(PathBuf::from(dir).join(file))
+}
+
+// Get settings path
+fn get_settings_path() -> PathBuf {
+    let config_dir = dirs::config_dir().unwrap_or_else(|| PathBuf::from("."));
+    config_dir.join("npm-commander").join("settings.json")
+}
+
+// Load last used project path
+fn load_last_path() -> Option<String> {
+    let path = get_settings_path();
+    if path.exists() {
+        if let Ok(content) = fs::read_to_string(&path) {
+            if let Ok(data) = serde_json::from_str::<serde_json::Value>(&content) {
+                return data.get("lastProjectPath").and_then(|v| v.as_str()).map(String::from);
+            }
+        }
+    }
+    None
+}
+
+// Save last used project path
+fn save_last_path(project_path: &str) {
+    let path = get_settings_path();
+    if let Some(parent) = path.parent() {
+        let _ = fs::create_dir_all(parent);
+    }
+    let data = serde_json::json!({ "lastProjectPath": project_path });
+    let _ = fs::write(&path, serde_json::to_string_pretty(&data).unwrap_or_default());
+}
+
+#[tauri::command]
+fn get_default_path(state: State<AppState>) -> String {
+    // First check for saved last path
+    if let Some(last) = load_last_path() {
+        if PathBuf::from(&last).exists() {
+            return last;
+        }
+    }
+    
+    // Check in-memory state
+    if let Ok(guard) = state.last_project_path.lock() {
+        if let Some(ref path) = *guard {
+            if PathBuf::from(path).exists() {
+                return path.clone();
+            }
+        }
+    }
+    
+    // Default to home directory
+    dirs::home_dir()
+        .map(|p| p.to_string_lossy().to_string())
+        .unwrap_or_else(|| "/".to_string())
+}
+
+#[tauri::command]
+fn load_project(path: String, state: State<AppState>) -> Result<ProjectInfo, ProjectError> {
+    let project_path = PathBuf::from(&path);
+    let pkg_path = project_path.join("package.json");
+    
+    if !pkg_path.exists() {
+        return Err(ProjectError {
+            error: "No package.json found in this folder".to_string(),
+        });
+    }
+    
+    // Save path for next time
+    save_last_path(&path);
+    if let Ok(mut guard) = state.last_project_path.lock() {
+        *guard = Some(path.clone());
+    }
+    
+    // Read package.json
+    let content = fs::read_to_string(&pkg_path).map_err(|e| ProjectError {
+        error: format!("Failed to read package.json: {}", e),
+    })?;
+    
+    let pkg: serde_json::Value = serde_json::from_str(&content).map_err(|e| ProjectError {
+        error: format!("Invalid JSON in package.json: {}", e),
+    })?;
+    
+    let name = pkg.get("name")
+        .and_then(|v| v.as_str())
+        .unwrap_or("Unknown Project")
+        .to_string();
+    
+    let version = pkg.get("version")
+        .and_then(|v| v.as_str())
+        .unwrap_or("0.0.0")
+        .to_string();
+    
+    let scripts = read_string_map(&pkg, "scripts");
+    let dependencies = read_string_map(&pkg, "dependencies");
+    let dev_dependencies = read_string_map(&pkg, "devDependencies");
+    
+    let package_manager = detect_package_manager(&project_path, &pkg);
+
+    // Yarn Plug'n'Play installs have no node_modules; fall back to yarn.lock for versions
+    let yarn_pnp_lock = if project_path.join(".pnp.cjs").exists() || project_path.join(".pnp.js").exists() {
+        fs::read_to_string(project_path.join("yarn.lock")).ok().map(|c| parse_yarn_lock(&c))
+    } else {
+        None
+    };
+
+    let workspaces = discover_workspaces(&project_path, &pkg, yarn_pnp_lock.as_ref());
+    let dependency_states = resolve_dependency_states(
+        &project_path,
+        &project_path,
+        &[&dependencies, &dev_dependencies],
+        yarn_pnp_lock.as_ref(),
+    );
+
+    // Installed means every declared dependency resolves, not just that node_modules exists
+    let node_modules_installed = dependency_states
+        .values()
+        .chain(workspaces.iter().flat_map(|w| w.dependency_states.values()))
+        .all(|state| state.status != "missing");
+
+    let mut declared: HashSet<String> = ["optionalDependencies", "peerDependencies"]
+        .iter()
+        .flat_map(|key| read_string_map(&pkg, key).into_keys())
+        .chain(dependencies.keys().cloned())
+        .chain(dev_dependencies.keys().cloned())
+        .collect();
+    for ws in &workspaces {
+        declared.insert(ws.name.clone());
+        declared.extend(ws.dependencies.keys().cloned());
+        declared.extend(ws.dev_dependencies.keys().cloned());
+    }
+    let extraneous = find_extraneous(&project_path, &declared);
+    let node_constraint = read_node_constraint(&project_path, &pkg);
+    
+    Ok(ProjectInfo {
+        name,
+        version,
+        scripts,
+        dependencies,
+        dev_dependencies,
+        node_modules_installed,
+        project_path: path,
+        package_manager,
+        workspaces,
+        dependency_states,
+        extraneous,
+        node_constraint,
+    })
+}
+
+// No shared processes struct needed here
+
+// Cleanup dev environment (remove a stale Next.js lock file)
+fn cleanup_dev_environment(project_path: &str) {
+    let path = PathBuf::from(project_path);
+    
+    // Remove .next/dev/lock
+    let lock_file = path.join(".next/dev/lock");
+    if lock_file.exists() {
+        if let Err(e) = fs::remove_file(&lock_file) {
+            eprintln!("Failed to remove lock file: {}", e);
+        } else {
+            println!("Removed stale lock file: {:?}", lock_file);
+        }
+    }
+}
+
+// Kill the listeners on every port that NPM Commander didn't start. Our own scripts are stopped
+// through stop_script instead, so their whole group gets the graceful Ctrl+C first.
+#[tauri::command]
+async fn kill_external_ports(state: State<'_, AppState>) -> Result<String, String> {
+    let ports = discover_ports(&state)?;
+
+    let mut killed = HashSet::new();
+    for port in ports.iter().filter(|p| p.tab_id.is_none()) {
+        if killed.insert(port.pid.clone()) {
+            let _ = Command::new("kill").arg("-9").arg(&port.pid).output();
+        }
+    }
+
+    Ok(match killed.len() {
+        0 => "No other applications were listening on a port".to_string(),
+        n => format!("Killed {} process(es) of other applications", n),
+    })
+}
+
+#[tauri::command]
+async fn run_script(
+    app: AppHandle,
+    project_path: String,
+    script_name: String,
+    tab_id: String,
+    package_manager: Option<String>,
+    workspace: Option<String>,
+    args: Option<Vec<String>>,
+    env: Option<HashMap<String, String>>,
+    runtime: Option<NodeRuntime>,
+    state: State<'_, AppState>,
+) -> Result<bool, String> {
+    let label = script_label(&script_name, workspace.as_deref());
+    ensure_not_running(&state, &tab_id, &label)?;
+    
+    // Check if we need to cleanup dev environment
+    if ["dev", "start", "serve"].contains(&script_name.as_str()) {
+        cleanup_dev_environment(&project_path);
+    }
+
+    let package_manager = resolve_package_manager(package_manager);
+    let command_str = build_run_command(package_manager, &script_name, workspace.as_deref(), &args.unwrap_or_default());
+    let command_str = with_node_runtime(&project_path, runtime.as_ref(), &command_str)?;
+    spawn_tracked(&app, &state, &project_path, &command_str, &label, &tab_id, env.unwrap_or_default())
+}
+
+// Run a user-defined command line (e.g. "npx prisma studio") from the project or a
+// subdirectory of it, tracked and stopped like a script
+#[tauri::command]
+async fn run_custom_command(
+    app: AppHandle,
+    project_path: String,
+    label: String,
+    command: String,
+    cwd: Option<String>,
+    tab_id: String,
+    runtime: Option<NodeRuntime>,
+    state: State<'_, AppState>,
+) -> Result<bool, String> {
+    if command.trim().is_empty() {
+        return Err("Command is empty".to_string());
+    }
+    ensure_not_running(&state, &tab_id, &label)?;
+
+    let dir = PathBuf::from(&project_path).join(cwd.as_deref().unwrap_or("").trim());
+    if !dir.is_dir() {
+        return Err(format!("Working directory not found: {}", dir.display()));
+    }
+    let command = with_node_runtime(&project_path, runtime.as_ref(), &command)?;
+    spawn_tracked(&app, &state, &dir.to_string_lossy(), &command, &label, &tab_id, HashMap::new())
+}
+
+fn ensure_not_running(state: &State<'_, AppState>, tab_id: &str, label: &str) -> Result<(), String> {
+    let processes = state.processes.lock().map_err(|e| e.to_string())?;
+    if processes.contains_key(&format!("{}:{}", tab_id, label)) {
+        return Err(format!("Script '{}' is already running in this tab", label));
+    }
+    Ok(())
+}
+
+// Spawn a command through the login shell (to get the user's PATH), stream its output to the
+// tab and emit `script-exit` when it ends. It's stored under "{tab_id}:{label}" for stop_script.
+fn spawn_tracked(
+    app: &AppHandle,
+    state: &State<'_, AppState>,
+    cwd: &str,
+    command_str: &str,
+    label: &str,
+    tab_id: &str,
+    env: HashMap<String, String>,
+) -> Result<bool, String> {
+    let process_key = format!("{}:{}", tab_id, label);
+
+    let mut command = Command::new(login_shell());
+    command
+        .args(["-lc", command_str])
+        .current_dir(cwd)
+        .env("FORCE_COLOR", "1")
+        .envs(env)
+        .stdout(Stdio::piped())
+        .stderr(Stdio::piped());
+    // Own process group (pgid = shell pid), so stop_script can signal npm and the server under it
+    #[cfg(unix)]
+    {
+        use std::os::unix::process::CommandExt;
+        command.process_group(0);
+    }
+
+    let mut child = command
+        .spawn()
+        .map_err(|e| format!("Failed to start script: {}", e))?;
+    let pgid = child.id();
+    
+    let app_clone = app.clone();
+    
+    // Read stdout and stderr in background
+    if let Some(stdout) = child.stdout.take() {
+        spawn_output_reader(app.clone(), stdout, label.to_string(), "stdout", tab_id.to_string());
+    }
+    if let Some(stderr) = child.stderr.take() {
+        spawn_output_reader(app.clone(), stderr, label.to_string(), "stderr", tab_id.to_string());
+    }
+    
+    // Store process; a stop signal left over from an earlier run under this label doesn't apply
+    {
+        let mut processes = state.processes.lock().map_err(|e| e.to_string())?;
+        processes.insert(process_key.clone(), child);
+        if let Ok(mut signals) = state.stop_signals.lock() {
+            signals.remove(&process_key);
+        }
+    }
+    
+    // Wait for process to exit in background using the app handle
+    let script_for_monitor = process_key;
+    let script_name_for_exit = label.to_string();
+    let tab_id_for_exit = tab_id.to_string();
+    
+    std::thread::spawn(move || {
+        // Poll until process exits
+        std::thread::sleep(std::time::Duration::from_millis(100));
+        
+        loop {
+            std::thread::sleep(std::time::Duration::from_secs(1));
+            
+            // Try to get the process state from app
+            let Some(state) = app_clone.try_state::<AppState>() else {
+                // App state not available, exit
+                break;
+            };
+            let status = {
+                let Ok(mut processes) = state.processes.lock() else { continue };
+                let Some(child) = processes.get_mut(&script_for_monitor) else {
+                    // Process was removed (stopped manually)
+                    break;
+                };
+                match child.try_wait() {
+                    Ok(status) => status,
+                    Err(_) => {
+                        processes.remove(&script_for_monitor);
+                        if let Ok(mut signals) = state.stop_signals.lock() {
+                            signals.remove(&script_for_monitor);
+                        }
+                        break;
+                    }
+                }
+            };
+            // Still running
+            let Some(status) = status else { continue };
+
+            // A script being stopped is only over once its whole group is: the shell often exits
+            // on SIGINT while the server under it keeps the port until stop_script escalates.
+            // It stays tracked meanwhile, so it can't be started again and the signals are recorded.
+            let stopping = state.stop_signals.lock().is_ok_and(|signals| signals.contains_key(&script_for_monitor));
+            if stopping && group_alive(pgid) {
+                continue;
+            }
+
+            let sent = {
+                let Ok(mut processes) = state.processes.lock() else { continue };
+                processes.remove(&script_for_monitor);
+                state.stop_signals.lock().ok().and_then(|mut signals| signals.remove(&script_for_monitor))
+            };
+            let _ = app_clone.emit("script-exit", ScriptExit {
+                script: script_name_for_exit.clone(),
+                code: status.code().unwrap_or(-1),
+                tab_id: tab_id_for_exit.clone(),
+                signal: sent.map(str::to_string).or_else(|| exit_signal(&status)),
+                stopped: sent.is_some(),
+                graceful: sent.is_some_and(|signal| signal != "SIGKILL"),
+            });
+            break;
+        }
+    });
+    
+    Ok(true)
+}
+
+// Name of the signal that terminated a process, if it didn't exit normally
+fn exit_signal(status: &std::process::ExitStatus) -> Option<String> {
+    #[cfg(unix)]
+    {
+        use std::os::unix::process::ExitStatusExt;
+        return status.signal().map(|signal| match signal {
+            2 => "SIGINT".to_string(),
+            9 => "SIGKILL".to_string(),
+            15 => "SIGTERM".to_string(),
+            other => format!("signal {}", other),
+        });
+    }
+    #[cfg(not(unix))]
+    {
+        let _ = status;
+        None
+    }
+}
+
+fn signal_group(pgid: u32, signal: &str) {
+    // A negative pid addresses the whole process group
+    let _ = Command::new("kill").args([&format!("-{}", signal), "--", &format!("-{}", pgid)]).output();
+}
+
+// Whether any process is left in the group; the shell may exit on SIGINT while the server under it doesn't
+fn group_alive(pgid: u32) -> bool {
+    Command::new("kill")
+        .args(["-0", "--", &format!("-{}", pgid)])
+        .stderr(Stdio::null())
+        .status()
+        .is_ok_and(|status| status.success())
+}
+
+// Record the signal sent to a running script for its script-exit event. Only while the process
+// under `process_key` is still the one being stopped, so no entry outlives it.
+fn record_stop_signal(state: &AppState, process_key: &str, pgid: u32, signal: &'static str) -> Result<bool, String> {
+    let processes = state.processes.lock().map_err(|e| e.to_string())?;
+    if processes.get(process_key).map(|child| child.id()) != Some(pgid) {
+        return Ok(false);
+    }
+    let mut signals = state.stop_signals.lock().map_err(|e| e.to_string())?;
+    signals.insert(process_key.to_string(), signal);
+    Ok(true)
+}
+
+// Stop a script's whole process group: SIGINT (like Ctrl+C) first, SIGTERM if anything in the group
+// is still running after `interrupt_timeout_ms`, then SIGKILL after `terminate_timeout_ms`. Returns
+// right away; the monitor thread emits script-exit once the group is gone, with the last signal sent.
+#[tauri::command]
+fn stop_script(
+    script_name: String,
+    tab_id: String,
+    interrupt_timeout_ms: Option<u64>,
+    terminate_timeout_ms: Option<u64>,
+    app: AppHandle,
+    state: State<AppState>,
+) -> Result<bool, String> {
+    let process_key = format!("{}:{}", tab_id, script_name);
+    // Checked and recorded under the processes lock, so the monitor can't reap the script in between
+    let pgid = {
+        let processes = state.processes.lock().map_err(|e| e.to_string())?;
+        let Some(child) = processes.get(&process_key) else {
+            return Err("Script not running".to_string());
+        };
+        let mut signals = state.stop_signals.lock().map_err(|e| e.to_string())?;
+        if signals.contains_key(&process_key) {
+            return Err("Script is already stopping".to_string());
+        }
+        signals.insert(process_key.clone(), "SIGINT");
+        child.id()
+    };
+
+    let steps = [
+        ("SIGINT", interrupt_timeout_ms.unwrap_or(3000)),
+        ("SIGTERM", terminate_timeout_ms.unwrap_or(3000)),
+        ("SIGKILL", 0),
+    ];
+    std::thread::spawn(move || {
+        // Escalate until the whole group is gone, not just the shell we track
+        for (signal, timeout_ms) in steps {
+            if !group_alive(pgid) {
+                break;
+            }
+            if let Some(state) = app.try_state::<AppState>() {
+                let _ = record_stop_signal(&state, &process_key, pgid, signal);
+            }
+            signal_group(pgid, &signal[3..]);
+
+            let deadline = std::time::Instant::now() + std::time::Duration::from_millis(timeout_ms);
+            while std::time::Instant::now() < deadline && group_alive(pgid) {
+                std::thread::sleep(std::time::Duration::from_millis(100));
+            }
+        }
+    });
+
+    Ok(true)
+}
+
+// Why a watch pattern can't be used, if it can't. Patterns are relative to the script's folder
+// and support `*` within a name and `**` for any number of folders.
+fn check_watch_pattern(pattern: &str) -> Result<(), String> {
+    let problem = if pattern.starts_with('/') || pattern.starts_with('~') {
+        Some("must be relative to the script's folder")
+    } else if pattern.split('/').any(|segment| segment == "..") {
+        Some("can't reach outside the script's folder")
+    } else if pattern.contains(['{', '}', '[', ']', '?', '!']) {
+        Some("only `*` and `**` wildcards are supported")
+    } else if pattern.split('/').any(|segment| segment.contains("**") && segment != "**") {
+        Some("`**` must be a whole path segment, as in `src/**/*.ts`")
+    } else {
+        None
+    };
+    match problem {
+        Some(problem) => Err(format!("Watch pattern \"{}\" {}", pattern, problem)),
+        None => Ok(()),
+    }
+}
+
+// Expand a pattern relative to `base` ("vite.config.*", "config/*.json", "src/**/*.ts") into the
+// files it matches. `**` skips node_modules and dot folders, like workspace globs.
+fn expand_watch_pattern(base: &PathBuf, pattern: &str) -> Vec<PathBuf> {
+    let segments: Vec<&str> = pattern.split('/').filter(|s| !s.is_empty() && *s != ".").collect();
+    let mut found = Vec::new();
+    expand_watch_segments(base, &segments, 0, &mut found);
+    found.sort();
+    found.dedup();
+    found
+}
+
+fn expand_watch_segments(path: &PathBuf, segments: &[&str], depth: usize, found: &mut Vec<PathBuf>) {
+    let Some((segment, rest)) = segments.split_first() else {
+        if path.is_file() {
+            found.push(path.clone());
+        }
+        return;
+    };
+    if depth > 16 {
+        return;
+    }
+
+    if !segment.contains('*') {
+        let next = path.join(segment);
+        if next.exists() {
+            expand_watch_segments(&next, rest, depth + 1, found);
+        }
+        return;
+    }
+
+    if *segment == "**" {
+        expand_watch_segments(path, rest, depth + 1, found);
+    }
+    let Ok(entries) = fs::read_dir(path) else { return };
+    for entry in entries.flatten() {
+        let name = entry.file_name().to_string_lossy().to_string();
+        if *segment == "**" {
+            if entry.path().is_dir() && !is_ignored_dir(&name) {
+                expand_watch_segments(&entry.path(), segments, depth + 1, found);
+            }
+        } else if wildcard_match(segment, &name) {
+            expand_watch_segments(&entry.path(), rest, depth + 1, found);
+        }
+    }
+}
+
+fn snapshot_mtimes(base: &PathBuf, patterns: &[String]) -> HashMap<PathBuf, SystemTime> {
+    patterns
+        .iter()
+        .flat_map(|pattern| expand_watch_pattern(base, pattern))
+        .filter_map(|path| {
+            let modified = fs::metadata(&path).and_then(|m| m.modified()).ok()?;
+            Some((path, modified))
+        })
+        .collect()
+}
+
+// Register a watcher under `key`, stopping any previous watcher with the same key
+fn register_watcher(state: &State<'_, AppState>, key: String) -> Result<Arc<AtomicBool>, String> {
+    let stop = Arc::new(AtomicBool::new(false));
+    let mut watchers = state.watchers.lock().map_err(|e| e.to_string())?;
+    if let Some(previous) = watchers.insert(key, stop.clone()) {
+        previous.store(true, Ordering::Relaxed);
+    }
+    Ok(stop)
+}
+
+fn stop_watcher(state: &State<'_, AppState>, key: &str) -> Result<bool, String> {
+    let mut watchers = state.watchers.lock().map_err(|e| e.to_string())?;
+    match watchers.remove(key) {
+        Some(stop) => {
+            stop.store(true, Ordering::Relaxed);
+            Ok(true)
+        }
+        None => Ok(false),
+    }
+}
+
+// Poll `snapshot` once a second until `stop` is set and call `on_change` with the paths that were
+// modified, created or removed since the last poll. This polls rather than using the platform's
+// file events: each poll re-expands the patterns and reads modification times, so keep watch lists
+// to config files and small folders. Polling also coalesces editors' double saves.
+fn spawn_poll_watcher<S, C>(stop: Arc<AtomicBool>, snapshot: S, on_change: C)
+where
+    S: Fn() -> HashMap<PathBuf, SystemTime> + Send + 'static,
+    C: Fn(Vec<PathBuf>) + Send + 'static,
+{
+    std::thread::spawn(move || {
+        let mut known = snapshot();
+        loop {
+            std::thread::sleep(std::time::Duration::from_secs(1));
+            if stop.load(Ordering::Relaxed) {
+                break;
+            }
+
+            let current = snapshot();
+            let mut changed: Vec<PathBuf> = current
+                .iter()
+                .filter(|(path, modified)| known.get(*path) != Some(*modified))
+                .map(|(path, _)| path.clone())
+                .chain(known.keys().filter(|path| !current.contains_key(*path)).cloned())
+                .collect();
+            known = current;
+
+            if !changed.is_empty() {
+                changed.sort();
+                on_change(changed);
+            }
+        }
+    });
+}
+
+fn relative_paths(base: &PathBuf, paths: Vec<PathBuf>) -> Vec<String> {
+    paths
+        .iter()
+        .map(|path| path.strip_prefix(base).unwrap_or(path).to_string_lossy().to_string())
+        .collect()
+}
+
+// Watch files matching `patterns` under the script's directory and emit `file-change` when any
+// is modified, created or removed. A new watch for the same script replaces the previous one.
+#[tauri::command]
+fn watch_files(
+    app: AppHandle,
+    state: State<'_, AppState>,
+    project_path: String,
+    cwd: Option<String>,
+    patterns: Vec<String>,
+    script: String,
+    tab_id: String,
+) -> Result<bool, String> {
+    patterns.iter().try_for_each(|pattern| check_watch_pattern(pattern))?;
+    let stop = register_watcher(&state, format!("{}:{}", tab_id, script))?;
+    let base = PathBuf::from(&project_path).join(cwd.as_deref().unwrap_or("").trim());
+    let snapshot_base = base.clone();
+
+    spawn_poll_watcher(
+        stop,
+        move || snapshot_mtimes(&snapshot_base, &patterns),
+        move |changed| {
+            let _ = app.emit("file-change", FileChange {
+                script: script.clone(),
+                paths: relative_paths(&base, changed),
+                tab_id: tab_id.clone(),
+            });
+        },
+    );
+
+    Ok(true)
+}
+
+#[tauri::command]
+fn unwatch_files(script: String, tab_id: String, state: State<AppState>) -> Result<bool, String> {
+    stop_watcher(&state, &format!("{}:{}", tab_id, script))
+}
+
+// Files whose changes mean the project info is stale: manifests, lockfiles, Node version files and the install
+// markers package managers write into node_modules. The node_modules folder itself changes
+// when top-level packages are added or removed.
+fn project_watch_paths(project_path: &PathBuf) -> Vec<PathBuf> {
+    let mut dirs = vec![project_path.clone()];
+    if let Ok(content) = fs::read_to_string(project_path.join("package.json")) {
+        if let Ok(pkg) = serde_json::from_str::<serde_json::Value>(&content) {
+            dirs.extend(discover_workspaces(project_path, &pkg, None).into_iter().map(|w| PathBuf::from(w.path)));
+        }
+    }
+
+    let mut paths: Vec<PathBuf> = dirs.iter().map(|dir| dir.join("package.json")).collect();
+    paths.extend(LOCKFILES.iter().map(|(lockfile, _)| project_path.join(lockfile)));
+    for file in [
+        "pnpm-workspace.yaml",
+        ".nvmrc",
+        ".node-version",
+        ".pnp.cjs",
+        "node_modules",
+        "node_modules/.package-lock.json",
+        "node_modules/.modules.yaml",
+        "node_modules/.yarn-state.yml",
+        "node_modules/.yarn-integrity",
+    ] {
+        paths.push(project_path.join(file));
+    }
+    paths
+}
+
+// Watch a tab's project and emit `project-changed` so the frontend can reload it in place.
+// Workspaces are resolved when the watch starts; the frontend re-watches after each reload.
+#[tauri::command]
+fn watch_project(
+    app: AppHandle,
+    state: State<'_, AppState>,
+    project_path: String,
+    tab_id: String,
+) -> Result<bool, String> {
+    let stop = register_watcher(&state, format!("project:{}", tab_id))?;
+    let base = PathBuf::from(&project_path);
+    let paths = project_watch_paths(&base);
+
+    spawn_poll_watcher(
+        stop,
+        move || {
+            paths
+                .iter()
+                .filter_map(|path| {
+                    let modified = fs::metadata(path).and_then(|m| m.modified()).ok()?;
+                    Some((path.clone(), modified))
+                })
+                .collect()
+        },
+        move |changed| {
+            let _ = app.emit("project-changed", ProjectChange {
+                paths: relative_paths(&base, changed),
+                tab_id: tab_id.clone(),
+            });
+        },
+    );
+
+    Ok(true)
+}
+
+#[tauri::command]
+fn unwatch_project(tab_id: String, state: State<AppState>) -> Result<bool, String> {
+    stop_watcher(&state, &format!("project:{}", tab_id))
+}
+
+#[tauri::command]
+fn get_running_scripts(state: State<AppState>) -> Vec<String> {
+    state.processes
+        .lock()
+        .map(|guard| guard.keys().cloned().collect())
+        .unwrap_or_default()
+}
+
+// Versions of node and npm the project's scripts run with under `runtime`, checked against
+// the project's constraint
+#[tauri::command]
+async fn node_versions(project_path: String, runtime: Option<NodeRuntime>) -> Result<NodeVersions, String> {
+    let managers = NODE_MANAGERS
+        .iter()
+        .filter(|manager| !node_manager_installs(manager).is_empty())
+        .map(|manager| manager.to_string())
+        .collect();
+    let command_str = match with_node_runtime(
+        &project_path,
+        runtime.as_ref(),
+        "printf 'node=%s\\nnpm=%s\\n' \"$(node --version 2>/dev/null)\" \"$(npm --version 2>/dev/null)\"",
+    ) {
+        Ok(command_str) => command_str,
+        Err(error) => {
+            return Ok(NodeVersions { node: None, npm: None, satisfied: None, managers, error: Some(error) });
+        }
+    };
+
+    let output = Command::new(login_shell())
+        .args(["-lc", &command_str])
+        .current_dir(&project_path)
+        .output()
+        .map_err(|e| format!("Failed to run node: {}", e))?;
+    // Profiles may print their own output, so only the prefixed lines count
+    let stdout = String::from_utf8_lossy(&output.stdout);
+    let field = |prefix: &str| {
+        stdout
+            .lines()
+            .filter_map(|line| line.trim().strip_prefix(prefix))
+            .last()
+            .map(|value| value.trim().trim_start_matches('v').to_string())
+            .filter(|value| !value.is_empty())
+    };
+    let node = field("node=");
+    let npm = field("npm=");
+
+    let satisfied = match (&node, project_node_constraint(&project_path)) {
+        (Some(version), Some(constraint)) => node_satisfies(version, &constraint.range),
+        _ => None,
+    };
+    let error = node.is_none().then(|| "node wasn't found on the login shell's PATH".to_string());
+
+    Ok(NodeVersions { node, npm, satisfied, managers, error })
+}
+
+// The dotenv files in a package folder, `.env` first, with their variables
+#[tauri::command]
+fn load_env_files(dir: String) -> Result<Vec<EnvFile>, String> {
+    let entries = fs::read_dir(&dir).map_err(|e| format!("Failed to read {}: {}", dir, e))?;
+    let mut files: Vec<EnvFile> = entries
+        .flatten()
+        .filter(|entry| entry.path().is_file())
+        .filter_map(|entry| {
+            let name = entry.file_name().to_string_lossy().to_string();
+            if name != ".env" && !name.starts_with(".env.") {
+                return None;
+            }
+            let content = fs::read_to_string(entry.path()).ok()?;
+            let mut variables: Vec<EnvVariable> = Vec::new();
+            for entry in parse_dotenv(&content) {
+                variables.retain(|v| v.key != entry.key);
+                variables.push(EnvVariable { key: entry.key, value: entry.value });
+            }
+            Some(EnvFile { example: is_env_example(&name), name, variables })
+        })
+        .collect();
+    files.sort_by(|a, b| (a.name != ".env", a.example, &a.name).cmp(&(b.name != ".env", b.example, &b.name)));
+    Ok(files)
+}
+
+// Set or remove (`value` None) one variable in a dotenv file, creating the file if needed
+#[tauri::command]
+fn set_env_var(dir: String, file: String, key: String, value: Option<String>) -> Result<(), String> {
+    let key = key.trim();
+    if !is_env_key(key) {
+        return Err(format!("Invalid variable name: '{}'", key));
+    }
+    let path = env_file_path(&dir, &file)?;
+    let content = match fs::read_to_string(&path) {
+        Ok(content) => content,
+        Err(e) if e.kind() == std::io::ErrorKind::NotFound && value.is_some() => String::new(),
+        Err(e) => return Err(format!("Failed to read {}: {}", file, e)),
+    };
+    fs::write(&path, update_dotenv(&content, key, value.as_deref()))
+        .map_err(|e| format!("Failed to write {}: {}", file, e))
+}
+
+#[tauri::command]
+async fn install_deps(
+    app: AppHandle,
+    project_path: String,
+    tab_id: String,
+    package_manager: Option<String>,
+    runtime: Option<NodeRuntime>,
+    env: Option<HashMap<String, String>>,
+) -> Result<bool, String> {
+    let package_manager = resolve_package_manager(package_manager);
+    let command_str = with_node_runtime(&project_path, runtime.as_ref(), &format!("{} install", package_manager))?;
+    run_streamed(&app, &project_path, &command_str, "install", &tab_id, env.unwrap_or_default())
+}
+
+#[tauri::command]
+async fn add_dependency(
+    app: AppHandle,
+    project_path: String,
+    package_path: String,
+    tab_id: String,
+    package_manager: Option<String>,
+    workspace: Option<String>,
+    spec: String,
+    dev: bool,
+    runtime: Option<NodeRuntime>,
+) -> Result<bool, String> {
+    let spec = spec.trim();
+    if spec.is_empty() || spec.starts_with('-') {
+        return Err(format!("Invalid package name: '{}'", spec));
+    }
+
+    let package_manager = resolve_package_manager(package_manager);
+    let mut args = shell_quote(spec);
+    if dev {
+        args.push_str(match package_manager {
+            "yarn" | "bun" => " --dev",
+            _ => " --save-dev",
+        });
+    }
+
+    let (cwd, command_str) =
+        build_dependency_command(package_manager, "add", &args, &project_path, &package_path, workspace.as_deref());
+    let command_str = with_node_runtime(&project_path, runtime.as_ref(), &command_str)?;
+    run_streamed(&app, &cwd, &command_str, "add", &tab_id, HashMap::new())
+}
+
+#[tauri::command]
+async fn remove_dependency(
+    app: AppHandle,
+    project_path: String,
+    package_path: String,
+    tab_id: String,
+    package_manager: Option<String>,
+    workspace: Option<String>,
+    name: String,
+    runtime: Option<NodeRuntime>,
+) -> Result<bool, String> {
+    let package_manager = resolve_package_manager(package_manager);
+    let (cwd, command_str) = build_dependency_command(
+        package_manager,
+        "remove",
+        &shell_quote(&name),
+        &project_path,
+        &package_path,
+        workspace.as_deref(),
+    );
+    let command_str = with_node_runtime(&project_path, runtime.as_ref(), &command_str)?;
+    run_streamed(&app, &cwd, &command_str, "remove", &tab_id, HashMap::new())
+}
+
+// Move a dependency between sections and/or change its range in package.json, then reinstall
+#[tauri::command]
+async fn set_dependency(
+    app: AppHandle,
+    project_path: String,
+    package_path: String,
+    tab_id: String,
+    package_manager: Option<String>,
+    name: String,
+    range: String,
+    dev: bool,
+    runtime: Option<NodeRuntime>,
+) -> Result<bool, String> {
+    let range = range.trim();
+    if range.is_empty() {
+        return Err("Version range cannot be empty".to_string());
     }
-    
-    // Wait for process to exit in background using the app handle
-    let script_for_monitor = process_key.clone();
-    let script_name_for_exit = script_name_clone.clone();
-    let tab_id_for_exit = tab_id_clone.clone();
-    
-    std::thread::spawn(move || {
-        // Poll until process exits
-        std::thread::sleep(std::time::Duration::from_millis(100));
-        
-        loop {
-            std::thread::sleep(std::time::Duration::from_secs(1));
-            
-            // Try to get the process state from app
-            let state = app_clone.try_state::<AppState>();
-            if let Some(state) = state {
-                if let Ok(mut processes) = state.processes.lock() {
-                    if let Some(child) = processes.get_mut(&script_for_monitor) {
-                        match child.try_wait() {
-                            Ok(Some(status)) => {
-                                let code = status.code().unwrap_or(-1);
-                                processes.remove(&script_for_monitor);
-                                let _ = app_clone.emit("script-exit", ScriptExit {
-                                    script: script_name_for_exit.clone(),
-                                    code,
-                                    tab_id: tab_id_for_exit.clone(),
-                                });
-                                break;
-                            }
-                            Ok(None) => {
-                                // Still running
-                            }
-                            Err(_) => {
-                                processes.remove(&script_for_monitor);
-                                break;
-                            }
-                        }
-                    } else {
-                        // Process was removed (stopped manually)
-                        break;
-                    }
-                }
-            } else {
-                // App state not available, exit
-                break;
+
+    let (target, other) = if dev {
+        ("devDependencies", "dependencies")
+    } else {
+        ("dependencies", "devDependencies")
+    };
+
+    update_package_json(&package_path, |pkg| {
+        let pkg = pkg.as_object_mut().ok_or("package.json is not an object")?;
+        let was_in_target = pkg.get(target).and_then(|v| v.get(&name)).is_some();
+
+        if let Some(section) = pkg.get_mut(other).and_then(|v| v.as_object_mut()) {
+            section.shift_remove(&name);
+            if section.is_empty() {
+                pkg.shift_remove(other);
             }
         }
+
+        let section = pkg
+            .entry(target)
+            .or_insert_with(|| serde_json::json!({}))
+            .as_object_mut()
+            .ok_or(format!("\"{}\" in package.json is not an object", target))?;
+        section.insert(name.clone(), serde_json::Value::String(range.to_string()));
+
+        // Package managers keep dependency sections sorted; match that for newly added keys
+        if !was_in_target {
+            section.sort_keys();
+        }
+        Ok(())
+    })?;
+
+    let _ = app.emit("script-output", ScriptOutput {
+        script: "install".to_string(),
+        output_type: "stdout".to_string(),
+        data: format!("Updated package.json: {} \"{}\": \"{}\"\n", target, name, range),
+        tab_id: tab_id.clone(),
     });
-    
-    Ok(true)
+
+    let package_manager = resolve_package_manager(package_manager);
+    let command_str = with_node_runtime(&project_path, runtime.as_ref(), &format!("{} install", package_manager))?;
+    run_streamed(&app, &project_path, &command_str, "install", &tab_id, HashMap::new())
 }
 
 #[tauri::command]
-fn stop_script(script_name: String, tab_id: String, state: State<AppState>) -> Result<bool, String> {
-    let process_key = format!("{}:{}", tab_id, script_name);
-    let mut processes = state.processes.lock().map_err(|e| e.to_string())?;
-    
-    if let Some(mut child) = processes.remove(&process_key) {
-        let _ = child.kill();
-        Ok(true)
-    } else {
-        Err("Script not running".to_string())
+async fn check_outdated(
+    project_path: String,
+    package_manager: Option<String>,
+    workspace: Option<String>,
+) -> Result<Vec<OutdatedPackage>, String> {
+    let package_manager = resolve_package_manager(package_manager);
+    let command_str = build_outdated_command(package_manager, &PathBuf::from(&project_path), workspace.as_deref());
+    let stdout = capture_json_output(&project_path, &command_str)?;
+    parse_outdated_output(&stdout)
+}
+
+// Read the project's lockfile into a dependency graph
+#[tauri::command]
+async fn load_dependency_tree(project_path: String) -> Result<DependencyTree, String> {
+    let project_dir = PathBuf::from(&project_path);
+    let importers = read_importers(&project_dir);
+
+    for lockfile in ["package-lock.json", "npm-shrinkwrap.json", "pnpm-lock.yaml", "yarn.lock"] {
+        let Ok(content) = fs::read_to_string(project_dir.join(lockfile)) else { continue };
+        let nodes = match lockfile {
+            "pnpm-lock.yaml" => build_pnpm_tree(&parse_yaml(&content), &importers),
+            "yarn.lock" => build_yarn_tree(&content, &importers),
+            _ => {
+                let lock: serde_json::Value = serde_json::from_str(&content)
+                    .map_err(|e| format!("Invalid {}: {}", lockfile, e))?;
+                build_npm_tree(&lock, &importers)
+            }
+        };
+        return Ok(DependencyTree { lockfile: lockfile.to_string(), nodes });
     }
+
+    Err("No supported lockfile found (package-lock.json, pnpm-lock.yaml or yarn.lock). Install dependencies first.".to_string())
 }
 
 #[tauri::command]
-fn get_running_scripts(state: State<AppState>) -> Vec<String> {
-    state.processes
-        .lock()
-        .map(|guard| guard.keys().cloned().collect())
-        .unwrap_or_default()
+async fn audit_dependencies(
+    project_path: String,
+    package_manager: Option<String>,
+) -> Result<Vec<AuditAdvisory>, String> {
+    let package_manager = resolve_package_manager(package_manager);
+    let stdout = capture_json_output(&project_path, build_audit_command(package_manager, &PathBuf::from(&project_path))?)?;
+    parse_audit_output(&stdout)
 }
 
 #[tauri::command]
-async fn install_deps(
+async fn audit_fix(
     app: AppHandle,
     project_path: String,
     tab_id: String,
+    package_manager: Option<String>,
+    force: bool,
+    runtime: Option<NodeRuntime>,
 ) -> Result<bool, String> {
-    let mut child = Command::new("/bin/zsh")
-        .args(["-lc", "npm install"])
-        .current_dir(&project_path)
-        .env("FORCE_COLOR", "1")
-        .stdout(Stdio::piped())
-        .stderr(Stdio::piped())
-        .spawn()
-        .map_err(|e| format!("Failed to run npm install: {}", e))?;
-    
-    let tab_id_clone_stdout = tab_id.clone();
-    let tab_id_clone_stderr = tab_id.clone();
-    
-    // Stream output
-    if let Some(stdout) = child.stdout.take() {
-        let app = app.clone();
-        std::thread::spawn(move || {
-            use std::io::{BufRead, BufReader};
-            let reader = BufReader::new(stdout);
-            for line in reader.lines() {
-                if let Ok(line) = line {
-                    let _ = app.emit("script-output", ScriptOutput {
-                        script: "install".to_string(),
-                        output_type: "stdout".to_string(),
-                        data: format!("{}\n", line),
-                        tab_id: tab_id_clone_stdout.clone(),
-                    });
+    let package_manager = resolve_package_manager(package_manager);
+    let command_str = with_node_runtime(&project_path, runtime.as_ref(), build_audit_fix_command(package_manager, force)?)?;
+    run_streamed(&app, &project_path, &command_str, "audit", &tab_id, HashMap::new())
+}
+
+// Move a declared range to a new version, keeping its operator: "^1.2.0" -> "^1.4.0",
+// "~1.2.0" -> "~1.4.0", "1.2.0" -> "1.4.0", ">=1.2.0" -> ">=1.4.0". None for anything that
+// can't be moved without changing its meaning: aliases ("npm:react@^18"), workspace:, file:
+// and git specs, tags ("latest"), "*", partial versions ("1.x") and compound ranges (">=1.2 <2").
+fn range_with_version(range: &str, version: &str) -> Option<String> {
+    parse_version(version)?;
+    let range = range.trim();
+    let prefix = ["^", "~", ">=", "="].into_iter().find(|op| range.starts_with(op)).unwrap_or("");
+    let rest = &range[prefix.len()..];
+    let is_full_version = rest.starts_with(|c: char| c.is_ascii_digit()) && parse_version(rest).is_some();
+    is_full_version.then(|| format!("{}{}", prefix, version))
+}
+
+// Move the declared ranges of existing dependencies to new versions (name -> version) in
+// package.json, then reinstall. Ranges range_with_version can't move are left alone and reported.
+#[tauri::command]
+async fn update_dependency_ranges(
+    app: AppHandle,
+    project_path: String,
+    package_path: String,
+    tab_id: String,
+    package_manager: Option<String>,
+    versions: HashMap<String, String>,
+    runtime: Option<NodeRuntime>,
+) -> Result<bool, String> {
+    let mut changed: Vec<String> = Vec::new();
+    let mut skipped: Vec<String> = Vec::new();
+
+    update_package_json(&package_path, |pkg| {
+        for section in ["dependencies", "devDependencies", "optionalDependencies"] {
+            let Some(deps) = pkg.get_mut(section).and_then(|v| v.as_object_mut()) else { continue };
+            for (name, version) in &versions {
+                let Some(value) = deps.get_mut(name) else { continue };
+                let declared = value.as_str().unwrap_or("");
+                match range_with_version(declared, version) {
+                    Some(range) => {
+                        changed.push(format!("{}@{}", name, range));
+                        *value = serde_json::Value::String(range);
+                    }
+                    None => skipped.push(format!("{}@{}", name, declared)),
                 }
             }
+        }
+        Ok(())
+    })?;
+
+    let emit = |data: String| {
+        let _ = app.emit("script-output", ScriptOutput {
+            script: "install".to_string(),
+            output_type: "stdout".to_string(),
+            data,
+            tab_id: tab_id.clone(),
         });
+    };
+    if !skipped.is_empty() {
+        emit(format!("Left as declared (upgrade by hand): {}\n", skipped.join(", ")));
     }
-    
-    if let Some(stderr) = child.stderr.take() {
-        let app = app.clone();
-        std::thread::spawn(move || {
-            use std::io::{BufRead, BufReader};
-            let reader = BufReader::new(stderr);
-            for line in reader.lines() {
-                if let Ok(line) = line {
-                    let _ = app.emit("script-output", ScriptOutput {
-                        script: "install".to_string(),
-                        output_type: "stderr".to_string(),
-                        data: format!("{}\n", line),
-                        tab_id: tab_id_clone_stderr.clone(),
-                    });
-                }
-            }
+    if changed.is_empty() {
+        return Err(if skipped.is_empty() {
+            "None of the packages are declared in package.json".to_string()
+        } else {
+            "None of the declared ranges can be moved to a new version automatically".to_string()
         });
     }
-    
-    let status = child.wait().map_err(|e| e.to_string())?;
-    Ok(status.success())
+    emit(format!("Updated package.json: {}\n", changed.join(", ")));
+
+    let package_manager = resolve_package_manager(package_manager);
+    let command_str = with_node_runtime(&project_path, runtime.as_ref(), &format!("{} install", package_manager))?;
+    run_streamed(&app, &project_path, &command_str, "install", &tab_id, HashMap::new())
 }
 
-#[tauri::command]
-async fn kill_port_process() -> Result<String, String> {
-    // macOS specific lsof and kill
-    let output = Command::new("lsof")
-        .args(["-i", ":3000", "-t"])
-        .output()
-        .map_err(|e| e.to_string())?;
+// Parse `lsof -nP -iTCP -sTCP:LISTEN` into (port, pid, command) triples, one per port and pid
+// (a server listening on IPv4 and IPv6 shows up twice)
+fn parse_lsof_listeners(text: &str) -> Vec<(u16, u32, String)> {
+    let mut found: Vec<(u16, u32, String)> = Vec::new();
+    for line in text.lines().skip(1) {
+        let parts: Vec<&str> = line.split_whitespace().collect();
+        if parts.len() < 9 {
+            continue;
+        }
+        let Ok(pid) = parts[1].parse::<u32>() else { continue };
+        // NAME is "*:3000", "127.0.0.1:5173" or "[::1]:5173", followed by "(LISTEN)"
+        let name = parts.iter().rev().find(|p| p.contains(':')).copied().unwrap_or("");
+        let Some(port) = name.rsplit(':').next().and_then(|p| p.parse::<u16>().ok()) else { continue };
+        if !found.iter().any(|(p, id, _)| *p == port && *id == pid) {
+            found.push((port, pid, parts[0].to_string()));
+        }
+    }
+    found.sort_by_key(|(port, pid, _)| (*port, *pid));
+    found
+}
+
+// Listening sockets from /proc/net/tcp and tcp6 as (port, socket inode). Used on Linux
+// when lsof isn't installed.
+fn parse_proc_net_tcp(text: &str) -> Vec<(u16, u64)> {
+    text.lines()
+        .skip(1)
+        .filter_map(|line| {
+            let parts: Vec<&str> = line.split_whitespace().collect();
+            // sl local_address rem_address st … inode; state 0A is LISTEN
+            if parts.len() < 10 || parts[3] != "0A" {
+                return None;
+            }
+            let port = u16::from_str_radix(parts[1].rsplit(':').next()?, 16).ok()?;
+            let inode = parts[9].parse().ok()?;
+            Some((port, inode))
+        })
+        .collect()
+}
 
-    if !output.status.success() {
-        return Ok("No process found on port 3000".to_string());
+// Same shape as parse_lsof_listeners, built from /proc: sockets are matched to processes
+// through the `socket:[inode]` links in /proc/<pid>/fd
+fn proc_listeners() -> Result<Vec<(u16, u32, String)>, String> {
+    let mut sockets = Vec::new();
+    for table in ["/proc/net/tcp", "/proc/net/tcp6"] {
+        if let Ok(text) = fs::read_to_string(table) {
+            sockets.extend(parse_proc_net_tcp(&text));
+        }
+    }
+    if sockets.is_empty() && !PathBuf::from("/proc/net/tcp").exists() {
+        return Err("Couldn't list ports: lsof isn't installed and /proc/net/tcp isn't available".to_string());
     }
 
-    let pids = String::from_utf8_lossy(&output.stdout);
-    let mut killed_count = 0;
+    let mut owners: HashMap<u64, u32> = HashMap::new();
+    let Ok(procs) = fs::read_dir("/proc") else { return Ok(Vec::new()) };
+    for entry in procs.flatten() {
+        let Ok(pid) = entry.file_name().to_string_lossy().parse::<u32>() else { continue };
+        let Ok(fds) = fs::read_dir(entry.path().join("fd")) else { continue };
+        for fd in fds.flatten() {
+            let Ok(target) = fs::read_link(fd.path()) else { continue };
+            let target = target.to_string_lossy().to_string();
+            if let Some(inode) = target.strip_prefix("socket:[").and_then(|t| t.strip_suffix(']')) {
+                if let Ok(inode) = inode.parse() {
+                    owners.insert(inode, pid);
+                }
+            }
+        }
+    }
 
-    for pid in pids.lines() {
-        if !pid.trim().is_empty() {
-            let _ = Command::new("kill")
-                .arg("-9")
-                .arg(pid)
-                .output();
-            killed_count += 1;
+    let mut found: Vec<(u16, u32, String)> = Vec::new();
+    for (port, inode) in sockets {
+        // Sockets of other users' processes can't be resolved without root
+        let Some(pid) = owners.get(&inode).copied() else { continue };
+        if found.iter().any(|(p, id, _)| *p == port && *id == pid) {
+            continue;
         }
+        let name = fs::read_to_string(format!("/proc/{}/comm", pid)).unwrap_or_default().trim().to_string();
+        found.push((port, pid, name));
     }
+    found.sort_by_key(|(port, pid, _)| (*port, *pid));
+    Ok(found)
+}
 
-    if killed_count > 0 {
-        Ok(format!("Killed {} process(es) on port 3000", killed_count))
-    } else {
-        Ok("No process found on port 3000".to_string())
+// Listening TCP sockets as (port, pid, command): lsof where available, /proc otherwise
+fn list_listeners() -> Result<Vec<(u16, u32, String)>, String> {
+    match Command::new("lsof").args(["-nP", "-iTCP", "-sTCP:LISTEN"]).output() {
+        Ok(output) => Ok(parse_lsof_listeners(&String::from_utf8_lossy(&output.stdout))),
+        Err(e) if e.kind() == std::io::ErrorKind::NotFound && cfg!(target_os = "linux") => proc_listeners(),
+        Err(e) => Err(format!("Failed to run lsof: {}", e)),
     }
 }
 
-#[tauri::command]
-async fn list_open_ports() -> Result<Vec<PortInfo>, String> {
-    let ports: Vec<u16> = vec![
-        3000, 3001, 3002, 3003, 3004, 3005, 3006, 3007, 3008, 3009, 3010,
-        5173, 8000, 8080, 5560, 8877,
-    ];
+// pid → (parent pid, command name) for every process, from `ps` (or /proc when ps is missing)
+fn process_table() -> HashMap<u32, (u32, String)> {
+    let Ok(output) = Command::new("ps").args(["-Ao", "pid=,ppid=,comm="]).output() else {
+        return proc_process_table();
+    };
+    String::from_utf8_lossy(&output.stdout)
+        .lines()
+        .filter_map(|line| {
+            let mut parts = line.split_whitespace();
+            let pid = parts.next()?.parse().ok()?;
+            let ppid = parts.next()?.parse().ok()?;
+            let command = parts.collect::<Vec<_>>().join(" ");
+            let name = command.rsplit('/').next().unwrap_or(&command).to_string();
+            Some((pid, (ppid, name)))
+        })
+        .collect()
+}
 
-    let mut results: Vec<PortInfo> = Vec::new();
-
-    for port in ports {
-        let port_arg = format!(":{}", port);
-        let output = Command::new("lsof")
-            .args(["-i", &port_arg, "-sTCP:LISTEN", "-n", "-P"])
-            .output();
-
-        if let Ok(output) = output {
-            let text = String::from_utf8_lossy(&output.stdout);
-            for line in text.lines().skip(1) {
-                // skip header
-                let parts: Vec<&str> = line.split_whitespace().collect();
-                if parts.len() >= 2 {
-                    let process_name = parts[0].to_string();
-                    let pid = parts[1].to_string();
-                    // Avoid duplicate PIDs for the same port
-                    if !results.iter().any(|r| r.port == port && r.pid == pid) {
-                        results.push(PortInfo {
-                            port,
-                            pid,
-                            process_name,
-                        });
-                    }
-                }
+// /proc/<pid>/stat is "pid (comm) state ppid …"; comm may itself contain spaces and parentheses
+fn proc_process_table() -> HashMap<u32, (u32, String)> {
+    let Ok(procs) = fs::read_dir("/proc") else { return HashMap::new() };
+    procs
+        .flatten()
+        .filter_map(|entry| {
+            let pid = entry.file_name().to_string_lossy().parse::<u32>().ok()?;
+            let stat = fs::read_to_string(entry.path().join("stat")).ok()?;
+            let (head, rest) = stat.rsplit_once(')')?;
+            let name = head.split_once('(')?.1.to_string();
+            let ppid = rest.split_whitespace().nth(1)?.parse().ok()?;
+            Some((pid, (ppid, name)))
+        })
+        .collect()
+}
+
+// A process and its ancestors, stopping before pid 1
+fn ancestry(pid: u32, table: &HashMap<u32, (u32, String)>) -> Vec<u32> {
+    let mut chain = vec![pid];
+    let mut current = pid;
+    while let Some((ppid, _)) = table.get(&current) {
+        if *ppid <= 1 || chain.contains(ppid) {
+            break;
+        }
+        chain.push(*ppid);
+        current = *ppid;
+    }
+    chain
+}
+
+// Every listening TCP port with its owning process tree, marked with the tab and script that
+// started it when it descends from one of our processes
+fn discover_ports(state: &State<'_, AppState>) -> Result<Vec<PortInfo>, String> {
+    let listeners = list_listeners()?;
+    let table = process_table();
+
+    // Shell pid of each running script → (tab id, label), from the "{tab_id}:{label}" keys
+    let owners: HashMap<u32, (String, String)> = {
+        let processes = state.processes.lock().map_err(|e| e.to_string())?;
+        processes
+            .iter()
+            .filter_map(|(key, child)| {
+                let (tab_id, label) = key.split_once(':')?;
+                Some((child.id(), (tab_id.to_string(), label.to_string())))
+            })
+            .collect()
+    };
+
+    Ok(listeners
+        .into_iter()
+        .map(|(port, pid, command)| {
+            let chain = ancestry(pid, &table);
+            let owner = chain.iter().find_map(|p| owners.get(p));
+            // Show the tree up to our script's shell, or the whole chain for other processes
+            let shown = match chain.iter().position(|p| owners.contains_key(p)) {
+                Some(i) => &chain[..=i],
+                None => &chain[..],
+            };
+            let name_of = |p: &u32| table.get(p).map(|(_, name)| name.clone());
+            PortInfo {
+                port,
+                pid: pid.to_string(),
+                process_name: name_of(&pid).unwrap_or(command),
+                tree: shown
+                    .iter()
+                    .map(|p| format!("{} ({})", name_of(p).unwrap_or_else(|| "?".to_string()), p))
+                    .collect(),
+                tab_id: owner.map(|(tab_id, _)| tab_id.clone()),
+                script: owner.map(|(_, label)| label.clone()),
             }
+        })
+        .collect())
+}
+
+#[tauri::command]
+async fn list_open_ports(state: State<'_, AppState>) -> Result<Vec<PortInfo>, String> {
+    discover_ports(&state)
+}
+
+// Kill the listener on one port. Processes NPM Commander didn't start are left alone unless
+// `force` is set, so the frontend can ask first.
+#[tauri::command]
+async fn kill_single_port(port: u16, force: Option<bool>, state: State<'_, AppState>) -> Result<String, String> {
+    let listeners: Vec<PortInfo> = discover_ports(&state)?.into_iter().filter(|p| p.port == port).collect();
+    if listeners.is_empty() {
+        return Ok(format!("No process found on port {}", port));
+    }
+    if !force.unwrap_or(false) {
+        if let Some(external) = listeners.iter().find(|p| p.tab_id.is_none()) {
+            return Err(format!(
+                "Port {} belongs to {} (PID {}), which NPM Commander didn't start",
+                port, external.process_name, external.pid
+            ));
         }
     }
 
-    Ok(results)
+    for listener in &listeners {
+        let _ = Command::new("kill").arg("-9").arg(&listener.pid).output();
+    }
+    Ok(format!("Killed {} process(es) on port {}", listeners.len(), port))
+}
+
+// Whether a URL's host and port accept a TCP connection. "localhost" may resolve to both
+// ::1 and 127.0.0.1 and servers often listen on only one, so every address is tried.
+fn url_reachable(url: &str) -> bool {
+    let Some((scheme, rest)) = url.split_once("://") else { return false };
+    let authority = rest.split(['/', '?', '#']).next().unwrap_or("");
+    let has_port = !authority.ends_with(']') && authority.rsplit_once(':').is_some_and(|(_, port)| port.parse::<u16>().is_ok());
+    let address = if has_port {
+        authority.to_string()
+    } else {
+        format!("{}:{}", authority, if scheme == "https" { 443 } else { 80 })
+    };
+    let Ok(addresses) = std::net::ToSocketAddrs::to_socket_addrs(&address) else { return false };
+    addresses
+        .into_iter()
+        .any(|address| std::net::TcpStream::connect_timeout(&address, std::time::Duration::from_millis(500)).is_ok())
 }
 
+// Reachability of each URL shown in the URL bar, checked in parallel
 #[tauri::command]
-async fn kill_single_port(port: u16) -> Result<String, String> {
-    let port_arg = format!(":{}", port);
-    let output = Command::new("lsof")
-        .args(["-i", &port_arg, "-t"])
-        .output()
+async fn check_urls(urls: Vec<String>) -> Vec<bool> {
+    std::thread::scope(|scope| {
+        let checks: Vec<_> = urls.iter().map(|url| scope.spawn(move || url_reachable(url))).collect();
+        checks.into_iter().map(|check| check.join().unwrap_or(false)).collect()
+    })
+}
+
+// Port of the Chrome DevTools protocol endpoint used to reload pages. Chrome, Edge, Brave and
+// other Chromium browsers expose it when started with --remote-debugging-port.
+fn devtools_port() -> u16 {
+    std::env::var("NPM_COMMANDER_DEVTOOLS_PORT")
+        .ok()
+        .and_then(|port| port.trim().parse().ok())
+        .unwrap_or(9222)
+}
+
+// Whether a page URL is served by the dev server on `port`
+fn is_local_page(url: &str, port: u16) -> bool {
+    let Some(rest) = url.strip_prefix("http://").or_else(|| url.strip_prefix("https://")) else {
+        return false;
+    };
+    ["localhost", "127.0.0.1", "[::1]", "0.0.0.0"].iter().any(|host| {
+        rest.strip_prefix(&format!("{}:{}", host, port))
+            .is_some_and(|after| after.is_empty() || after.starts_with(['/', '?', '#']))
+    })
+}
+
+// Minimal HTTP/1.1 GET against a local endpoint, returning the body
+fn http_get_local(port: u16, path: &str) -> Result<String, String> {
+    use std::io::{Read, Write};
+    let address = std::net::SocketAddr::from(([127, 0, 0, 1], port));
+    let mut stream = std::net::TcpStream::connect_timeout(&address, std::time::Duration::from_millis(500))
+        .map_err(|e| e.to_string())?;
+    stream.set_read_timeout(Some(std::time::Duration::from_secs(2))).map_err(|e| e.to_string())?;
+    write!(stream, "GET {} HTTP/1.1\r\nHost: 127.0.0.1:{}\r\nConnection: close\r\n\r\n", path, port)
         .map_err(|e| e.to_string())?;
 
-    let pids = String::from_utf8_lossy(&output.stdout);
-    let mut killed_count = 0;
+    let mut response = Vec::new();
+    let _ = stream.read_to_end(&mut response);
+    let response = String::from_utf8_lossy(&response).to_string();
+    let (head, body) = response.split_once("\r\n\r\n").ok_or("Malformed HTTP response")?;
+    // Trust Content-Length over the connection closing, which some servers delay
+    let length = head
+        .lines()
+        .find_map(|line| line.to_ascii_lowercase().strip_prefix("content-length:").map(|v| v.trim().to_string()))
+        .and_then(|v| v.parse::<usize>().ok());
+    Ok(match length {
+        Some(length) if length <= body.len() => body[..length].to_string(),
+        _ => body.to_string(),
+    })
+}
 
-    for pid in pids.lines() {
-        let pid = pid.trim();
-        if !pid.is_empty() {
-            let _ = Command::new("kill").arg("-9").arg(pid).output();
-            killed_count += 1;
-        }
+// Send one text message over a DevTools WebSocket (ws://host:port/devtools/page/ID)
+fn devtools_send(ws_url: &str, message: &str) -> Result<(), String> {
+    use std::io::{Read, Write};
+    let rest = ws_url.strip_prefix("ws://").ok_or("Unsupported WebSocket URL")?;
+    let (host, path) = rest.split_once('/').map(|(h, p)| (h, format!("/{}", p))).unwrap_or((rest, "/".to_string()));
+    let address = std::net::ToSocketAddrs::to_socket_addrs(host)
+        .map_err(|e| e.to_string())?
+        .next()
+        .ok_or("Unresolvable DevTools host")?;
+    let mut stream = std::net::TcpStream::connect_timeout(&address, std::time::Duration::from_millis(500))
+        .map_err(|e| e.to_string())?;
+    stream.set_read_timeout(Some(std::time::Duration::from_secs(2))).map_err(|e| e.to_string())?;
+
+    write!(
+        stream,
+        "GET {} HTTP/1.1\r\nHost: {}\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\nSec-WebSocket-Version: 13\r\n\r\n",
+        path, host
+    )
+    .map_err(|e| e.to_string())?;
+    let mut head = Vec::new();
+    let mut byte = [0u8; 1];
+    while !head.ends_with(b"\r\n\r\n") {
+        stream.read_exact(&mut byte).map_err(|e| e.to_string())?;
+        head.push(byte[0]);
+    }
+    let status = String::from_utf8_lossy(&head).lines().next().unwrap_or("").to_string();
+    if !status.contains(" 101 ") {
+        return Err(format!("DevTools refused the connection: {}", status));
     }
 
-    if killed_count > 0 {
-        Ok(format!("Killed {} process(es) on port {}", killed_count, port))
+    // A single masked text frame, as clients must send
+    let payload = message.as_bytes();
+    let mask = [0x4e, 0x43, 0x6d, 0x64];
+    let mut frame = vec![0x81];
+    if payload.len() < 126 {
+        frame.push(0x80 | payload.len() as u8);
     } else {
-        Ok(format!("No process found on port {}", port))
+        frame.push(0x80 | 126);
+        frame.extend_from_slice(&(payload.len() as u16).to_be_bytes());
     }
+    frame.extend_from_slice(&mask);
+    frame.extend(payload.iter().enumerate().map(|(i, b)| b ^ mask[i % 4]));
+    stream.write_all(&frame).map_err(|e| e.to_string())
 }
 
-#[tauri::command]
-async fn reload_browser_tab(port: u16) -> Result<(), String> {
+// Reload every DevTools page target showing localhost:`port`; returns how many were reloaded
+fn reload_via_devtools(port: u16) -> Result<usize, String> {
+    let body = http_get_local(devtools_port(), "/json/list")?;
+    let targets: Vec<serde_json::Value> = serde_json::from_str(&body).map_err(|e| e.to_string())?;
+    let mut reloaded = 0;
+    for target in targets {
+        let url = target.get("url").and_then(|v| v.as_str()).unwrap_or("");
+        let is_page = target.get("type").and_then(|v| v.as_str()) == Some("page");
+        let Some(ws_url) = target.get("webSocketDebuggerUrl").and_then(|v| v.as_str()) else { continue };
+        if is_page && is_local_page(url, port) && devtools_send(ws_url, r#"{"id":1,"method":"Page.reload"}"#).is_ok() {
+            reloaded += 1;
+        }
+    }
+    Ok(reloaded)
+}
+
+// Chrome and Safari tabs through AppleScript, for browsers started without remote debugging
+#[cfg(target_os = "macos")]
+fn reload_via_applescript(port: u16) -> usize {
     let script = format!(
         r#"
+        set reloaded to 0
         try
             tell application "Google Chrome"
                 repeat with w in windows
                     repeat with t in tabs of w
                         if URL of t starts with "http://localhost:{port}" then
                             reload t
+                            set reloaded to reloaded + 1
                         end if
                     end repeat
                 end repeat
@@ -596,22 +3445,192 @@ async fn reload_browser_tab(port: u16) -> Result<(), String> {
                     repeat with t in tabs of w
                         if URL of t starts with "http://localhost:{port}" then
                             tell t to do JavaScript "location.reload();"
+                            set reloaded to reloaded + 1
                         end if
                     end repeat
                 end repeat
             end tell
         end try
+        return reloaded
         "#
     );
 
     Command::new("osascript")
         .args(["-e", &script])
         .output()
-        .map_err(|e| e.to_string())?;
+        .ok()
+        .and_then(|output| String::from_utf8_lossy(&output.stdout).trim().parse().ok())
+        .unwrap_or(0)
+}
+
+// Reload browser tabs showing a dev server: through the DevTools protocol on any platform,
+// then AppleScript on macOS
+#[tauri::command]
+async fn reload_browser_tab(port: u16) -> Result<usize, String> {
+    let reloaded = reload_via_devtools(port).unwrap_or(0);
+    #[cfg(target_os = "macos")]
+    let reloaded = if reloaded == 0 { reload_via_applescript(port) } else { reloaded };
+
+    if reloaded == 0 {
+        return Err(format!(
+            "No browser tab found for localhost:{}. Start Chrome, Edge or Brave with --remote-debugging-port={} to reload from here.",
+            port,
+            devtools_port()
+        ));
+    }
+    Ok(reloaded)
+}
+
+// Resolve a file path printed by a script against the directory the script ran in
+fn resolve_output_path(project_path: &str, base_dir: &str, file: &str) -> PathBuf {
+    let file = file.strip_prefix("file://").unwrap_or(file);
+    let path = PathBuf::from(file);
+    if path.is_absolute() {
+        path
+    } else {
+        PathBuf::from(project_path).join(base_dir).join(path)
+    }
+}
+
+// "path:line:col" as understood by editors' goto flags
+fn goto_target(path: &str, line: Option<u32>, column: Option<u32>) -> String {
+    match (line, column) {
+        (Some(line), Some(column)) => format!("{}:{}:{}", path, line, column),
+        (Some(line), None) => format!("{}:{}", path, line),
+        _ => path.to_string(),
+    }
+}
+
+// Quote a value for use inside an AppleScript string literal
+fn applescript_quote(value: &str) -> String {
+    format!("\"{}\"", value.replace('\\', "\\\\").replace('"', "\\\""))
+}
+
+// Build the shell command that opens a path (a directory, or a file at an optional line and
+// column) in the chosen editor. `custom` is a command line where {path}, {line} and {column}
+// are substituted; without {path} the "path:line:col" target is appended.
+fn build_editor_command(
+    editor: &str,
+    custom: Option<&str>,
+    path: &str,
+    line: Option<u32>,
+    column: Option<u32>,
+) -> Result<String, String> {
+    let quoted = shell_quote(path);
+    let command = match editor {
+        "code" | "cursor" => match line {
+            Some(_) => format!("{} --goto {}", editor, shell_quote(&goto_target(path, line, column))),
+            None => format!("{} {}", editor, quoted),
+        },
+        "webstorm" => match line {
+            Some(line) => format!("webstorm --line {} --column {} {}", line, column.unwrap_or(1), quoted),
+            None => format!("webstorm {}", quoted),
+        },
+        "subl" => format!("subl {}", shell_quote(&goto_target(path, line, column))),
+        "terminal" => {
+            // $EDITOR is resolved by the shell running in the terminal window
+            let inner = match line {
+                Some(line) => format!("${{EDITOR:-vi}} +{} {}", line, quoted),
+                None => format!("cd {} && ${{EDITOR:-vi}} .", quoted),
+            };
+            if cfg!(target_os = "macos") {
+                let script = format!("tell application \"Terminal\"\nactivate\ndo script {}\nend tell", applescript_quote(&inner));
+                format!("osascript -e {}", shell_quote(&script))
+            } else {
+                format!("${{TERMINAL:-x-terminal-emulator}} -e sh -c {}", shell_quote(&inner))
+            }
+        }
+        "custom" => {
+            let template = custom.map(str::trim).filter(|c| !c.is_empty()).ok_or("No editor command configured")?;
+            if template.contains("{path}") {
+                template
+                    .replace("{path}", &quoted)
+                    .replace("{line}", &line.unwrap_or(1).to_string())
+                    .replace("{column}", &column.unwrap_or(1).to_string())
+            } else {
+                format!("{} {}", template, shell_quote(&goto_target(path, line, column)))
+            }
+        }
+        other => return Err(format!("Unknown editor: {}", other)),
+    };
+    Ok(command)
+}
+
+// Open the project, or a file reported in script output at the given line, in the user's editor
+#[tauri::command]
+async fn open_in_editor(
+    editor: String,
+    editor_command: Option<String>,
+    project_path: String,
+    base_dir: Option<String>,
+    file: Option<String>,
+    line: Option<u32>,
+    column: Option<u32>,
+) -> Result<(), String> {
+    let path = match &file {
+        Some(file) => resolve_output_path(&project_path, base_dir.as_deref().unwrap_or(""), file),
+        None => PathBuf::from(&project_path),
+    };
+    if !path.exists() {
+        return Err(format!("File not found: {}", path.display()));
+    }
+    let path_str = path.to_string_lossy().to_string();
+    let command_str = build_editor_command(&editor, editor_command.as_deref(), &path_str, line, column)?;
 
+    // Terminal editors and custom commands may never exit, so don't wait on them: only a
+    // failure to launch is reported. The editor gets its own process group so it outlives the app.
+    let mut command = Command::new(login_shell());
+    command
+        .args(["-lc", &command_str])
+        .current_dir(&project_path)
+        .stdin(Stdio::null())
+        .stdout(Stdio::null())
+        .stderr(Stdio::null());
+    #[cfg(unix)]
+    {
+        use std::os::unix::process::CommandExt;
+        command.process_group(0);
+    }
+    let mut child = command
+        .spawn()
+        .map_err(|e| format!("Failed to run {}: {}", command_str, e))?;
+    // Reap it whenever it exits
+    std::thread::spawn(move || {
+        let _ = child.wait();
+    });
     Ok(())
 }
 
+// Stop every script still running when the app quits. Each runs in its own process group, so
+// it would otherwise outlive the app, keep its port and be started a second time on relaunch.
+// SIGTERM first; whatever is left after two seconds gets SIGKILL.
+fn stop_all_scripts(state: &AppState) {
+    let pgids: Vec<u32> = match state.processes.lock() {
+        Ok(processes) => processes.values().map(|child| child.id()).collect(),
+        Err(_) => return,
+    };
+    if let Ok(watchers) = state.watchers.lock() {
+        watchers.values().for_each(|stop| stop.store(true, Ordering::Relaxed));
+    }
+
+    for pgid in &pgids {
+        signal_group(*pgid, "TERM");
+    }
+    let deadline = std::time::Instant::now() + std::time::Duration::from_secs(2);
+    while std::time::Instant::now() < deadline && pgids.iter().any(|pgid| group_alive(*pgid)) {
+        // Reap the shells, or they'd count as alive
+        if let Ok(mut processes) = state.processes.lock() {
+            processes.values_mut().for_each(|child| {
+                let _ = child.try_wait();
+            });
+        }
+        std::thread::sleep(std::time::Duration::from_millis(100));
+    }
+    for pgid in pgids.iter().filter(|pgid| group_alive(**pgid)) {
+        signal_group(*pgid, "KILL");
+    }
+}
+
 #[cfg_attr(mobile, tauri::mobile_entry_point)]
 pub fn run() {
     tauri::Builder::default()
@@ -623,15 +3642,310 @@ pub fn run() {
             get_default_path,
             load_project,
             run_script,
+            run_custom_command,
             stop_script,
+            watch_files,
+            unwatch_files,
+            watch_project,
+            unwatch_project,
             get_running_scripts,
+            node_versions,
+            load_env_files,
+            set_env_var,
             install_deps,
-            kill_all_ports,
-            kill_port_process,
+            add_dependency,
+            remove_dependency,
+            set_dependency,
+            check_outdated,
+            audit_dependencies,
+            load_dependency_tree,
+            audit_fix,
+            update_dependency_ranges,
+            kill_external_ports,
             list_open_ports,
             kill_single_port,
             reload_browser_tab,
+            check_urls,
+            open_in_editor,
         ])
-        .run(tauri::generate_context!())
-        .expect("error while running tauri application");
+        .build(tauri::generate_context!())
+        .expect("error while running tauri application")
+        .run(|app, event| {
+            if let tauri::RunEvent::Exit = event {
+                stop_all_scripts(&app.state::<AppState>());
+            }
+        });
+}
+
+#[cfg(test)]
+mod tests {
+    use super::*;
+
+    #[test]
+    fn satisfies_caret_tilde_and_x_ranges() {
+        assert_eq!(satisfies_range("1.4.2", "^1.2.0"), Some(true));
+        assert_eq!(satisfies_range("2.0.0", "^1.2.0"), Some(false));
+        assert_eq!(satisfies_range("0.2.5", "^0.2.3"), Some(true));
+        assert_eq!(satisfies_range("0.3.0", "^0.2.3"), Some(false));
+        assert_eq!(satisfies_range("0.0.4", "^0.0.3"), Some(false));
+        assert_eq!(satisfies_range("1.2.9", "~1.2.3"), Some(true));
+        assert_eq!(satisfies_range("1.3.0", "~1.2.3"), Some(false));
+        assert_eq!(satisfies_range("1.9.0", "~1"), Some(true));
+        assert_eq!(satisfies_range("1.2.7", "1.2.x"), Some(true));
+        assert_eq!(satisfies_range("1.3.0", "1.2.x"), Some(false));
+        assert_eq!(satisfies_range("5.0.0", "*"), Some(true));
+        assert_eq!(satisfies_range("1.2.3", "1.2.3"), Some(true));
+        assert_eq!(satisfies_range("1.2.4", "=1.2.3"), Some(false));
+    }
+
+    #[test]
+    fn satisfies_comparator_hyphen_and_or_ranges() {
+        assert_eq!(satisfies_range("1.5.0", ">=1.2 <2"), Some(true));
+        assert_eq!(satisfies_range("2.0.0", ">=1.2 <2"), Some(false));
+        assert_eq!(satisfies_range("1.5.0", ">= 1.2.0"), Some(true));
+        assert_eq!(satisfies_range("2.3.9", "1.0.0 - 2.3"), Some(true));
+        assert_eq!(satisfies_range("2.4.0", "1.0.0 - 2.3"), Some(false));
+        assert_eq!(satisfies_range("4.1.0", "^2 || 4.x"), Some(true));
+        assert_eq!(satisfies_range("3.0.0", "^2 || 4.x"), Some(false));
+    }
+
+    #[test]
+    fn satisfies_prereleases_only_on_the_same_tuple() {
+        assert_eq!(satisfies_range("2.0.0-rc.1", "^1.2.0"), Some(false));
+        assert_eq!(satisfies_range("1.3.0-beta.1", "^1.2.0"), Some(false));
+        assert_eq!(satisfies_range("1.2.0-beta.2", "^1.2.0-beta.1"), Some(true));
+        assert_eq!(satisfies_range("1.2.0-alpha", "^1.2.0-beta.1"), Some(false));
+        assert_eq!(satisfies_range("1.3.0-beta.1", "^1.2.0-beta.1"), Some(false));
+        assert_eq!(satisfies_range("1.3.0", "^1.2.0-beta.1"), Some(true));
+        assert_eq!(satisfies_range("3.0.0-next.0", "*"), Some(false));
+    }
+
+    #[test]
+    fn satisfies_aliases_and_unknown_specs() {
+        assert_eq!(satisfies_range("18.2.0", "npm:react@^18"), Some(true));
+        assert_eq!(satisfies_range("1.0.0", "workspace:*"), Some(true));
+        assert_eq!(satisfies_range("1.0.0", "latest"), None);
+        assert_eq!(satisfies_range("1.0.0", "file:../lib"), None);
+        assert_eq!(satisfies_range("1.0.0", "github:user/repo"), None);
+    }
+
+    // Processes of a group that haven't exited. Zombies don't count: orphans are reaped by init,
+    // which doesn't happen in every container.
+    #[cfg(target_os = "linux")]
+    fn live_group_members(pgid: u32) -> usize {
+        fs::read_dir("/proc")
+            .unwrap()
+            .flatten()
+            .filter_map(|entry| fs::read_to_string(entry.path().join("stat")).ok())
+            .filter(|stat| {
+                let fields: Vec<&str> = stat.rsplit_once(')').map_or("", |(_, rest)| rest).split_whitespace().collect();
+                fields.len() > 2 && fields[0] != "Z" && fields[2] == pgid.to_string()
+            })
+            .count()
+    }
+
+    #[cfg(target_os = "linux")]
+    #[test]
+    fn stops_every_script_group_on_exit() {
+        use std::os::unix::process::CommandExt;
+        let state = AppState::default();
+        let mut pgids = Vec::new();
+        for (key, script) in [("tab:dev", "sleep 30 & sleep 30"), ("tab:api", "trap '' TERM; sleep 30 & wait")] {
+            let child = Command::new("sh").args(["-c", script]).process_group(0).spawn().unwrap();
+            pgids.push(child.id());
+            state.processes.lock().unwrap().insert(key.to_string(), child);
+        }
+        std::thread::sleep(std::time::Duration::from_millis(200));
+        assert!(pgids.iter().all(|pgid| live_group_members(*pgid) > 1));
+
+        stop_all_scripts(&state);
+        std::thread::sleep(std::time::Duration::from_millis(100));
+        assert!(pgids.iter().all(|pgid| live_group_members(*pgid) == 0));
+    }
+
+    #[test]
+    fn expands_watch_patterns() {
+        let base = std::env::temp_dir().join(format!("npm-commander-watch-{}", std::process::id()));
+        for file in ["vite.config.ts", ".env", "src/main.ts", "src/lib/util.ts", "src/lib/util.css", "node_modules/x/index.ts", ".cache/a.ts"] {
+            let path = base.join(file);
+            fs::create_dir_all(path.parent().unwrap()).unwrap();
+            fs::write(&path, "").unwrap();
+        }
+        let relative = |pattern: &str| relative_paths(&base, expand_watch_pattern(&base, pattern));
+
+        assert_eq!(relative("vite.config.*"), vec!["vite.config.ts"]);
+        assert_eq!(relative(".env"), vec![".env"]);
+        assert_eq!(relative("src/**/*.ts"), vec!["src/lib/util.ts", "src/main.ts"]);
+        assert_eq!(relative("**/util.*"), vec!["src/lib/util.css", "src/lib/util.ts"]);
+        assert_eq!(relative("./src/*/util.ts"), vec!["src/lib/util.ts"]);
+        assert!(relative("missing/**").is_empty());
+        fs::remove_dir_all(&base).unwrap();
+
+        assert!(check_watch_pattern("src/**/*.ts").is_ok());
+        assert!(check_watch_pattern(".env.*").is_ok());
+        for bad in ["/etc/hosts", "../shared/.env", "src/*.{ts,tsx}", "src/**.ts", "file?.txt"] {
+            assert!(check_watch_pattern(bad).is_err(), "{}", bad);
+        }
+    }
+
+    #[test]
+    fn parses_outdated_output() {
+        let npm = r#"{
+            "react": {"current": "18.2.0", "wanted": "18.3.1", "latest": "19.0.0", "type": "dependencies"},
+            "eslint": [
+                {"current": "8.0.0", "wanted": "8.57.0", "latest": "9.1.0", "type": "devDependencies", "dependent": "web"},
+                {"current": "8.0.0", "wanted": "8.57.0", "latest": "9.1.0", "type": "devDependencies", "dependent": "api"}
+            ],
+            "left-pad": {"wanted": "1.3.0", "latest": "1.3.0", "type": "dependencies"}
+        }"#;
+        let packages = parse_outdated_output(npm).unwrap();
+        let rows: Vec<_> = packages
+            .iter()
+            .map(|p| (p.name.as_str(), p.current.as_deref(), p.wanted.as_deref(), p.latest.as_deref(), p.dependency_type.as_deref()))
+            .collect();
+        assert_eq!(
+            rows,
+            vec![
+                ("eslint", Some("8.0.0"), Some("8.57.0"), Some("9.1.0"), Some("devDependencies")),
+                ("left-pad", None, Some("1.3.0"), Some("1.3.0"), Some("dependencies")),
+                ("react", Some("18.2.0"), Some("18.3.1"), Some("19.0.0"), Some("dependencies")),
+            ]
+        );
+
+        let pnpm = r#"{"vite": {"current": "5.0.0", "wanted": "5.4.2", "latest": "6.0.1", "dependencyType": "devDependencies"}}"#;
+        assert_eq!(parse_outdated_output(pnpm).unwrap()[0].dependency_type.as_deref(), Some("devDependencies"));
+
+        let yarn = r#"{"type":"info","data":"Color legend"}
+{"type":"table","data":{"head":["Package","Current","Wanted","Latest","Package Type","URL"],"body":[["lodash","4.17.20","4.17.21","4.17.21","dependencies","https://lodash.com"]]}}"#;
+        let packages = parse_outdated_output(yarn).unwrap();
+        assert_eq!(packages.len(), 1);
+        assert_eq!((packages[0].name.as_str(), packages[0].wanted.as_deref()), ("lodash", Some("4.17.21")));
+
+        assert!(parse_outdated_output("").unwrap().is_empty());
+        assert!(parse_outdated_output("{}").unwrap().is_empty());
+        let error = r#"{"error": {"code": "E404", "summary": "Not found: nope"}}"#;
+        assert_eq!(parse_outdated_output(error).err().as_deref(), Some("Not found: nope"));
+    }
+
+    #[test]
+    fn moves_ranges_to_new_versions() {
+        assert_eq!(range_with_version("^18.2.0", "18.3.1").as_deref(), Some("^18.3.1"));
+        assert_eq!(range_with_version("~1.2.3", "1.2.9").as_deref(), Some("~1.2.9"));
+        assert_eq!(range_with_version("1.2.3", "2.0.0").as_deref(), Some("2.0.0"));
+        assert_eq!(range_with_version("=1.2.3", "2.0.0").as_deref(), Some("=2.0.0"));
+        assert_eq!(range_with_version(">=1.2.3", "2.0.0").as_deref(), Some(">=2.0.0"));
+        assert_eq!(range_with_version("^1.0.0-beta.1", "1.0.0").as_deref(), Some("^1.0.0"));
+        for kept in ["npm:react@^18.2.0", "workspace:^1.0.0", "file:../lib", "github:user/repo", "latest", "*", "1.x", "^1", ">=1.2 <2", "^1.0.0 || ^2.0.0", "1.0.0 - 2.0.0"] {
+            assert_eq!(range_with_version(kept, "3.0.0"), None, "{}", kept);
+        }
+        assert_eq!(range_with_version("^1.2.0", "not-a-version"), None);
+    }
+
+    #[test]
+    fn parses_proc_net_tcp_listeners() {
+        let tcp = "  sl  local_address rem_address   st tx_queue rx_queue tr tm->when retrnsmt   uid  timeout inode
+   0: 00000000:0BB8 00000000:0000 0A 00000000:00000000 00:00000000 00000000  1000        0 41234 1 0000000000000000 100 0 0 10 0
+   1: 0100007F:1435 0100007F:C350 01 00000000:00000000 00:00000000 00000000  1000        0 41299 1 0000000000000000 20 4 30 10 -1
+";
+        let tcp6 = "  sl  local_address                         remote_address                        st tx_queue rx_queue tr tm->when retrnsmt   uid  timeout inode
+   0: 00000000000000000000000001000000:1435 00000000000000000000000000000000:0000 0A 00000000:00000000 00:00000000 00000000  1000        0 52001 1 0000000000000000 100 0 0 10 0
+";
+        assert_eq!(parse_proc_net_tcp(tcp), vec![(3000, 41234)]);
+        assert_eq!(parse_proc_net_tcp(tcp6), vec![(5173, 52001)]);
+        assert!(parse_proc_net_tcp("").is_empty());
+    }
+
+    #[test]
+    fn parses_lsof_listeners() {
+        let text = "COMMAND   PID USER   FD   TYPE DEVICE SIZE/OFF NODE NAME
+node    4312 dev   23u  IPv6 0x1234      0t0  TCP [::1]:5173 (LISTEN)
+node    4312 dev   24u  IPv4 0x5678      0t0  TCP 127.0.0.1:5173 (LISTEN)
+postgres 88 dev    7u  IPv4 0x9abc      0t0  TCP *:5432 (LISTEN)
+";
+        assert_eq!(
+            parse_lsof_listeners(text),
+            vec![(5173, 4312, "node".to_string()), (5432, 88, "postgres".to_string())]
+        );
+    }
+
+    #[test]
+    fn parses_dotenv_files() {
+        let content = "# comment\nexport API_URL=http://localhost:3000 # inline\nEMPTY=\nSINGLE='a # b'\nDOUBLE=\"line1\\nline2\"\nMULTI=\"first\nsecond\"\nnot a variable\nvite.mode=dev\n";
+        let entries = parse_dotenv(content);
+        let pairs: Vec<(&str, &str)> = entries.iter().map(|e| (e.key.as_str(), e.value.as_str())).collect();
+        assert_eq!(
+            pairs,
+            vec![
+                ("API_URL", "http://localhost:3000"),
+                ("EMPTY", ""),
+                ("SINGLE", "a # b"),
+                ("DOUBLE", "line1\nline2"),
+                ("MULTI", "first\nsecond"),
+                ("vite.mode", "dev"),
+            ]
+        );
+        assert_eq!(entries[4].lines, 5..7);
+        // An unterminated quote is read literally and doesn't swallow the next lines
+        let entries = parse_dotenv("OPEN=\"abc\nNEXT=1\n");
+        assert_eq!(entries.len(), 2);
+        assert_eq!(entries[0].value, "\"abc");
+    }
+
+    #[test]
+    fn updates_dotenv_in_place() {
+        let content = "# keep me\nexport PORT=3000\nMULTI=\"a\nb\"\nPORT=3001\n";
+        let updated = update_dotenv(content, "PORT", Some("4000"));
+        assert_eq!(updated, "# keep me\nexport PORT=3000\nMULTI=\"a\nb\"\nPORT=4000\n");
+        let updated = update_dotenv(content, "MULTI", Some("it's \"quoted\""));
+        assert_eq!(updated, "# keep me\nexport PORT=3000\nMULTI=\"it's \\\"quoted\\\"\"\nPORT=3001\n");
+        assert_eq!(update_dotenv(content, "PORT", None), "# keep me\nMULTI=\"a\nb\"\n");
+        assert_eq!(update_dotenv("", "NEW", Some("has space")), "NEW='has space'\n");
+
+        // Every written value reads back unchanged
+        for value in ["plain", "with space", "it's", "multi\nline", "a#b", "\"quoted\"", ""] {
+            let written = update_dotenv("KEY=old\n", "KEY", Some(value));
+            assert_eq!(parse_dotenv(&written)[0].value, value, "{}", written);
+        }
+    }
+
+    #[test]
+    fn parses_yarn_lock_v1_and_berry() {
+        let v1 = r#"# yarn lockfile v1
+
+"@babel/core@^7.0.0", "@babel/core@^7.20.0":
+  version "7.23.2"
+  resolved "https://registry.yarnpkg.com/@babel/core/-/core-7.23.2.tgz"
+  dependencies:
+    "@babel/types" "^7.23.0"
+    debug "^4.1.0"
+
+debug@^4.1.0:
+  version "4.3.4"
+"#;
+        let entries = parse_yarn_lock_entries(v1);
+        assert_eq!(entries.len(), 2);
+        assert_eq!(entries[0].keys, vec!["@babel/core@^7.0.0", "@babel/core@^7.20.0"]);
+        assert_eq!(entries[0].version, "7.23.2");
+        assert_eq!(
+            entries[0].dependencies,
+            vec![("@babel/types".to_string(), "^7.23.0".to_string()), ("debug".to_string(), "^4.1.0".to_string())]
+        );
+        assert_eq!(lock_key_name(&entries[0].keys[0]), "@babel/core");
+
+        let berry = r#"__metadata:
+  version: 6
+
+"lodash@npm:^4.17.0, lodash@npm:^4.17.21":
+  version: 4.17.21
+  resolution: "lodash@npm:4.17.21"
+  dependencies:
+    tslib: "npm:^2.0.0"
+  languageName: node
+"#;
+        let resolved = parse_yarn_lock(berry);
+        assert_eq!(resolved.get("lodash@^4.17.21").map(String::as_str), Some("4.17.21"));
+        assert_eq!(resolved.get("lodash@^4.17.0").map(String::as_str), Some("4.17.21"));
+        let entries = parse_yarn_lock_entries(berry);
+        assert_eq!(entries[1].dependencies, vec![("tslib".to_string(), "^2.0.0".to_string())]);
+    }
 }